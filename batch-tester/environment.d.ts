@@ -14,6 +14,29 @@ declare global {
       AWS_BUCKET_ID: string
       IPFS_GATEWAY_ROOT: string
       CLEAR_GPU_QUEUE: "0"|"1"
+      JOBS_BACKEND?: "AWS"|"LOCAL"
+      JOBS_FALLBACK_BACKEND?: "NO_GPU"|"LOCAL"
+      LOCAL_WORKERS?: string
+      LOCAL_CAPTURE_MODULE_DIR?: string
+      LOCAL_OUTPUT_DIR?: string
+      JOBS_STORE?: "MEMORY"|"FS"
+      JOBS_STORE_DIR?: string
+      JOBS_TTL?: string
+      WEBHOOK_SECRET?: string
+      API_KEYS_FILE?: string
+      API_RATE_LIMIT?: string
+      API_RATE_LIMIT_WINDOW?: string
+      API_MAX_JOBS?: string
+      API_MAX_BODY_SIZE?: string
+      API_CORS_ORIGINS?: string
+      METRICS_TOKEN?: string
+      CACHE_STORE?: "MEMORY"|"FS"|"S3"
+      CACHE_TTL?: string
+      CACHE_MAX_ENTRIES?: string
+      CACHE_DIR?: string
+      CACHE_S3_BUCKET?: string
+      CACHE_S3_PREFIX?: string
+      CACHE_S3_ENDPOINT?: string
 
       TRACING_ENABLED: "0"|"1"
       OPEN_TELEMETRY_TARGET: string
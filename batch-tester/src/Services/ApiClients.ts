@@ -0,0 +1,168 @@
+import { createHash } from "crypto"
+import { readFileSync } from "fs"
+
+/**
+ * The defaults of the quotas of the clients, which can be overriden by the
+ * environment (API_RATE_LIMIT, API_RATE_LIMIT_WINDOW, API_MAX_JOBS) or by
+ * each client
+ */
+export const ApiClientsDefaults = {
+  // the max number of jobs a client can request in a window
+  RATE_LIMIT: 60,
+  // the duration of the windows of the rate limits, in ms
+  RATE_LIMIT_WINDOW: 60 * 1000,
+  // the max number of jobs of a client running at the same time
+  MAX_JOBS: 4,
+}
+
+/**
+ * A client of the API, as listed in the API_KEYS_FILE
+ */
+export interface ApiClient {
+  // the name of the client, which identifies it in the logs and the metrics
+  name: string
+  // the API key of the client
+  key: string
+  rateLimit?: number
+  maxJobs?: number
+  // whether the client can submit jobs to the priority queue
+  priority?: boolean
+}
+
+/**
+ * The state of the quotas of a client, as reported to it
+ */
+export interface ApiQuota {
+  requests: {
+    limit: number
+    remaining: number
+    // ISO date
+    resetAt: string
+  }
+  jobs: {
+    limit: number
+    running: number
+  }
+}
+
+const hashKey = (key: string) => createHash("sha256").update(key).digest("hex")
+
+/**
+ * A singleton which authenticates the clients with their API key, and keeps
+ * track of their quotas: the number of jobs they requested in the current
+ * window (a fixed window of API_RATE_LIMIT_WINDOW ms), and the number of their
+ * jobs which are running. The API is open to any caller if API_KEYS_FILE isn't
+ * defined
+ */
+class ApiClientsClass {
+  enabled = false
+  // the clients, by the hash of their key
+  clients = new Map<string, ApiClient>()
+  // the windows of the rate limits, by client name
+  windows = new Map<string, { start: number, count: number }>()
+  // the number of running jobs, by client name
+  running = new Map<string, number>()
+  window: number
+
+  init() {
+    this.window = parseInt(process.env.API_RATE_LIMIT_WINDOW || "") || ApiClientsDefaults.RATE_LIMIT_WINDOW
+    const file = process.env.API_KEYS_FILE
+    if (!file) {
+      console.log("⚠️  API_KEYS_FILE isn't defined, the API is open to any caller")
+      return
+    }
+    // the file lists the clients: [{ name, key, rateLimit?, maxJobs?, priority? }]
+    const clients: ApiClient[] = JSON.parse(readFileSync(file, "utf8"))
+    if (!Array.isArray(clients)) {
+      throw new Error(`${file} must list the clients of the API`)
+    }
+    for (const client of clients) {
+      if (typeof client?.name !== "string" || typeof client.key !== "string" || !client.key) {
+        throw new Error(`${file}: every client must have a name and a key`)
+      }
+      this.clients.set(hashKey(client.key), client)
+    }
+    this.enabled = true
+    console.log(`${this.clients.size} API client(s) allowed`)
+  }
+
+  /**
+   * The client of the API key, or null if it isn't valid
+   */
+  authenticate(key: string): ApiClient|null {
+    return this.clients.get(hashKey(key)) || null
+  }
+
+  getRateLimit(client: ApiClient): number {
+    return client.rateLimit ?? (parseInt(process.env.API_RATE_LIMIT || "") || ApiClientsDefaults.RATE_LIMIT)
+  }
+
+  getMaxJobs(client: ApiClient): number {
+    return client.maxJobs ?? (parseInt(process.env.API_MAX_JOBS || "") || ApiClientsDefaults.MAX_JOBS)
+  }
+
+  /**
+   * The window of the rate limit of the client, a new one is started once the
+   * previous one is over
+   */
+  getWindow(client: ApiClient) {
+    const now = Date.now()
+    let window = this.windows.get(client.name)
+    if (!window || now - window.start >= this.window) {
+      window = { start: now, count: 0 }
+      this.windows.set(client.name, window)
+    }
+    return window
+  }
+
+  getQuota(client: ApiClient): ApiQuota {
+    const window = this.getWindow(client)
+    const limit = this.getRateLimit(client)
+    return {
+      requests: {
+        limit,
+        remaining: Math.max(0, limit - window.count),
+        resetAt: new Date(window.start + this.window).toISOString(),
+      },
+      jobs: {
+        limit: this.getMaxJobs(client),
+        running: this.running.get(client.name) || 0,
+      },
+    }
+  }
+
+  /**
+   * Counts a job request of the client in its current window, returns false
+   * (without counting it) if the client exceeded its rate limit
+   */
+  consumeRequest(client: ApiClient): boolean {
+    const window = this.getWindow(client)
+    if (window.count >= this.getRateLimit(client)) return false
+    window.count++
+    return true
+  }
+
+  /**
+   * Counts a running job of the client, returns false (without counting it) if
+   * the client has as many jobs running as it can. The job must be released
+   * with releaseJob() once it's over
+   */
+  acquireJob(client: ApiClient): boolean {
+    const running = this.running.get(client.name) || 0
+    if (running >= this.getMaxJobs(client)) return false
+    this.running.set(client.name, running + 1)
+    return true
+  }
+
+  releaseJob(client: ApiClient) {
+    const running = (this.running.get(client.name) || 0) - 1
+    if (running > 0) {
+      this.running.set(client.name, running)
+    }
+    else {
+      this.running.delete(client.name)
+    }
+  }
+}
+
+export const ApiClients = new ApiClientsClass()
@@ -0,0 +1,113 @@
+import { randomUUID } from "crypto"
+import { promises as fs } from "fs"
+import path from "path"
+import { JobFinalStatuses, JobRecord } from "../types/Jobs"
+
+/**
+ * The stores the state of the jobs submitted through the jobs API can be kept
+ * in, selected with the JOBS_STORE variable
+ */
+export enum JobStoreType {
+  MEMORY  = "MEMORY",
+  FS      = "FS",
+}
+
+export const JobStoreDefaults = {
+  TYPE: JobStoreType.MEMORY,
+  DIR: "./jobs",
+  // how long the records of the jobs which are over are kept, in ms
+  TTL: 24 * 60 * 60 * 1000,
+}
+
+/**
+ * A JobStore keeps the records of the jobs, any storage can be plugged in as
+ * long as it implements this interface
+ */
+export interface JobStore {
+  /**
+   * Resolves with the record of the job, or null if there's none
+   */
+  get(id: string): Promise<JobRecord|null>
+  /**
+   * Creates or replaces the record of a job
+   */
+  put(record: JobRecord): Promise<void>
+}
+
+/**
+ * Keeps the records in memory, they are lost when the service restarts. The
+ * records of the jobs which are over are dropped after the TTL
+ */
+export class MemoryJobStore implements JobStore {
+  records = new Map<string, JobRecord>()
+
+  constructor(public ttl: number) {}
+
+  async get(id: string) {
+    return this.records.get(id) || null
+  }
+
+  async put(record: JobRecord) {
+    this.records.set(record.id, record)
+    if (JobFinalStatuses.includes(record.status)) {
+      setTimeout(() => this.records.delete(record.id), this.ttl).unref()
+    }
+  }
+}
+
+/**
+ * Keeps each record as a {id}.json file in a directory, so that they survive
+ * restarts and can be shared by the instances of the service. The records
+ * which are over are removed once they are read after the TTL
+ */
+export class FsJobStore implements JobStore {
+  constructor(public dir: string, public ttl: number) {}
+
+  file(id: string) {
+    // the ids come from the clients, they can't point outside the directory
+    if (!/^[\w-]+$/.test(id)) return null
+    return path.join(this.dir, `${id}.json`)
+  }
+
+  async get(id: string) {
+    const file = this.file(id)
+    if (!file) return null
+    try {
+      const record: JobRecord = JSON.parse((await fs.readFile(file)).toString())
+      if (JobFinalStatuses.includes(record.status) && Date.now() - Date.parse(record.updatedAt) > this.ttl) {
+        await fs.rm(file, { force: true })
+        return null
+      }
+      return record
+    }
+    catch {
+      return null
+    }
+  }
+
+  async put(record: JobRecord) {
+    const file = this.file(record.id)
+    if (!file) throw new Error(`invalid job id: ${record.id}`)
+    await fs.mkdir(this.dir, { recursive: true })
+    // written in 2 steps so that a record is never read half written
+    const tmp = `${file}.${randomUUID()}.tmp`
+    await fs.writeFile(tmp, JSON.stringify(record))
+    await fs.rename(tmp, file)
+  }
+}
+
+/**
+ * Instanciates the store defined by the environment
+ */
+export function createJobStore(): JobStore {
+  const type = (process.env.JOBS_STORE as JobStoreType) || JobStoreDefaults.TYPE
+  const ttl = parseInt(process.env.JOBS_TTL || "") || JobStoreDefaults.TTL
+  switch (type) {
+    case JobStoreType.MEMORY:
+      return new MemoryJobStore(ttl)
+    case JobStoreType.FS:
+      return new FsJobStore(path.resolve(process.env.JOBS_STORE_DIR || JobStoreDefaults.DIR), ttl)
+    default:
+      throw new Error(`unsupported jobs store: ${type}`)
+  }
+}
@@ -1,3 +1,4 @@
+import { CaptureSettings } from "../types/Capture";
 import { JobRequest, JobWaiting } from "../types/Jobs";
 
 /**
@@ -6,6 +7,8 @@ import { JobRequest, JobWaiting } from "../types/Jobs";
  */
 export abstract class JobsClass {
   jobs: JobWaiting[] = []
+  // the name of the backend, as labelled in the metrics and the traces
+  abstract readonly name: string
 
   /**
    * Add a Job to the queue with a JobRequest signature.
@@ -14,6 +17,23 @@ export abstract class JobsClass {
    */
   abstract addJob(request: JobRequest): Promise<void>
 
+  /**
+   * Cancels the job of the request with the given id, which then resolves with
+   * ExtractError.JOB_CANCELLED. Resolves with false if the job can't be cancelled,
+   * by default jobs can't be
+   */
+  async cancelJob(requestId: string): Promise<boolean> {
+    return false
+  }
+
+  /**
+   * Lists the settings the backend can't apply, the jobs with such settings
+   * can't run on it. By default every setting is supported
+   */
+  getUnsupportedSettings(settings: CaptureSettings): string[] {
+    return []
+  }
+
   /**
    * start the service, optional implementation
    */
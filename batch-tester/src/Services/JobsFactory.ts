@@ -1,46 +1,489 @@
-import { JobRequestParams, JobResolution, JobResponse, ResolveFnSignature } from "../types/Jobs"
+import { randomUUID } from "crypto"
+import { performance } from "perf_hooks"
+import { JobAttempt, JobCacheStatus, JobFinalStatuses, JobRecord, JobRequestParams, JobResolution, JobResponse, JobStatus, ResolveFnSignature, StatusFnSignature } from "../types/Jobs"
+import { CaptureError, ExtractError } from "../types/Responses"
+import { getCacheKey } from "../utils/cache"
+import { cacheRequestsCounter, recordJobMetrics } from "../utils/metrics"
+import { getJobStatusResponse } from "../utils/request"
+import { endSpan, Span, tracer } from "../utils/tracing"
+import { notifyWebhook } from "../utils/webhook"
 import { JobsClass } from "./Jobs"
+import { createJobStore, JobStore } from "./JobStore"
 import { JobsGPU } from "./JobsGPU"
+import { JobsLocal } from "./JobsLocal"
 import { JobsNoGPU } from "./JobsNoGPU"
+import { createResultCache, ResultCache } from "./ResultCache"
+
+/**
+ * The backends the jobs can run on, selected with the JOBS_BACKEND variable:
+ *  - AWS: GPU jobs run on AWS Batch, the others on the no-GPU capture API
+ *  - LOCAL: every job runs on this machine (see JobsLocal)
+ */
+export enum JobsBackend {
+  AWS     = "AWS",
+  LOCAL   = "LOCAL",
+}
+
+/**
+ * The backends the GPU jobs which failed because of their backend can be run
+ * again on, selected with the JOBS_FALLBACK_BACKEND variable:
+ *  - NO_GPU: the no-GPU capture API
+ *  - LOCAL: this machine (see JobsLocal), with the renderer fallback of the
+ *    capture module so that it can render without any GPU
+ */
+export enum JobsFallbackBackend {
+  NO_GPU  = "NO_GPU",
+  LOCAL   = "LOCAL",
+}
+
+/**
+ * The errors of the GPU jobs caused by their backend rather than by the project,
+ * which may not happen on the fallback backend
+ */
+const FallbackErrors: string[] = [
+  ExtractError.JOB_QUEUE_FAILED,
+  ExtractError.JOB_EXECUTION_FAILED,
+  CaptureError.BROWSER_LAUNCH_FAILED,
+  CaptureError.CANVAS_CAPTURE_FAILED,
+  CaptureError.BLANK_CAPTURE,
+  CaptureError.PAGE_CRASHED,
+]
+
+/**
+ * A request waiting for the response of a job, see JobsFactory.extract()
+ */
+interface JobWaiter {
+  onStatus?: StatusFnSignature
+  resolve: (response: JobResponse) => void
+  reject: (err: any) => void
+}
+
+/**
+ * A job running for the requests with the same cache key, identical requests
+ * wait for its response instead of running their own job
+ */
+interface InflightJob {
+  key: string
+  // the id the job runs with, the one of the request which started it
+  id: string
+  // the requests waiting for its response, by id
+  waiters: Map<string, JobWaiter>
+  // its last status, reported to the requests which join it
+  status?: JobStatus
+}
+
+export interface SubmitJobOptions {
+  // the URL notified once the job is over
+  webhook?: string
+  // the name of the API client which submits the job
+  client?: string
+  // called once the job is over
+  onDone?: () => void
+}
 
 /**
  * A singleton manager Factory to interract with the different Job services
  */
 class JobsFactoryClass {
+  backend: JobsBackend
+  fallbackBackend?: JobsFallbackBackend
   jobsGPU: JobsGPU
   jobsNoGPU: JobsNoGPU
+  jobsLocal: JobsLocal
+  // the records of the jobs submitted through the jobs API
+  store: JobStore
+  // the services running the jobs which aren't over yet, by job id
+  running = new Map<string, JobsClass>()
+  // the pending updates of the records, by job id
+  updates = new Map<string, Promise<JobRecord|null>>()
+  // the cache of the responses, if any
+  cache: ResultCache|null
+  // the jobs which are running, by cache key
+  inflight = new Map<string, InflightJob>()
+  // the jobs the requests are waiting for, by request id
+  waiting = new Map<string, InflightJob>()
 
   init() {
-    this.jobsGPU = new JobsGPU()
-    this.jobsNoGPU = new JobsNoGPU()
-    // start services
-    this.jobsGPU.start()
-    this.jobsNoGPU.start()
+    this.store = createJobStore()
+    this.cache = createResultCache()
+    this.backend = (process.env.JOBS_BACKEND as JobsBackend) || JobsBackend.AWS
+    if (!Object.values(JobsBackend).includes(this.backend)) {
+      throw new Error(`unsupported jobs backend: ${this.backend}`)
+    }
+    // only the services of the backend are started, the local one doesn't
+    // need any cloud service
+    if (this.backend === JobsBackend.LOCAL) {
+      this.jobsLocal = new JobsLocal()
+      this.jobsLocal.start()
+    }
+    else {
+      this.jobsGPU = new JobsGPU()
+      this.jobsNoGPU = new JobsNoGPU()
+      this.jobsGPU.start()
+      this.jobsNoGPU.start()
+
+      this.fallbackBackend = process.env.JOBS_FALLBACK_BACKEND as JobsFallbackBackend|undefined
+      if (this.fallbackBackend && !Object.values(JobsFallbackBackend).includes(this.fallbackBackend)) {
+        throw new Error(`unsupported jobs fallback backend: ${this.fallbackBackend}`)
+      }
+      if (this.fallbackBackend === JobsFallbackBackend.LOCAL) {
+        this.jobsLocal = new JobsLocal()
+        this.jobsLocal.start()
+      }
+    }
   }
 
-  async runJob(params: JobRequestParams): Promise<JobResponse> {
-    return new Promise(async (resolve, reject) => {
-      // proxy function to get the response from the jobsGPU
-      const resolveJob: ResolveFnSignature = (resolution) => {
-        // register job resolution
-        if (resolution.type === "success" && resolution.data) {
-          resolve(resolution.data)
-        }
-        else {
-          reject(resolution.error)
+  /**
+   * The service which runs the jobs with the given params
+   */
+  getJobs(params: JobRequestParams): JobsClass {
+    if (this.backend === JobsBackend.LOCAL) {
+      return this.jobsLocal
+    }
+    // depending on the GPU support, we send the job to a different service
+    return params.captureSettings.gpu ? this.jobsGPU : this.jobsNoGPU
+  }
+
+  /**
+   * The backend a GPU job which failed because of its backend is run again on,
+   * if any
+   */
+  getFallbackJobs(jobs: JobsClass, params: JobRequestParams, resolution: JobResolution): JobsClass|null {
+    if (jobs !== this.jobsGPU || resolution.type === "success" || !FallbackErrors.includes(resolution.error!)) {
+      return null
+    }
+    const fallback = this.fallbackBackend === JobsFallbackBackend.NO_GPU
+      ? this.jobsNoGPU
+      : this.fallbackBackend === JobsFallbackBackend.LOCAL
+        ? this.jobsLocal
+        : null
+    // the job would succeed without some of its settings applied
+    if (fallback?.getUnsupportedSettings(params.captureSettings).length) {
+      return null
+    }
+    return fallback
+  }
+
+  /**
+   * Runs a job and resolves with its response once it's over, or rejects with
+   * its resolution if it failed. The status changes of the job are reported to
+   * onStatus, if any. It's traced as a "job" span.
+   * A GPU job which failed because of its backend is run again on the fallback
+   * backend, if any: the attempts on each backend are listed in the response
+   * (or the resolution)
+   */
+  async runJob(params: JobRequestParams, onStatus?: StatusFnSignature, id: string = randomUUID()): Promise<JobResponse> {
+    let jobs: JobsClass|null = this.getJobs(params)
+    // the settings the backend can't apply are rejected, rather than ignored
+    const unsupported = jobs.getUnsupportedSettings(params.captureSettings)
+    if (unsupported.length > 0) {
+      const resolution: JobResolution = {
+        type: "failure",
+        error: ExtractError.INVALID_INPUT_PARAMETERS,
+        errorDetail: `not supported by the ${jobs.name} backend: ${unsupported.join(", ")}`,
+      }
+      throw resolution
+    }
+
+    const span = tracer.startSpan("job", {
+      "job.id": id,
+      "job.mode": params.captureSettings.mode,
+      "job.priority": !!params.priority,
+    })
+    const attempts: JobAttempt[] = []
+    let resolution: JobResolution
+    do {
+      const started = performance.now()
+      resolution = await this.runAttempt(jobs, params, id, span, onStatus)
+      attempts.push({
+        backend: jobs.name,
+        error: resolution.error,
+        duration: Math.round(performance.now() - started),
+        captureAttempts: resolution.captureAttempts,
+      })
+
+      const fallback = this.getFallbackJobs(jobs, params, resolution)
+      if (fallback) {
+        console.log(`job ${id} failed with ${resolution.error}, running it on the ${fallback.name} backend`)
+        // there may not be any GPU on this machine
+        if (fallback === this.jobsLocal) {
+          params = {
+            ...params,
+            captureSettings: { ...params.captureSettings, rendererFallback: true },
+          }
         }
       }
+      jobs = fallback
+    } while (jobs)
+
+    span.setAttributes({ "job.attempts": attempts.length, "job.error": resolution.error })
+    endSpan(span, resolution.type === "failure" ? resolution.error || ExtractError.UNKNOWN : null)
+    if (resolution.type === "success" && resolution.data) {
+      return { ...resolution.data, attempts }
+    }
+    // the whole resolution is rejected so that callers get the error details
+    throw { ...resolution, attempts }
+  }
 
-      // depending on the GPU support, we send the job to a different service
-      const jobs: JobsClass = params.captureSettings.gpu ? this.jobsGPU : this.jobsNoGPU
+  /**
+   * Resolves with the response of a job with the given params, as runJob(): it's
+   * served by the cache if a response is cached for the same settings (see
+   * getCacheKey()), or merged with the job already running with the same
+   * settings, if any. Otherwise the job is run, and its response cached. Where
+   * the response comes from is given in its cache field.
+   * With params.bypassCache, the job is always run and its response replaces the
+   * cached one. The jobs with diagnostics always run, as they are about a run.
+   * The status changes of a job are reported to every request waiting for it
+   */
+  async extract(params: JobRequestParams, onStatus?: StatusFnSignature, id: string = randomUUID()): Promise<JobResponse> {
+    const key = getCacheKey(params)
+    if (params.captureSettings.diagnostics) {
+      cacheRequestsCounter.inc({ status: JobCacheStatus.BYPASS })
+      const response = await this.runJob(params, onStatus, id)
+      return { ...response, cache: { key, status: JobCacheStatus.BYPASS } }
+    }
+
+    const inflight = this.inflight.get(key)
+    if (inflight && !params.bypassCache) {
+      cacheRequestsCounter.inc({ status: JobCacheStatus.MERGED })
+      const response = await this.waitForJob(inflight, id, onStatus)
+      return { ...response, cache: { key, status: JobCacheStatus.MERGED } }
+    }
+
+    const job: InflightJob = { key, id, waiters: new Map() }
+    // the request is waiting before the job starts, so that it gets all its
+    // status changes
+    const response = this.waitForJob(job, id, onStatus)
+    this.inflight.set(key, job)
+    const settle = (fn: (waiter: JobWaiter) => void) => {
+      if (this.inflight.get(key) === job) this.inflight.delete(key)
+      for (const [waiterId, waiter] of job.waiters) {
+        this.waiting.delete(waiterId)
+        fn(waiter)
+      }
+      job.waiters.clear()
+    }
+    this.runCachedJob(key, params, status => {
+      job.status = status
+      job.waiters.forEach(waiter => waiter.onStatus?.(status))
+    }, id).then(
+      response => settle(waiter => waiter.resolve(response)),
+      err => settle(waiter => waiter.reject(err)),
+    )
+    return response
+  }
+
+  /**
+   * Resolves with the response of a job once it's over, or rejects with its
+   * resolution if it failed or if the request stopped waiting for it (see
+   * cancelJob())
+   */
+  waitForJob(job: InflightJob, id: string, onStatus?: StatusFnSignature): Promise<JobResponse> {
+    return new Promise((resolve, reject) => {
+      job.waiters.set(id, { onStatus, resolve, reject })
+      this.waiting.set(id, job)
+      if (job.status) onStatus?.(job.status)
+    })
+  }
+
+  /**
+   * Resolves with the response cached under the key, or runs the job and caches
+   * its response, see extract()
+   */
+  async runCachedJob(key: string, params: JobRequestParams, onStatus?: StatusFnSignature, id?: string): Promise<JobResponse> {
+    if (!params.bypassCache) {
+      // the cache is an optimization, the job runs if it can't be read
+      const cached = await this.cache?.get(key).catch(err => {
+        console.log(err)
+        return null
+      })
+      if (cached) {
+        cacheRequestsCounter.inc({ status: JobCacheStatus.HIT })
+        return { ...cached, cache: { key, status: JobCacheStatus.HIT } }
+      }
+    }
+
+    const status = params.bypassCache ? JobCacheStatus.BYPASS : JobCacheStatus.MISS
+    cacheRequestsCounter.inc({ status })
+    const response = await this.runJob(params, onStatus, id)
+    await this.cache?.put(key, response).catch(err => console.log(err))
+    return { ...response, cache: { key, status } }
+  }
+
+  /**
+   * Runs an attempt of a job on the given backend, and resolves with its
+   * resolution. Its duration and outcome are recorded in the metrics
+   */
+  runAttempt(jobs: JobsClass, params: JobRequestParams, id: string, parent: Span, onStatus?: StatusFnSignature): Promise<JobResolution> {
+    return new Promise(async resolve => {
+      this.running.set(id, jobs)
+      const started = performance.now()
+      const span = tracer.startSpan("attempt", { "job.backend": jobs.name }, parent)
+
+      // proxy function to get the response from the service
+      const resolveJob: ResolveFnSignature = (resolution) => {
+        this.running.delete(id)
+        recordJobMetrics(jobs.name, resolution, performance.now() - started)
+        span.setAttributes({ "job.error": resolution.error })
+        endSpan(span, resolution.type === "failure" ? resolution.error || ExtractError.UNKNOWN : null)
+        resolve(resolution)
+      }
 
       // push the job to correct service, which will resolve with error or failure to the resolveJob
-      // method, which will in turn either resolve with the data or reject
+      // method
       await jobs.addJob({
+        id,
         params,
-        resolve: resolveJob
+        resolve: resolveJob,
+        onStatus,
+        span,
+      })
+    })
+  }
+
+  /**
+   * Submits a job without waiting for it, its record is kept in the store and
+   * updated as the job progresses. Once it's over, the webhook (if any) is
+   * notified with its status and response, and onDone is called
+   */
+  async submitJob(params: JobRequestParams, options: SubmitJobOptions = {}): Promise<JobRecord> {
+    const { webhook, client, onDone } = options
+    const now = new Date().toISOString()
+    const record: JobRecord = {
+      id: randomUUID(),
+      status: JobStatus.SUBMITTED,
+      createdAt: now,
+      updatedAt: now,
+      params,
+      webhook,
+      client,
+    }
+    await this.store.put(record)
+
+    const onStatus: StatusFnSignature = status => {
+      this.updateJob(record.id, { status }).catch(err => console.log(err))
+    }
+    this.extract(params, onStatus, record.id)
+      .then(
+        (data): JobResolution => ({ type: "success", data }),
+        (err): JobResolution => err?.type === "failure" ? err : { type: "failure", error: ExtractError.UNKNOWN },
+      )
+      .then(resolution => this.updateJob(record.id, {
+        status: resolution.type === "success"
+          ? JobStatus.SUCCEEDED
+          : resolution.error === ExtractError.JOB_CANCELLED ? JobStatus.CANCELLED : JobStatus.FAILED,
+        resolution,
+      }))
+      // the record may have been completed by cancelJob() already
+      .then(() => this.store.get(record.id))
+      .then(job => {
+        if (job?.webhook) {
+          return notifyWebhook(job.webhook, {
+            ...getJobStatusResponse(job),
+            result: job.resolution?.data,
+          })
+        }
       })
+      .catch(err => console.log(err))
+      .finally(() => onDone?.())
+
+    return record
+  }
+
+  async getJob(id: string): Promise<JobRecord|null> {
+    return this.store.get(id)
+  }
+
+  /**
+   * Applies changes to the record of a job, the records of the jobs which are
+   * over aren't changed anymore. Resolves with the record, if it was changed.
+   * The updates of a record are applied one after the other, so that they don't
+   * overwrite each other
+   */
+  updateJob(id: string, changes: Partial<JobRecord>): Promise<JobRecord|null> {
+    const previous = this.updates.get(id) || Promise.resolve(null)
+    const update = previous
+      .catch(() => null)
+      .then(() => this.applyJobUpdate(id, changes))
+    this.updates.set(id, update)
+    const cleanup = () => {
+      if (this.updates.get(id) === update) this.updates.delete(id)
+    }
+    update.then(cleanup, cleanup)
+    return update
+  }
+
+  async applyJobUpdate(id: string, changes: Partial<JobRecord>): Promise<JobRecord|null> {
+    const record = await this.store.get(id)
+    if (!record || JobFinalStatuses.includes(record.status)) return null
+    const updated = {
+      ...record,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    }
+    await this.store.put(updated)
+    return updated
+  }
+
+  /**
+   * Cancels a job which isn't over yet, resolves with its record or throws
+   * JOB_NOT_FOUND, JOB_NOT_CANCELLABLE (if the job is over or can't be cancelled
+   * by its service). If other requests are waiting for the same job (see
+   * extract()), the request stops waiting for it and the job goes on for the
+   * others, it's only cancelled once no request waits for it anymore
+   */
+  async cancelJob(id: string): Promise<JobRecord> {
+    const record = await this.store.get(id)
+    if (!record) {
+      throw ExtractError.JOB_NOT_FOUND
+    }
+    if (JobFinalStatuses.includes(record.status)) {
+      throw ExtractError.JOB_NOT_CANCELLABLE
+    }
+    const job = this.waiting.get(id)
+    // a request which stopped waiting for a job can't cancel it for the others
+    if (!job && [...this.waiting.values()].some(waited => waited.id === id)) {
+      throw ExtractError.JOB_NOT_CANCELLABLE
+    }
+    if (job && job.waiters.size > 1) {
+      const waiter = job.waiters.get(id)!
+      job.waiters.delete(id)
+      this.waiting.delete(id)
+      waiter.reject({ type: "failure", error: ExtractError.JOB_CANCELLED })
+    }
+    else {
+      // the job runs with the id of the request which started it
+      const runId = job?.id || id
+      // the identical requests don't join a job being cancelled
+      if (job && this.inflight.get(job.key) === job) {
+        this.inflight.delete(job.key)
+      }
+      const jobs = this.running.get(runId)
+      let cancelled = false
+      try {
+        cancelled = !!jobs && await jobs.cancelJob(runId)
+      }
+      catch(err) {
+        // the backend couldn't be reached, the job may still be running
+        console.log(err)
+      }
+      if (!cancelled) {
+        // the job goes on, it can be joined again
+        if (job && job.waiters.size > 0 && !this.inflight.has(job.key)) {
+          this.inflight.set(job.key, job)
+        }
+        throw ExtractError.JOB_NOT_CANCELLABLE
+      }
+    }
+    // the job is now over, its resolution doesn't change the record anymore
+    const updated = await this.updateJob(id, {
+      status: JobStatus.CANCELLED,
+      resolution: {
+        type: "failure",
+        error: ExtractError.JOB_CANCELLED,
+      },
     })
+    return updated || record
   }
 }
 
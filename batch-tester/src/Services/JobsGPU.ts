@@ -1,11 +1,14 @@
-import { JobRequest, JobWaiting } from "../types/Jobs"
+import { JobRequest, JobStatus, JobWaiting } from "../types/Jobs"
 import { JobsClass } from "./Jobs"
-import { BatchClient, CancelJobCommand, ListJobsCommand, SubmitJobCommand, SubmitJobCommandInput } from "@aws-sdk/client-batch"
-import { CaptureMode, CaptureTriggerMode } from "../types/Capture"
-import { ExtractError } from "../types/Responses"
+import { BatchClient, CancelJobCommand, ListJobsCommand, SubmitJobCommand, SubmitJobCommandInput, TerminateJobCommand } from "@aws-sdk/client-batch"
+import { ResourceLimits } from "../types/Capture"
+import { CaptureResult, ExtractError } from "../types/Responses"
 import { GetObjectCommand, S3Client } from "@aws-sdk/client-s3"
 import { bufferToBase64, streamToBuffer } from "../utils/files"
+import { buildCaptureArgs } from "../utils/command"
 import { performance } from "perf_hooks"
+import { setQueueDepth } from "../utils/metrics"
+import { buildTraceArgs, endSpan, tracer } from "../utils/tracing"
 
 const FETCH_JOB_STATUS_INTERVAL_MS = parseInt(process.env.FETCH_JOB_STATUS_INTERVAL_MS)
 
@@ -15,6 +18,7 @@ const queueStatus = [
 type TGpuQueueStatus = typeof queueStatus[number]
 
 export class JobsGPU extends JobsClass {
+  readonly name = "gpu"
   jobs: JobWaiting[] = []
   client: BatchClient
   s3client: S3Client
@@ -31,56 +35,32 @@ export class JobsGPU extends JobsClass {
 
   override async addJob(request: JobRequest) {
     try {
-      console.log("adding a GPU job to aws batch")
-      console.log(request)
-  
-      const settings = request.params.captureSettings
-  
-      // build a list of optionnal CLI parameters to add to the command
       const command: string[] = [
         "node",
         "index.js",
-        "--url",
-        settings.url,
-        "--mode",
-        settings.mode,
+        ...buildCaptureArgs(request.params.captureSettings),
+        // the capture phases are traced as children of the job
+        ...buildTraceArgs(request.span),
       ]
-      if (settings.mode === CaptureMode.CANVAS) {
-        command.push("--selector")
-        command.push(settings.canvasSelector!)
-      }
-      else {
-        command.push("--resX")
-        command.push(settings.resolution!.x as any)
-        command.push("--resY")
-        command.push(settings.resolution!.y as any)
-      }
-      if (settings.triggerMode) {
-        command.push("--trigger")
-        command.push(settings.triggerMode)
-      }
-      if (settings.delay != null && !isNaN(settings.delay)) {
-        command.push("--delay")
-        command.push(settings.delay as any)
-      }
 
-      console.log("--------------")
-      console.log("command:")
-      console.log(command)
-      console.log("--------------")
-  
+      const jobQueue = request.params.priority ? process.env.AWS_BATCH_GPU_JOB_QUEUE_PRIORITY_ARN : process.env.AWS_BATCH_GPU_JOB_QUEUE_ARN
       const jobCommand = new SubmitJobCommand({
         jobDefinition: process.env.AWS_BATCH_GPU_JOB_DEF_ARN,
         jobName: process.env.AWS_BATCH_JOB_NAME,
-        jobQueue: request.params.priority ? process.env.AWS_BATCH_GPU_JOB_QUEUE_PRIORITY_ARN : process.env.AWS_BATCH_GPU_JOB_QUEUE_ARN,
+        jobQueue,
         containerOverrides: {
           command,
         },
       })
 
-      console.log(request.params.priority ? process.env.AWS_BATCH_GPU_JOB_QUEUE_PRIORITY_ARN : process.env.AWS_BATCH_GPU_JOB_QUEUE_ARN,)
+      console.log(`⏳  submitting job ${request.id} to ${jobQueue}: ${command.join(" ")}`)
   
-      const response = await this.client.send(jobCommand)
+      const response = await tracer.trace(
+        "submit",
+        () => this.client.send(jobCommand),
+        { "aws.batch.queue": jobQueue },
+        request.span
+      )
 
       // ensures that we have a job ID
       if (!response.jobId) {
@@ -88,11 +68,18 @@ export class JobsGPU extends JobsClass {
       }
   
       // add the job to the waiting list
-      this.jobs.push({
+      const job: JobWaiting = {
         id: response.jobId,
+        requestId: request.id,
         resolve: request.resolve,
+        onStatus: request.onStatus,
         started: performance.now(), 
-      })
+        span: request.span,
+        // the job is polled until it's over
+        runSpan: tracer.startSpan("poll", { "aws.batch.job_id": response.jobId }, request.span),
+      }
+      this.jobs.push(job)
+      this.updateJobStatus(job, JobStatus.SUBMITTED)
     }
     catch(err) {
       console.log(err)
@@ -105,7 +92,77 @@ export class JobsGPU extends JobsClass {
 
   removeJobFromQueue(job: JobWaiting) {
     const index = this.jobs.indexOf(job)
-    this.jobs.splice(index, 1)
+    if (index !== -1) this.jobs.splice(index, 1)
+    job.runSpan?.end()
+  }
+
+  /**
+   * Records the status of a job on AWS Batch, and reports its changes
+   */
+  updateJobStatus(job: JobWaiting, status: JobStatus) {
+    if (job.status === status) return
+    job.status = status
+    job.onStatus?.(status)
+  }
+
+  /**
+   * The jobs still in the queue are cancelled, the ones which have started need
+   * to be terminated
+   */
+  override async cancelJob(requestId: string): Promise<boolean> {
+    const job = this.jobs.find(job => job.requestId === requestId)
+    if (!job) return false
+    const input = {
+      jobId: job.id,
+      reason: "cancelled by the client",
+    }
+    if (job.status === JobStatus.STARTING || job.status === JobStatus.RUNNING) {
+      await this.client.send(new TerminateJobCommand(input))
+    }
+    else {
+      await this.client.send(new CancelJobCommand(input))
+    }
+    // the job may have been resolved by the polling in the meantime
+    if (!this.jobs.includes(job)) return false
+    console.log(`🚫  job ${job.id} cancelled`)
+    this.removeJobFromQueue(job)
+    job.resolve({
+      type: "failure",
+      error: ExtractError.JOB_CANCELLED,
+    })
+    return true
+  }
+
+  /**
+   * Fetches the result.json written by the capture module next to the preview.
+   * Resolves with null if the job didn't write any (ie: the container crashed)
+   */
+  async getJobResult(job: JobWaiting): Promise<CaptureResult|null> {
+    const span = tracer.startSpan("retrieve result", {}, job.span)
+    try {
+      const response = await this.s3client.send(new GetObjectCommand({
+        Bucket: process.env.AWS_BUCKET_ID,
+        Key: `${job.id}/result.json`
+      }))
+      if (!response.Body) return null
+      const buffer = await streamToBuffer(response.Body)
+      return JSON.parse(buffer.toString())
+    }
+    catch {
+      return null
+    }
+    finally {
+      span.end()
+    }
+  }
+
+  /**
+   * The URL of the diagnostics.json written by the capture module, if the result
+   * lists it (ie: the diagnostics were requested)
+   */
+  getDiagnosticsUrl(job: JobWaiting, result: CaptureResult|null): string|undefined {
+    if (!result?.artifacts.includes("diagnostics.json")) return undefined
+    return `https://${process.env.AWS_BUCKET_ID}.s3.${process.env.AWS_REGION}.amazonaws.com/${job.id}/diagnostics.json`
   }
 
   async jobSuccess(job: JobWaiting) {
@@ -114,13 +171,25 @@ export class JobsGPU extends JobsClass {
     // leave a track of the failure
     console.log(`✔️  job ${job.id} succeeded (${(performance.now()-job.started)/1000|0}s)`)
     // fetch the result of the JOB on S3
+    const span = tracer.startSpan("retrieve artifacts", {}, job.span)
     try {
-      // get the preview stored in preview.png
-      const getCommand = new GetObjectCommand({
-        Bucket: process.env.AWS_BUCKET_ID,
-        Key: `${job.id}/preview.png`
-      })
-      const response = await this.s3client.send(getCommand)
+      // the result lists the artifacts, the preview extension depends on its format
+      // and FEATURES jobs don't have any preview
+      const result = await this.getJobResult(job)
+      const previewName = result
+        ? result.artifacts.find(name => name.startsWith("preview."))
+        : "preview.png"
+
+      // get the preview stored in preview.{ext}
+      let captureBase64: string|undefined = undefined
+      if (previewName) {
+        const response = await this.s3client.send(new GetObjectCommand({
+          Bucket: process.env.AWS_BUCKET_ID,
+          Key: `${job.id}/${previewName}`
+        }))
+        if (!response.Body) throw null
+        captureBase64 = await bufferToBase64(await streamToBuffer(response.Body))
+      }
       
       // get the features stored in the features.json file
       const getFeaturesCommand = new GetObjectCommand({
@@ -130,15 +199,34 @@ export class JobsGPU extends JobsClass {
       const responseFeatures = await this.s3client.send(getFeaturesCommand)
 
       // turn the streams into Buffers
-      if (responseFeatures.Body && response.Body) {
-        const previewBuffer = await streamToBuffer(response.Body)
+      if (responseFeatures.Body) {
         const featuresBuffer = await streamToBuffer(responseFeatures.Body)
+
+        // in compare mode, the diff with the reference is stored as diff.png
+        let diffBase64: string|undefined = undefined
+        if (result?.artifacts.includes("diff.png")) {
+          const responseDiff = await this.s3client.send(new GetObjectCommand({
+            Bucket: process.env.AWS_BUCKET_ID,
+            Key: `${job.id}/diff.png`
+          }))
+          if (responseDiff.Body) {
+            diffBase64 = await bufferToBase64(await streamToBuffer(responseDiff.Body))
+          }
+        }
+
+        const features = JSON.parse(featuresBuffer.toString())
+        span.end()
         job.resolve({
           type: "success",
           data: {
-            captureBase64: await bufferToBase64(previewBuffer),
-            features: JSON.parse(featuresBuffer.toString()),
-          }
+            captureBase64,
+            features,
+            comparison: result?.comparison || undefined,
+            diffBase64,
+            blockedRequests: result?.blockedRequests,
+            diagnosticsUrl: this.getDiagnosticsUrl(job, result),
+          },
+          captureAttempts: result?.attempts,
         })
       }
       else {
@@ -147,6 +235,7 @@ export class JobsGPU extends JobsClass {
     }
     catch {
       // error when fetching the results on S3
+      endSpan(span, ExtractError.JOB_EXECUTION_FAILED)
       job.resolve({
         type: "failure",
         error: ExtractError.JOB_EXECUTION_FAILED,
@@ -157,12 +246,17 @@ export class JobsGPU extends JobsClass {
   async jobFailed(job: JobWaiting) {
     // remove hte job from the queue
     this.removeJobFromQueue(job)
+    // the capture module reports why it failed in its result, if it could
+    const result = await this.getJobResult(job)
     // leave a track of the failure
-    console.log(`❌  job ${job.id} failed (${(performance.now()-job.started)/1000|0}s)`)
+    console.log(`❌  job ${job.id} failed with ${result?.error || "no result"} (${(performance.now()-job.started)/1000|0}s)`)
     // resolve with a failure
     job.resolve({
       type: "failure",
-      error: ExtractError.JOB_EXECUTION_FAILED,
+      error: result?.error || ExtractError.JOB_EXECUTION_FAILED,
+      errorDetail: result?.errorDetail || undefined,
+      diagnosticsUrl: this.getDiagnosticsUrl(job, result),
+      captureAttempts: result?.attempts,
     })
   }
 
@@ -179,7 +273,7 @@ export class JobsGPU extends JobsClass {
     const now = performance.now()
     for (const job of this.jobs) {
       const duration = now - job.started
-      if (duration >= 60 * 60 * 1000) {
+      if (duration >= ResourceLimits.JOB_TIMEOUT) {
         // we also send a request to cancel the job on AWS
         const cmd = new CancelJobCommand({
           jobId: job.id,
@@ -226,6 +320,9 @@ export class JobsGPU extends JobsClass {
         if (jobResult) {
           const status = jobResult.status
           console.log(`${job.id}: ${status}`)
+          if (queueStatus.includes(status as TGpuQueueStatus)) {
+            this.updateJobStatus(job, status as JobStatus)
+          }
 
           // if the job succeeded, resolve with success
           if (status === "SUCCEEDED") {
@@ -273,6 +370,9 @@ export class JobsGPU extends JobsClass {
         if (jobResult) {
           const status = jobResult.status
           console.log(`${job.id}: ${status}`)
+          if (queueStatus.includes(status as TGpuQueueStatus)) {
+            this.updateJobStatus(job, status as JobStatus)
+          }
 
           // if the job succeeded, resolve with success
           if (status === "SUCCEEDED") {
@@ -286,6 +386,8 @@ export class JobsGPU extends JobsClass {
       }
     }
 
+    setQueueDepth(this.name, countByStatus)
+
     // recall the loop
     setTimeout(this.loop, FETCH_JOB_STATUS_INTERVAL_MS)
   }
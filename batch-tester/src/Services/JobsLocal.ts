@@ -0,0 +1,277 @@
+import { ChildProcess, spawn } from "child_process"
+import { promises as fs } from "fs"
+import os from "os"
+import path from "path"
+import { performance } from "perf_hooks"
+import { JobRequest, JobStatus, JobWaiting } from "../types/Jobs"
+import { ResourceLimits } from "../types/Capture"
+import { CaptureResult, ExtractError } from "../types/Responses"
+import { buildCaptureArgs } from "../utils/command"
+import { bufferToBase64 } from "../utils/files"
+import { setQueueDepth } from "../utils/metrics"
+import { buildTraceArgs, endSpan, tracer } from "../utils/tracing"
+import { JobsClass } from "./Jobs"
+
+/**
+ * The defaults of the local backend, which can be overriden by the environment
+ */
+export const LocalJobsDefaults = {
+  // the number of capture processes running at the same time
+  WORKERS: 2,
+  // the directory of the capture module (index.js), the root of the repository
+  CAPTURE_MODULE_DIR: path.resolve(__dirname, "../../.."),
+  // where the artifacts of the jobs are written, under {OUTPUT_DIR}/{job id}/
+  OUTPUT_DIR: path.join(os.tmpdir(), "fxhash-extract"),
+}
+
+/**
+ * Runs the jobs on this machine, by spawning the capture module as a child
+ * process with a file system output. At most LOCAL_WORKERS jobs run at the same
+ * time, the other ones are queued. It doesn't require any cloud service, so the
+ * whole API can run on a developer machine or in CI
+ */
+export class JobsLocal extends JobsClass {
+  readonly name = "local"
+  jobs: JobWaiting[] = []
+  queue: JobRequest[] = []
+  // the capture processes of the running jobs, by job id
+  processes = new Map<string, ChildProcess>()
+  workers: number
+  moduleDir: string
+  outputDir: string
+
+  override start(): void {
+    this.workers = parseInt(process.env.LOCAL_WORKERS || "") || LocalJobsDefaults.WORKERS
+    this.moduleDir = path.resolve(process.env.LOCAL_CAPTURE_MODULE_DIR || LocalJobsDefaults.CAPTURE_MODULE_DIR)
+    this.outputDir = path.resolve(process.env.LOCAL_OUTPUT_DIR || LocalJobsDefaults.OUTPUT_DIR)
+    console.log(`running jobs locally with ${this.workers} worker(s), from ${this.moduleDir}`)
+  }
+
+  override async addJob(request: JobRequest) {
+    console.log(`⏳  job ${request.id} queued locally`)
+    this.queue.push(request)
+    request.onStatus?.(JobStatus.RUNNABLE)
+    this.next()
+  }
+
+  /**
+   * Starts the queued jobs, as long as some workers are available
+   */
+  next() {
+    while (this.jobs.length < this.workers && this.queue.length > 0) {
+      this.run(this.queue.shift()!)
+    }
+    this.updateQueueDepth()
+  }
+
+  updateQueueDepth() {
+    setQueueDepth(this.name, {
+      [JobStatus.RUNNABLE]: this.queue.length,
+      [JobStatus.RUNNING]: this.jobs.length,
+    })
+  }
+
+  run(request: JobRequest) {
+    // the artifacts of the job are written under its request id
+    const id = request.id
+    const job: JobWaiting = {
+      id,
+      requestId: id,
+      resolve: request.resolve,
+      onStatus: request.onStatus,
+      status: JobStatus.RUNNING,
+      started: performance.now(),
+      span: request.span,
+      // the capture process runs until the job is over
+      runSpan: tracer.startSpan("run", {}, request.span),
+    }
+    this.jobs.push(job)
+    job.onStatus?.(JobStatus.RUNNING)
+
+    const args = [
+      "index.js",
+      ...buildCaptureArgs(request.params.captureSettings),
+      "--output",
+      "FS",
+      "--outputDir",
+      this.outputDir,
+      "--outputKey",
+      id,
+      // the capture phases are traced as children of the job
+      ...buildTraceArgs(request.span),
+    ]
+    console.log(`▶️  job ${id} running: node ${args.join(" ")}`)
+
+    const child = spawn(process.execPath, args, {
+      cwd: this.moduleDir,
+      env: process.env,
+      stdio: "inherit",
+    })
+    this.processes.set(id, child)
+
+    // the run is stopped if it outlives the jobs timeout, as on AWS Batch
+    const timeout = setTimeout(() => {
+      console.log(`job ${id} timed out, stopping it`)
+      child.kill("SIGKILL")
+    }, ResourceLimits.JOB_TIMEOUT)
+
+    let done = false
+    const onEnd = (code: number|null) => {
+      if (done) return
+      done = true
+      clearTimeout(timeout)
+      this.processes.delete(id)
+      // cancelled jobs are already resolved
+      if (job.status === JobStatus.CANCELLED) {
+        this.removeJobFromQueue(job)
+        this.cleanup(job, null).finally(() => this.next())
+        return
+      }
+      const end = code === 0 ? this.jobSuccess(job) : this.jobFailed(job)
+      end.finally(() => this.next())
+    }
+    child.on("error", (err) => {
+      console.log(err)
+      onEnd(null)
+    })
+    child.on("exit", onEnd)
+  }
+
+  /**
+   * Queued jobs are removed from the queue, the capture process of running ones
+   * is killed
+   */
+  override async cancelJob(requestId: string): Promise<boolean> {
+    const queued = this.queue.find(request => request.id === requestId)
+    if (queued) {
+      this.queue.splice(this.queue.indexOf(queued), 1)
+      this.updateQueueDepth()
+      queued.resolve({
+        type: "failure",
+        error: ExtractError.JOB_CANCELLED,
+      })
+      return true
+    }
+    const job = this.jobs.find(job => job.requestId === requestId)
+    const child = this.processes.get(requestId)
+    if (!job || !child) return false
+    console.log(`🚫  job ${job.id} cancelled`)
+    // the job keeps its worker until its process exits
+    job.status = JobStatus.CANCELLED
+    child.kill("SIGKILL")
+    job.resolve({
+      type: "failure",
+      error: ExtractError.JOB_CANCELLED,
+    })
+    return true
+  }
+
+  removeJobFromQueue(job: JobWaiting) {
+    const index = this.jobs.indexOf(job)
+    if (index !== -1) this.jobs.splice(index, 1)
+    job.runSpan?.end()
+  }
+
+  /**
+   * The path of an artifact of a job in the output directory
+   */
+  artifactPath(job: JobWaiting, name: string): string {
+    return path.join(this.outputDir, job.id, name)
+  }
+
+  /**
+   * Reads the result.json written by the capture module next to the preview.
+   * Resolves with null if the job didn't write any (ie: the process crashed)
+   */
+  async getJobResult(job: JobWaiting): Promise<CaptureResult|null> {
+    try {
+      const buffer = await fs.readFile(this.artifactPath(job, "result.json"))
+      return JSON.parse(buffer.toString())
+    }
+    catch {
+      return null
+    }
+  }
+
+  /**
+   * The URL of the diagnostics.json written by the capture module, if the result
+   * lists it (ie: the diagnostics were requested)
+   */
+  getDiagnosticsUrl(job: JobWaiting, result: CaptureResult|null): string|undefined {
+    if (!result?.artifacts.includes("diagnostics.json")) return undefined
+    return `file://${this.artifactPath(job, "diagnostics.json")}`
+  }
+
+  /**
+   * Removes the artifacts of a job once they were read, unless they include
+   * diagnostics, which are read afterwards through their URL
+   */
+  async cleanup(job: JobWaiting, result: CaptureResult|null) {
+    if (result?.artifacts.includes("diagnostics.json")) return
+    await fs.rm(path.join(this.outputDir, job.id), { recursive: true, force: true })
+      .catch(err => console.log(err))
+  }
+
+  async jobSuccess(job: JobWaiting) {
+    this.removeJobFromQueue(job)
+    console.log(`✔️  job ${job.id} succeeded (${(performance.now()-job.started)/1000|0}s)`)
+    const span = tracer.startSpan("retrieve artifacts", {}, job.span)
+    const result = await this.getJobResult(job)
+    try {
+      // the result lists the artifacts, the preview extension depends on its format
+      // and FEATURES jobs don't have any preview
+      const previewName = result
+        ? result.artifacts.find(name => name.startsWith("preview."))
+        : "preview.png"
+      const captureBase64 = previewName
+        ? await bufferToBase64(await fs.readFile(this.artifactPath(job, previewName)))
+        : undefined
+      const features = JSON.parse(
+        (await fs.readFile(this.artifactPath(job, "features.json"))).toString()
+      )
+      // in compare mode, the diff with the reference is stored as diff.png
+      const diffBase64 = result?.artifacts.includes("diff.png")
+        ? await bufferToBase64(await fs.readFile(this.artifactPath(job, "diff.png")))
+        : undefined
+      span.end()
+
+      job.resolve({
+        type: "success",
+        data: {
+          captureBase64,
+          features,
+          comparison: result?.comparison || undefined,
+          diffBase64,
+          blockedRequests: result?.blockedRequests,
+          diagnosticsUrl: this.getDiagnosticsUrl(job, result),
+        },
+        captureAttempts: result?.attempts,
+      })
+    }
+    catch(err) {
+      console.log(err)
+      // the artifacts couldn't be read
+      endSpan(span, err)
+      job.resolve({
+        type: "failure",
+        error: ExtractError.JOB_EXECUTION_FAILED,
+      })
+    }
+    await this.cleanup(job, result)
+  }
+
+  async jobFailed(job: JobWaiting) {
+    this.removeJobFromQueue(job)
+    // the capture module reports why it failed in its result, if it could
+    const result = await this.getJobResult(job)
+    console.log(`❌  job ${job.id} failed with ${result?.error || "no result"} (${(performance.now()-job.started)/1000|0}s)`)
+    job.resolve({
+      type: "failure",
+      error: result?.error || ExtractError.JOB_EXECUTION_FAILED,
+      errorDetail: result?.errorDetail || undefined,
+      diagnosticsUrl: this.getDiagnosticsUrl(job, result),
+      captureAttempts: result?.attempts,
+    })
+    await this.cleanup(job, result)
+  }
+}
@@ -1,28 +1,48 @@
 import axios from "axios"
-import { JobRequest } from "../types/Jobs"
+import { CaptureSettings } from "../types/Capture"
+import { JobRequest, JobStatus } from "../types/Jobs"
+import { ExtractError } from "../types/Responses"
+import { toCaptureOptions } from "../utils/command"
 import { bufferToBase64 } from "../utils/files"
 import { JobsClass } from "./Jobs"
 
+/**
+ * The options of the capture module the cloud functions support, the other
+ * ones would be ignored
+ */
+const NoGPUSupportedOptions = ["url", "mode", "trigger", "resX", "resY", "delay", "selector"]
+
 
 /**
  * This is a temporary service which offers an access to the cloud functions running without a
  * GPU, because for now no-GPU rendering is done with another service than with GPUs
  */
 export class JobsNoGPU extends JobsClass {
+  readonly name = "no-gpu"
+
+  override getUnsupportedSettings(settings: CaptureSettings): string[] {
+    const unsupported = Object.keys(toCaptureOptions(settings))
+      .filter(option => !NoGPUSupportedOptions.includes(option))
+    // the cloud functions only support a single trigger
+    if (settings.triggers) unsupported.push("triggerMode")
+    return unsupported
+  }
+
   async addJob(request: JobRequest): Promise<void> {
     try {
       const settings = request.params.captureSettings
 
-      console.log(`received job, settings:`)
-      console.log(request.params)
+      console.log(`▶️  job ${request.id} running on the no-GPU API: ${JSON.stringify(settings)}`)
+      request.onStatus?.(JobStatus.RUNNING)
 
       // call the NO_GPU capture instance to get a Buffer of the capture
       const responseCapture = await axios.post<any>(process.env.API_CAPTURE_NO_GPU!, {
         url: settings.url,
         mode: settings.mode,
         triggerMode: settings.triggerMode,
-        resX: settings.resolution!.x,
-        resY: settings.resolution!.y,
+        // the resolution is optional, the undefined fields aren't sent
+        resX: settings.resolution?.x,
+        resY: settings.resolution?.y,
         delay: settings.delay,
         canvasSelector: settings.canvasSelector,
       }, {
@@ -56,10 +76,14 @@ export class JobsNoGPU extends JobsClass {
     }
     catch(err) {
       console.log(err)
-      // we respond with an error
+      // we respond with an error, the API couldn't be reached if there is no
+      // response at all
       request.resolve({
         type: "failure",
-        error: "ERROR"
+        error: axios.isAxiosError(err) && !err.response
+          ? ExtractError.EXTRACT_SERVICE_UNREACHABLE
+          : ExtractError.JOB_EXECUTION_FAILED,
+        errorDetail: err instanceof Error ? err.message : undefined,
       })
     }
   }
@@ -0,0 +1,189 @@
+import { GetObjectCommand, PutObjectCommand, S3Client } from "@aws-sdk/client-s3"
+import { randomUUID } from "crypto"
+import { promises as fs } from "fs"
+import path from "path"
+import { JobResponse } from "../types/Jobs"
+import { streamToBuffer } from "../utils/files"
+
+/**
+ * The stores the responses of the jobs can be cached in, selected with the
+ * CACHE_STORE variable. The responses aren't cached if it isn't defined
+ */
+export enum ResultCacheType {
+  MEMORY  = "MEMORY",
+  FS      = "FS",
+  S3      = "S3",
+}
+
+export const ResultCacheDefaults = {
+  DIR: "./cache",
+  // how long the responses are served from the cache, in ms
+  TTL: 60 * 60 * 1000,
+  // the max number of responses kept by the memory cache, the oldest ones are
+  // dropped first
+  MAX_ENTRIES: 500,
+  // the prefix of the keys of the responses in the S3 bucket
+  S3_PREFIX: "cache/",
+}
+
+/**
+ * A response in the cache, with the time after which it expires
+ */
+interface CacheEntry {
+  expiresAt: number
+  response: JobResponse
+}
+
+/**
+ * A ResultCache keeps the responses of the jobs under their cache key (see
+ * getCacheKey()), any storage can be plugged in as long as it implements this
+ * interface
+ */
+export interface ResultCache {
+  /**
+   * Resolves with the response cached under the key, or null if there's none
+   * or if it expired
+   */
+  get(key: string): Promise<JobResponse|null>
+  /**
+   * Caches a response under the key, for the TTL of the cache
+   */
+  put(key: string, response: JobResponse): Promise<void>
+}
+
+/**
+ * Keeps the responses in memory, they are lost when the service restarts
+ */
+export class MemoryResultCache implements ResultCache {
+  entries = new Map<string, CacheEntry>()
+
+  constructor(public ttl: number, public maxEntries: number) {}
+
+  async get(key: string) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry.response
+  }
+
+  async put(key: string, response: JobResponse) {
+    // the entries are iterated in their insertion order, the first one is
+    // the oldest
+    this.entries.delete(key)
+    this.entries.set(key, { expiresAt: Date.now() + this.ttl, response })
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+}
+
+/**
+ * Keeps each response as a {key}.json file in a directory, so that they
+ * survive restarts and can be shared by the instances of the service. The
+ * responses which expired are removed once they are read
+ */
+export class FsResultCache implements ResultCache {
+  constructor(public dir: string, public ttl: number) {}
+
+  file(key: string) {
+    return path.join(this.dir, `${key}.json`)
+  }
+
+  async get(key: string) {
+    try {
+      const entry: CacheEntry = JSON.parse((await fs.readFile(this.file(key))).toString())
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(this.file(key), { force: true })
+        return null
+      }
+      return entry.response
+    }
+    catch {
+      return null
+    }
+  }
+
+  async put(key: string, response: JobResponse) {
+    const entry: CacheEntry = { expiresAt: Date.now() + this.ttl, response }
+    await fs.mkdir(this.dir, { recursive: true })
+    // written in 2 steps so that a response is never read half written
+    const tmp = `${this.file(key)}.${randomUUID()}.tmp`
+    await fs.writeFile(tmp, JSON.stringify(entry))
+    await fs.rename(tmp, this.file(key))
+  }
+}
+
+/**
+ * Keeps each response as a {prefix}{key}.json object in an S3 bucket, or in a
+ * bucket of an S3-compatible service (MinIO...) if an endpoint is given. The
+ * responses which expired are ignored, a lifecycle rule of the bucket can
+ * remove them
+ */
+export class S3ResultCache implements ResultCache {
+  client: S3Client
+
+  constructor(public bucket: string, public prefix: string, public ttl: number, endpoint?: string) {
+    this.client = new S3Client({
+      region: process.env.AWS_REGION,
+      endpoint,
+      // the S3-compatible services don't support the virtual-hosted buckets
+      forcePathStyle: !!endpoint,
+    })
+  }
+
+  async get(key: string) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: `${this.prefix}${key}.json`,
+      }))
+      if (!response.Body) return null
+      const entry: CacheEntry = JSON.parse((await streamToBuffer(response.Body)).toString())
+      return entry.expiresAt > Date.now() ? entry.response : null
+    }
+    catch {
+      return null
+    }
+  }
+
+  async put(key: string, response: JobResponse) {
+    const entry: CacheEntry = { expiresAt: Date.now() + this.ttl, response }
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `${this.prefix}${key}.json`,
+      Body: JSON.stringify(entry),
+      ContentType: "application/json",
+    }))
+  }
+}
+
+/**
+ * Instanciates the cache defined by the environment, or resolves with null if
+ * the responses aren't cached
+ */
+export function createResultCache(): ResultCache|null {
+  const type = process.env.CACHE_STORE as ResultCacheType|undefined
+  if (!type) return null
+  const ttl = parseInt(process.env.CACHE_TTL || "") || ResultCacheDefaults.TTL
+  switch (type) {
+    case ResultCacheType.MEMORY:
+      return new MemoryResultCache(
+        ttl,
+        parseInt(process.env.CACHE_MAX_ENTRIES || "") || ResultCacheDefaults.MAX_ENTRIES
+      )
+    case ResultCacheType.FS:
+      return new FsResultCache(path.resolve(process.env.CACHE_DIR || ResultCacheDefaults.DIR), ttl)
+    case ResultCacheType.S3:
+      return new S3ResultCache(
+        process.env.CACHE_S3_BUCKET || process.env.AWS_BUCKET_ID,
+        process.env.CACHE_S3_PREFIX ?? ResultCacheDefaults.S3_PREFIX,
+        ttl,
+        process.env.CACHE_S3_ENDPOINT
+      )
+    default:
+      throw new Error(`unsupported cache store: ${type}`)
+  }
+}
@@ -2,19 +2,36 @@ require("dotenv").config()
 import express from "express"
 import cors from "cors"
 import { routeExtract } from "./routes/extract"
+import { routeJobs } from "./routes/jobs"
+import { routeMetrics } from "./routes/metrics"
+import { ApiClients } from "./Services/ApiClients"
 import { JobsFactory } from "./Services/JobsFactory"
+import { handleBodyErrors } from "./utils/request"
+import { traceRequests } from "./utils/tracing"
 
 const main = async () => {
   // start express instance
   const app = express()
-  app.use(express.json())
-  app.use(cors())
+  // the browsers can only call the API from API_CORS_ORIGINS, if defined
+  app.use(cors({
+    origin: process.env.API_CORS_ORIGINS ? process.env.API_CORS_ORIGINS.split(",") : true,
+    exposedHeaders: ["X-Cache", "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset", "Retry-After"],
+  }))
+  app.use(express.json({ limit: process.env.API_MAX_BODY_SIZE || "100kb" }))
+  app.use(handleBodyErrors)
 
   // init modules
+  ApiClients.init()
   JobsFactory.init()
 
+  // the metrics for Prometheus, its requests aren't traced
+  routeMetrics(app)
+  traceRequests(app)
+
   // runs a job on the GPU to extract any data
   routeExtract(app)
+  // the same jobs, submitted and polled asynchronously
+  routeJobs(app)
 
   app.listen(process.env.PORT, () => {
     console.log("-----------------------")
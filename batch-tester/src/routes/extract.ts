@@ -1,65 +1,52 @@
 import { Express } from "express"
 import { JobsFactory } from "../Services/JobsFactory"
-import { CaptureSettings } from "../types/Capture"
 import { JobResponse } from "../types/Jobs"
-import { ExtractError, ExtractErrors } from "../types/Responses"
-import { buildCaptureUrlFromCid } from "../utils/ipfs"
-import { validateCaptureSettings } from "../utils/validation"
+import { ExtractError } from "../types/Responses"
+import { authenticate, canUsePriority, limitJobs } from "../utils/auth"
+import { parseJobRequestParams, sendError } from "../utils/request"
 
 export function routeExtract(app: Express) {
   /**
-   * This endpoint expects: 
-   *  - capture settings: all the general capture settings
-   *  - withFeatures: a boolean which indicates whether or not we should extract features as well
+   * This endpoint expects the params described in parseJobRequestParams(), and
+   * responds once the job is over.
    * It returns a JSON response with:
-   *  - base64 encoded image
+   *  - base64 encoded image (except in FEATURES mode)
    *  - features (if any)
+   *  - comparison and base64 encoded diff image (if compare was set)
+   *  - the requests which were blocked (if allowHosts was set)
+   *  - the URL of the diagnostics (if diagnostics was set)
+   *  - the attempts of the job, on each backend it ran on
+   *  - cache: { key, status }, where the response comes from (see JobsFactory.extract()),
+   *    the status is also sent in the X-Cache header
+   * On failure, it returns { error, detail, diagnosticsUrl, attempts } where error is either an
+   * ExtractError or the CaptureError reported by the capture module.
+   * If the API requires keys, the requests are subject to the quotas of their
+   * client (see limitJobs()), and only the clients allowed to can use the
+   * priority queue (403 otherwise)
    */
-  app.post("/extract", async (req, res) => {
+  app.post("/extract", authenticate, limitJobs, async (req, res) => {
     // consume example
     try {
-      let { url, mode, triggerMode, resX, resY, delay, canvasSelector, gpu, withFeatures, priority } = req.body
-
-      if (!url) {
-        throw ExtractError.INVALID_INPUT_PARAMETERS
-      }
-
-      // create capture settings object based on the input
-      const settings: CaptureSettings = {
-        url: url,
-        mode: mode,
-        triggerMode: triggerMode,
-        resolution: {
-          x: parseInt(resX),
-          y: parseInt(resY),
-        },
-        delay: parseInt(delay),
-        canvasSelector: canvasSelector,
-        gpu: true,
-      }
-
-      // validate the capture settings at once
-      if (!validateCaptureSettings(settings)) {
-        throw ExtractError.INVALID_INPUT_PARAMETERS
+      const params = parseJobRequestParams(req.body)
+      if (params.priority && !canUsePriority(res)) {
+        throw ExtractError.PRIORITY_NOT_ALLOWED
       }
-
-      const jobResponse: JobResponse = await JobsFactory.runJob({
-        captureSettings: settings,
-        withFeatures: !!withFeatures,
-        priority: priority === "high"
-      })
+      const jobResponse: JobResponse = await JobsFactory.extract(params)
       
       // send the response back to the client
+      if (jobResponse.cache) {
+        res.set("X-Cache", jobResponse.cache.status)
+      }
       return res
         .contentType("application/json")
         .send(jobResponse)
     }
     catch(err) {
       console.log(err)
-      const returnError = ExtractErrors.includes(err as any) ? err : ExtractError.UNKNOWN
-      return res.status(500).send({
-        error: returnError
-      })
+      return sendError(res, err)
+    }
+    finally {
+      res.locals.releaseJob()
     }
   })
 }
\ No newline at end of file
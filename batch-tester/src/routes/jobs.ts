@@ -0,0 +1,99 @@
+import { Express } from "express"
+import { JobsFactory } from "../Services/JobsFactory"
+import { JobFinalStatuses } from "../types/Jobs"
+import { ExtractError } from "../types/Responses"
+import { getJobStatusResponse, parseJobRequestParams, sendError } from "../utils/request"
+import { isWebhookUrlValid } from "../utils/webhook"
+import { authenticate, canAccessJob, canUsePriority, limitJobs } from "../utils/auth"
+
+/**
+ * The asynchronous counterpart of /extract: the jobs are submitted and their
+ * state is polled, so that requests aren't held open while the jobs run. If
+ * the API requires keys, the clients only see their own jobs, and the jobs
+ * count against their quotas until they are over
+ */
+export function routeJobs(app: Express) {
+  /**
+   * Submits a job, with the same params as /extract (see parseJobRequestParams())
+   * and an optional webhook URL, which is POSTed the status of the job and its
+   * result once it's over. Responds right away with a 202 and { id, status, ... }
+   */
+  app.post("/jobs", authenticate, limitJobs, async (req, res) => {
+    try {
+      const params = parseJobRequestParams(req.body)
+      const { webhook } = req.body
+      if (webhook != null && !(await isWebhookUrlValid(webhook))) {
+        throw ExtractError.INVALID_INPUT_PARAMETERS
+      }
+      if (params.priority && !canUsePriority(res)) {
+        throw ExtractError.PRIORITY_NOT_ALLOWED
+      }
+      const record = await JobsFactory.submitJob(params, {
+        webhook,
+        client: res.locals.client?.name,
+        onDone: res.locals.releaseJob,
+      })
+      return res.status(202).send(getJobStatusResponse(record))
+    }
+    catch(err) {
+      console.log(err)
+      // the job wasn't submitted
+      res.locals.releaseJob()
+      return sendError(res, err)
+    }
+  })
+
+  /**
+   * The status of a job: { id, status, createdAt, updatedAt } and, if it failed,
+   * { error, detail, diagnosticsUrl, attempts }
+   */
+  app.get("/jobs/:id", authenticate, async (req, res) => {
+    try {
+      const record = await JobsFactory.getJob(req.params.id)
+      if (!record || !canAccessJob(res, record)) throw ExtractError.JOB_NOT_FOUND
+      return res.send(getJobStatusResponse(record))
+    }
+    catch(err) {
+      return sendError(res, err)
+    }
+  })
+
+  /**
+   * The result of a job, same as the response of /extract. Responds with a 409
+   * if the job isn't over yet, and a 410 if it was cancelled
+   */
+  app.get("/jobs/:id/result", authenticate, async (req, res) => {
+    try {
+      const record = await JobsFactory.getJob(req.params.id)
+      if (!record || !canAccessJob(res, record)) throw ExtractError.JOB_NOT_FOUND
+      if (!JobFinalStatuses.includes(record.status) || !record.resolution) {
+        throw ExtractError.JOB_NOT_FINISHED
+      }
+      if (record.resolution.type === "failure") {
+        return sendError(res, record.resolution)
+      }
+      return res
+        .contentType("application/json")
+        .send(record.resolution.data)
+    }
+    catch(err) {
+      return sendError(res, err)
+    }
+  })
+
+  /**
+   * Cancels a job which isn't over yet, responds with its status
+   */
+  app.delete("/jobs/:id", authenticate, async (req, res) => {
+    try {
+      const record = await JobsFactory.getJob(req.params.id)
+      if (!record || !canAccessJob(res, record)) throw ExtractError.JOB_NOT_FOUND
+      const cancelled = await JobsFactory.cancelJob(req.params.id)
+      return res.send(getJobStatusResponse(cancelled))
+    }
+    catch(err) {
+      console.log(err)
+      return sendError(res, err)
+    }
+  })
+}
@@ -0,0 +1,21 @@
+import { Express } from "express"
+import { authenticateMetrics } from "../utils/auth"
+import { metricsRegistry } from "../utils/metrics"
+
+export function routeMetrics(app: Express) {
+  /**
+   * The metrics of the API in the Prometheus text format, for the scrapers with
+   * the METRICS_TOKEN (see authenticateMetrics())
+   */
+  app.get("/metrics", authenticateMetrics, async (req, res) => {
+    try {
+      return res
+        .contentType(metricsRegistry.contentType)
+        .send(await metricsRegistry.metrics())
+    }
+    catch(err) {
+      console.log(err)
+      return res.status(500).send()
+    }
+  })
+}
@@ -2,23 +2,117 @@ import { Vec2 } from "./math"
 
 export enum CaptureTriggerMode {
   DELAY             = "DELAY",
+  // the page requests each frame of a GIF capture, it can't be combined
+  FN_TRIGGER_GIF    = "FN_TRIGGER_GIF",
   FN_TRIGGER        = "FN_TRIGGER",
+  FEATURES_READY    = "FEATURES_READY",
+  SELECTOR          = "SELECTOR",
+  NETWORK_IDLE      = "NETWORK_IDLE",
+  FRAMES            = "FRAMES",
 }
 export const CaptureTriggerModeList = Object.values(CaptureTriggerMode)
 
+// how the conditions of a combined trigger are combined, the values are the
+// separators understood by the capture module
+export enum CaptureTriggerCombinator {
+  // the first condition met
+  ANY   = "|",
+  // all the conditions
+  ALL   = "+",
+}
+
 export enum CaptureMode {
   CANVAS          = "CANVAS",
+  // a custom element, captured by the capture module in ELEMENT mode
   CUSTOM          = "CUSTOM",
   VIEWPORT        = "VIEWPORT",
+  ELEMENT         = "ELEMENT",
+  SVG             = "SVG",
+  FULL_PAGE       = "FULL_PAGE",
+  // only extracts the features, without any capture
+  FEATURES        = "FEATURES",
 }
 export const CaptureModeList = Object.values(CaptureMode)
 
+/**
+ * A reference image the capture is compared to, see the capture module for the
+ * meaning of the thresholds
+ */
+export interface CaptureCompareSettings {
+  reference: string
+  threshold?: number
+  minSimilarity?: number
+}
+
+/**
+ * The resource limits of a capture, the capture module applies its defaults
+ * to the ones which aren't defined
+ */
+export interface CaptureLimits {
+  // the max size of the JS heap of the page, in MB
+  maxHeap?: number
+  // the max duration of the whole run, in ms
+  timeBudget?: number
+  maxRequests?: number
+  maxBytes?: number
+}
+
 export interface CaptureSettings {
   url: string
   mode: CaptureMode
   triggerMode?: CaptureTriggerMode
+  // several conditions combined, instead of triggerMode
+  triggers?: CaptureTriggerMode[]
+  triggerCombinator?: CaptureTriggerCombinator
+  // the params of the SELECTOR, NETWORK_IDLE and FRAMES triggers
+  triggerSelector?: string
+  idleTime?: number
+  triggerFrames?: number
+  // the time after which the capture is taken even if the trigger didn't fire
+  triggerTimeout?: number
   resolution?: Vec2
   delay?: number
   canvasSelector?: string
   gpu?: boolean
+  compare?: CaptureCompareSettings
+  // the device scale factor of the page
+  scale?: number
+  // whether VIEWPORT captures are rendered in tiles, which allows larger resolutions
+  tiled?: boolean
+  // whether SVG captures are rasterized into a PNG
+  rasterize?: boolean
+  // whether every canvas matching the selector is flattened into the capture
+  composite?: boolean
+  // the hosts the page can reach (*.example.com for subdomains), the
+  // requests to other hosts are blocked
+  allowHosts?: string[]
+  limits?: CaptureLimits
+  // whether the diagnostics of the page (console, failed requests, GPU info,
+  // frame timings, performance trace) are stored with the preview
+  diagnostics?: boolean
+  // whether the capture is an animated GIF, of frameCount frames captured every
+  // captureInterval ms (or requested by the page with FN_TRIGGER_GIF), played at
+  // playbackFps
+  gif?: boolean
+  frameCount?: number
+  captureInterval?: number
+  playbackFps?: number
+  // the ANGLE backend chromium renders with (gl, gl-egl, swiftshader)
+  angleMode?: string
+  // the number of times the capture module retries a run which failed with a
+  // transient error (TIMEOUT, HTTP 5xx, BLANK_CAPTURE), after retryDelay ms
+  retries?: number
+  retryDelay?: number
+  // whether the runs which failed because of the renderer are retried with the
+  // next renderer of gl-egl, gl and swiftshader
+  rendererFallback?: boolean
+}
+
+/**
+ * The bounds of the settings are the ones of the settings schema of the capture
+ * module (src/schema.js). Jobs are cancelled after JOB_TIMEOUT, which is also
+ * the max time budget of a run
+ */
+export const ResourceLimits = {
+  JOB_TIMEOUT: 60 * 60 * 1000,
 }
\ No newline at end of file
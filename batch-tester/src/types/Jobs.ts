@@ -1,31 +1,138 @@
+import { Span } from "@opentelemetry/api";
 import { CaptureSettings } from "./Capture";
+import { CaptureAttempt, CaptureBlockedRequest, CaptureComparison } from "./Responses";
 
 export interface JobResponse {
-  captureBase64: string
+  // not defined for FEATURES jobs, which don't capture anything
+  captureBase64?: string
   features?: Record<string, any>
+  // when the capture was compared to a reference image
+  comparison?: CaptureComparison
+  diffBase64?: string
+  // the requests of the page which were blocked, when allowHosts is set
+  blockedRequests?: CaptureBlockedRequest[]
+  // the URL of the diagnostics.json, when diagnostics were requested
+  diagnosticsUrl?: string
+  // the attempts of the job, on each backend it ran on
+  attempts?: JobAttempt[]
+  // where the response comes from, see JobsFactory.extract()
+  cache?: JobCacheInfo
+}
+
+/**
+ * How a response was obtained:
+ *  - HIT: from the cache
+ *  - MISS: from a job, as it wasn't cached
+ *  - MERGED: from a job which was already running with the same settings
+ *  - BYPASS: from a job, as the cache was bypassed
+ */
+export enum JobCacheStatus {
+  HIT     = "HIT",
+  MISS    = "MISS",
+  MERGED  = "MERGED",
+  BYPASS  = "BYPASS",
+}
+
+export interface JobCacheInfo {
+  // the hash of the settings of the job, see getCacheKey()
+  key: string
+  status: JobCacheStatus
+}
+
+/**
+ * An attempt of a job on one of the backends, a job which fails on the GPU
+ * backend can be run again on a fallback backend (see JobsFactory)
+ */
+export interface JobAttempt {
+  backend: string
+  error?: string
+  // in ms
+  duration: number
+  // the attempts of the capture module within the run, if it reported them
+  captureAttempts?: CaptureAttempt[]
 }
 
 export interface JobResolution {
   type: "success"|"failure"
   error?: string
+  // details about the error, as reported by the capture module
+  errorDetail?: string
+  // the diagnostics are stored for failed runs as well
+  diagnosticsUrl?: string
   data?: JobResponse
+  // the attempts reported by the capture module, set by the backends
+  captureAttempts?: CaptureAttempt[]
+  // the attempts of the job, set once it's over
+  attempts?: JobAttempt[]
 }
 
 export type ResolveFnSignature = (resolutionState: JobResolution) => void
 
+/**
+ * The status of a job, mirroring the statuses of the AWS Batch jobs
+ */
+export enum JobStatus {
+  SUBMITTED   = "SUBMITTED",
+  PENDING     = "PENDING",
+  RUNNABLE    = "RUNNABLE",
+  STARTING    = "STARTING",
+  RUNNING     = "RUNNING",
+  SUCCEEDED   = "SUCCEEDED",
+  FAILED      = "FAILED",
+  CANCELLED   = "CANCELLED",
+}
+export const JobFinalStatuses = [JobStatus.SUCCEEDED, JobStatus.FAILED, JobStatus.CANCELLED]
+
+export type StatusFnSignature = (status: JobStatus) => void
+
 export interface JobWaiting {
+  // the id of the job on its backend
   id: string
+  // the id of the request, see JobRequest
+  requestId: string
   resolve: ResolveFnSignature
+  onStatus?: StatusFnSignature
+  status?: JobStatus
   started: number
+  // the span of the job, the parent of the spans of its phases
+  span?: Span
+  // the span of the wait for the job to be over on its backend
+  runSpan?: Span
 }
 
 export interface JobRequestParams {
   captureSettings: CaptureSettings
   withFeatures: boolean
   priority?: boolean
+  // whether the response is obtained from a new job, even if it's cached
+  bypassCache?: boolean
 }
 
 export interface JobRequest {
+  // the id of the job for the API, which can differ from its id on the backend
+  id: string
   resolve: ResolveFnSignature
+  // called when the status of the job changes on its backend
+  onStatus?: StatusFnSignature
+  params: JobRequestParams
+  // the span of the job, see JobWaiting
+  span?: Span
+}
+
+/**
+ * The state of a job submitted through the jobs API, as kept in the JobStore
+ */
+export interface JobRecord {
+  id: string
+  status: JobStatus
+  // ISO dates
+  createdAt: string
+  updatedAt: string
   params: JobRequestParams
+  // the URL notified once the job is over
+  webhook?: string
+  // the name of the API client which submitted the job, if the API requires keys
+  client?: string
+  // set once the job is over
+  resolution?: JobResolution
 }
\ No newline at end of file
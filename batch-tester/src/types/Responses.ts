@@ -5,6 +5,100 @@ export enum ExtractError {
   INVALID_INPUT_PARAMETERS      = "INVALID_INPUT_PARAMETERS",
   JOB_QUEUE_FAILED              = "JOB_QUEUE_FAILED",
   JOB_EXECUTION_FAILED          = "JOB_EXECUTION_FAILED",
+  JOB_CANCELLED                 = "JOB_CANCELLED",
+  JOB_NOT_FOUND                 = "JOB_NOT_FOUND",
+  JOB_NOT_FINISHED              = "JOB_NOT_FINISHED",
+  JOB_NOT_CANCELLABLE           = "JOB_NOT_CANCELLABLE",
+  UNAUTHORIZED                  = "UNAUTHORIZED",
+  PRIORITY_NOT_ALLOWED          = "PRIORITY_NOT_ALLOWED",
+  RATE_LIMITED                  = "RATE_LIMITED",
+  TOO_MANY_JOBS                 = "TOO_MANY_JOBS",
+  REQUEST_TOO_LARGE             = "REQUEST_TOO_LARGE",
 }
 
-export const ExtractErrors = Object.keys(ExtractError)
\ No newline at end of file
+export const ExtractErrors = Object.keys(ExtractError)
+
+/**
+ * The errors reported by the capture module (index.js) in its result.json
+ */
+export enum CaptureError {
+  UNKNOWN                       = "UNKNOWN",
+  HTTP_ERROR                    = "HTTP_ERROR",
+  MISSING_PARAMETERS            = "MISSING_PARAMETERS",
+  INVALID_TRIGGER_PARAMETERS    = "INVALID_TRIGGER_PARAMETERS",
+  INVALID_PARAMETERS            = "INVALID_PARAMETERS",
+  UNSUPPORTED_URL               = "UNSUPPORTED_URL",
+  CANVAS_CAPTURE_FAILED         = "CANVAS_CAPTURE_FAILED",
+  TIMEOUT                       = "TIMEOUT",
+  EXTRACT_FEATURES_FAILED       = "EXTRACT_FEATURES_FAILED",
+  INVALID_GIF_PARAMETERS        = "INVALID_GIF_PARAMETERS",
+  NAVIGATION_FAILED             = "NAVIGATION_FAILED",
+  BROWSER_LAUNCH_FAILED         = "BROWSER_LAUNCH_FAILED",
+  ENCODING_FAILED               = "ENCODING_FAILED",
+  STORAGE_FAILED                = "STORAGE_FAILED",
+  REFERENCE_UNAVAILABLE         = "REFERENCE_UNAVAILABLE",
+  BLANK_CAPTURE                 = "BLANK_CAPTURE",
+  BUNDLE_UNAVAILABLE            = "BUNDLE_UNAVAILABLE",
+  TIME_BUDGET_EXCEEDED          = "TIME_BUDGET_EXCEEDED",
+  HEAP_LIMIT_EXCEEDED           = "HEAP_LIMIT_EXCEEDED",
+  REQUEST_LIMIT_EXCEEDED        = "REQUEST_LIMIT_EXCEEDED",
+  PAGE_UNRESPONSIVE             = "PAGE_UNRESPONSIVE",
+  PAGE_CRASHED                  = "PAGE_CRASHED",
+}
+
+export const CaptureErrors = Object.keys(CaptureError)
+
+/**
+ * The comparison of a capture to its reference image
+ */
+export interface CaptureComparison {
+  reference: string
+  width: number
+  height: number
+  diffPixels: number|null
+  similarity: number
+  threshold: number
+  minSimilarity: number
+  passed: boolean
+}
+
+/**
+ * A request of the page blocked by the capture module, as its host isn't
+ * allowed
+ */
+export interface CaptureBlockedRequest {
+  url: string
+  reason: string
+}
+
+/**
+ * An attempt of the capture module within a run, which retries transient
+ * errors and falls back to other renderers
+ */
+export interface CaptureAttempt {
+  angleMode: string
+  error: CaptureError|null
+  errorDetail: string|null
+  // in ms
+  duration: number
+}
+
+/**
+ * The content of the result.json file written by the capture module next to
+ * the preview, for successful and failed runs
+ */
+export interface CaptureResult {
+  version: number
+  status: "success"|"failure"
+  error: CaptureError|null
+  errorDetail: string|null
+  exitCode: number
+  httpStatus: number|null
+  timings: Record<string, number>
+  consoleErrors: string[]
+  blockedRequests: CaptureBlockedRequest[]
+  warnings?: string[]
+  comparison: CaptureComparison|null
+  attempts?: CaptureAttempt[]
+  artifacts: string[]
+}
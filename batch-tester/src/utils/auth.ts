@@ -0,0 +1,135 @@
+import { createHash, timingSafeEqual } from "crypto"
+import { NextFunction, Request, Response } from "express"
+import { ApiClient, ApiClients, ApiQuota } from "../Services/ApiClients"
+import { JobRecord } from "../types/Jobs"
+import { ExtractError } from "../types/Responses"
+import { rejectedRequestsCounter, unauthorizedRequestsCounter } from "./metrics"
+
+/**
+ * The API key of a request, given as "Authorization: Bearer {key}" or in the
+ * X-API-Key header
+ */
+function getApiKey(req: Request): string|null {
+  const authorization = req.header("authorization")
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim()
+  }
+  return req.header("x-api-key") || null
+}
+
+/**
+ * The state of the quotas of the client, in the X-RateLimit-* headers
+ */
+function setQuotaHeaders(res: Response, quota: ApiQuota) {
+  res.set({
+    "X-RateLimit-Limit": String(quota.requests.limit),
+    "X-RateLimit-Remaining": String(quota.requests.remaining),
+    "X-RateLimit-Reset": quota.requests.resetAt,
+  })
+}
+
+/**
+ * Responds with a 429 to a client which exceeded one of its quotas, with the
+ * state of its quotas
+ */
+function rejectOverQuota(res: Response, client: ApiClient, error: ExtractError, quota: ApiQuota) {
+  rejectedRequestsCounter.inc({ client: client.name, reason: error })
+  const retryAfter = Math.ceil((Date.parse(quota.requests.resetAt) - Date.now()) / 1000)
+  if (error === ExtractError.RATE_LIMITED) {
+    res.set("Retry-After", String(Math.max(1, retryAfter)))
+  }
+  return res.status(429).send({ error, quota })
+}
+
+/**
+ * Responds with a 401 to a request without a valid key, the requests without
+ * any key are counted apart from the ones with a wrong key
+ */
+function rejectUnauthorized(res: Response, key: string|null) {
+  unauthorizedRequestsCounter.inc({ reason: key ? "INVALID_KEY" : "MISSING_KEY" })
+  return res
+    .status(401)
+    .set("WWW-Authenticate", "Bearer")
+    .send({ error: ExtractError.UNAUTHORIZED })
+}
+
+/**
+ * Authenticates the requests with their API key (see getApiKey()), the ones
+ * without a valid key are rejected with a 401. The client is available to the
+ * next handlers as res.locals.client. It's a no-op if the API is open
+ */
+export function authenticate(req: Request, res: Response, next: NextFunction) {
+  if (!ApiClients.enabled) return next()
+  const key = getApiKey(req)
+  const client = key ? ApiClients.authenticate(key) : null
+  if (!client) return rejectUnauthorized(res, key)
+  res.locals.client = client
+  next()
+}
+
+/**
+ * Authenticates the scrapes of the metrics, which list the API clients: with
+ * METRICS_TOKEN, they must give this token as their key. Otherwise, they are
+ * authenticated as the other requests, with the key of a client
+ */
+export function authenticateMetrics(req: Request, res: Response, next: NextFunction) {
+  const token = process.env.METRICS_TOKEN
+  if (!token) return authenticate(req, res, next)
+  const key = getApiKey(req)
+  // the hashes have the same length, as timingSafeEqual() expects
+  const hash = (value: string) => createHash("sha256").update(value).digest()
+  if (!key || !timingSafeEqual(hash(key), hash(token))) {
+    return rejectUnauthorized(res, key)
+  }
+  next()
+}
+
+/**
+ * Applies the quotas of the client to a request which runs a job: the requests
+ * exceeding its rate limit are rejected with a 429 RATE_LIMITED, the ones
+ * exceeding its max number of running jobs with a 429 TOO_MANY_JOBS. The
+ * handler must call res.locals.releaseJob() once the job is over (it can be
+ * called more than once)
+ */
+export function limitJobs(req: Request, res: Response, next: NextFunction) {
+  const client: ApiClient|undefined = res.locals.client
+  res.locals.releaseJob = () => {}
+  if (!client) return next()
+
+  if (!ApiClients.consumeRequest(client)) {
+    const quota = ApiClients.getQuota(client)
+    setQuotaHeaders(res, quota)
+    return rejectOverQuota(res, client, ExtractError.RATE_LIMITED, quota)
+  }
+  if (!ApiClients.acquireJob(client)) {
+    const quota = ApiClients.getQuota(client)
+    setQuotaHeaders(res, quota)
+    return rejectOverQuota(res, client, ExtractError.TOO_MANY_JOBS, quota)
+  }
+  setQuotaHeaders(res, ApiClients.getQuota(client))
+
+  let released = false
+  res.locals.releaseJob = () => {
+    if (released) return
+    released = true
+    ApiClients.releaseJob(client)
+  }
+  next()
+}
+
+/**
+ * Whether the client of the request can submit jobs to the priority queue
+ */
+export function canUsePriority(res: Response): boolean {
+  const client: ApiClient|undefined = res.locals.client
+  return !client || !!client.priority
+}
+
+/**
+ * Whether the client of the request can access the job, the clients only see
+ * their own jobs
+ */
+export function canAccessJob(res: Response, record: JobRecord): boolean {
+  const client: ApiClient|undefined = res.locals.client
+  return !client || record.client === client.name
+}
@@ -0,0 +1,23 @@
+import { createHash } from "crypto"
+import { parseSettings, SETTINGS_VERSION } from "../../../src/schema"
+import { JobRequestParams } from "../types/Jobs"
+import { toCaptureOptions } from "./command"
+
+/**
+ * The key of the response of a job in the cache: the hash of its settings, as
+ * normalized by the capture module (with its defaults applied), and of
+ * withFeatures. The jobs which give the same response have the same key, no
+ * matter how their settings were written
+ */
+export function getCacheKey(params: JobRequestParams): string {
+  const { settings } = parseSettings(toCaptureOptions(params.captureSettings))
+  // the normalized settings always list their fields in the same order
+  return createHash("sha256")
+    .update(JSON.stringify({
+      version: SETTINGS_VERSION,
+      settings,
+      gpu: !!params.captureSettings.gpu,
+      withFeatures: params.withFeatures,
+    }))
+    .digest("hex")
+}
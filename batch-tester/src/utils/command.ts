@@ -0,0 +1,86 @@
+import { CaptureMode, CaptureSettings } from "../types/Capture"
+
+/**
+ * Converts capture settings into the options of the capture module, named as
+ * in its settings schema (src/schema.js) and its CLI. The settings which aren't
+ * defined are left out, for the capture module to apply its defaults
+ */
+export function toCaptureOptions(settings: CaptureSettings): Record<string, string|number|boolean|string[]> {
+  // CUSTOM captures are screenshots of a custom element
+  const mode = settings.mode === CaptureMode.CUSTOM ? CaptureMode.ELEMENT : settings.mode
+  const options: Record<string, any> = {
+    url: settings.url,
+    mode,
+  }
+  if ([CaptureMode.CANVAS, CaptureMode.ELEMENT, CaptureMode.SVG].includes(mode)) {
+    options.selector = settings.canvasSelector
+  }
+  if (mode === CaptureMode.VIEWPORT || mode === CaptureMode.FULL_PAGE) {
+    options.resX = settings.resolution?.x
+    options.resY = settings.resolution?.y
+  }
+  options.rasterize = settings.rasterize
+  options.composite = settings.composite
+  options.diagnostics = settings.diagnostics
+  if (settings.allowHosts?.length) {
+    options.allowHosts = settings.allowHosts
+  }
+  // a run which exceeds its limits ends with a dedicated error, instead
+  // of being cancelled after JOB_TIMEOUT
+  Object.assign(options, settings.limits)
+  options.trigger = settings.triggers
+    ? settings.triggers.join(settings.triggerCombinator)
+    : settings.triggerMode
+  options.triggerSelector = settings.triggerSelector
+  options.idleTime = settings.idleTime
+  options.triggerFrames = settings.triggerFrames
+  options.triggerTimeout = settings.triggerTimeout
+  options.delay = settings.delay
+  if (settings.scale !== 1) {
+    options.scale = settings.scale
+  }
+  options.tiled = settings.tiled
+  // the frames of GIF captures are taken every captureInterval ms, or when the
+  // page requests them with FN_TRIGGER_GIF
+  options.gif = settings.gif
+  options.frameCount = settings.frameCount
+  options.captureInterval = settings.captureInterval
+  options.playbackFps = settings.playbackFps
+  options.angleMode = settings.angleMode
+  options.retries = settings.retries
+  options.retryDelay = settings.retryDelay
+  options.rendererFallback = settings.rendererFallback
+  if (settings.compare) {
+    options.compare = settings.compare.reference
+    options.compareThreshold = settings.compare.threshold
+    options.compareMinSimilarity = settings.compare.minSimilarity
+  }
+
+  for (const [option, value] of Object.entries(options)) {
+    if (value == null || value === false) {
+      delete options[option]
+    }
+  }
+  return options
+}
+
+/**
+ * Builds the CLI arguments of the capture module (index.js) for the given
+ * capture settings, the output options are left to the caller
+ */
+export function buildCaptureArgs(settings: CaptureSettings): string[] {
+  const options = toCaptureOptions(settings)
+  // the IPFS URLs requested by the project are served by our gateway
+  if (process.env.IPFS_GATEWAY_ROOT) {
+    options.ipfsGateway = process.env.IPFS_GATEWAY_ROOT
+  }
+  const args: string[] = []
+  for (const [option, value] of Object.entries(options)) {
+    args.push(`--${option}`)
+    // flags don't have any value
+    if (value !== true) {
+      args.push(Array.isArray(value) ? value.join(",") : String(value))
+    }
+  }
+  return args
+}
@@ -10,4 +10,13 @@ export function getIpfsUrl(cid: string) {
  */
 export function buildCaptureUrlFromCid(cid: string) {
   return appendQuery(getIpfsUrl(cid), "preview=1")
+}
+
+/**
+ * Given the URL of a project, outputs the URL to query the capture module with:
+ * ipfs:// URLs are served by our gateway
+ */
+export function resolveCaptureUrl(url: string) {
+  const match = url.match(/^ipfs:\/\/(.+)$/)
+  return match ? buildCaptureUrlFromCid(match[1]) : url
 }
\ No newline at end of file
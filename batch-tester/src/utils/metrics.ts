@@ -0,0 +1,78 @@
+import { collectDefaultMetrics, Counter, Gauge, Histogram, Registry } from "prom-client"
+import { JobResolution } from "../types/Jobs"
+import { ExtractError } from "../types/Responses"
+
+/**
+ * The Prometheus metrics of the API, served by GET /metrics
+ */
+export const metricsRegistry = new Registry()
+collectDefaultMetrics({ register: metricsRegistry })
+
+/**
+ * The number of jobs in the queues of the backends, by status. On AWS Batch, it
+ * counts every job of the GPU queues, not only the ones of this instance
+ */
+export const queueDepthGauge = new Gauge({
+  name: "extract_jobs_queue_depth",
+  help: "The number of jobs in the queues of the backends, by status",
+  labelNames: ["backend", "status"],
+  registers: [metricsRegistry],
+})
+
+export const jobDurationHistogram = new Histogram({
+  name: "extract_job_duration_seconds",
+  help: "The duration of the jobs on each backend, from their submission to their resolution",
+  labelNames: ["backend", "outcome"],
+  buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600],
+  registers: [metricsRegistry],
+})
+
+export const jobsCounter = new Counter({
+  name: "extract_jobs_total",
+  help: "The number of jobs resolved on each backend, by outcome and error code",
+  labelNames: ["backend", "outcome", "error"],
+  registers: [metricsRegistry],
+})
+
+export const cacheRequestsCounter = new Counter({
+  name: "extract_cache_requests_total",
+  help: "The number of responses, by how they were obtained (HIT, MISS, MERGED, BYPASS)",
+  labelNames: ["status"],
+  registers: [metricsRegistry],
+})
+
+export const rejectedRequestsCounter = new Counter({
+  name: "extract_rejected_requests_total",
+  help: "The number of requests of the clients rejected by their quotas, by client and reason",
+  labelNames: ["client", "reason"],
+  registers: [metricsRegistry],
+})
+
+export const unauthorizedRequestsCounter = new Counter({
+  name: "extract_unauthorized_requests_total",
+  help: "The number of requests rejected without a valid key, by reason (MISSING_KEY, INVALID_KEY)",
+  labelNames: ["reason"],
+  registers: [metricsRegistry],
+})
+
+/**
+ * Records the outcome of a job which ran on the given backend for duration ms,
+ * a job which falls back to another backend is recorded for each of them
+ */
+export function recordJobMetrics(backend: string, resolution: JobResolution, duration: number) {
+  jobDurationHistogram.observe({ backend, outcome: resolution.type }, duration / 1000)
+  jobsCounter.inc({
+    backend,
+    outcome: resolution.type,
+    error: resolution.type === "failure" ? resolution.error || ExtractError.UNKNOWN : "",
+  })
+}
+
+/**
+ * Sets the queue depth of a backend, the statuses which aren't given are reset
+ */
+export function setQueueDepth(backend: string, countByStatus: Record<string, number>) {
+  for (const [status, count] of Object.entries(countByStatus)) {
+    queueDepthGauge.set({ backend, status }, count)
+  }
+}
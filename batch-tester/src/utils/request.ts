@@ -0,0 +1,182 @@
+import { NextFunction, Request, Response } from "express"
+import { CaptureMode, CaptureSettings, CaptureTriggerCombinator, CaptureTriggerMode } from "../types/Capture"
+import { JobRecord, JobRequestParams, JobResolution } from "../types/Jobs"
+import { CaptureErrors, ExtractError, ExtractErrors } from "../types/Responses"
+import { resolveCaptureUrl } from "./ipfs"
+import { getCaptureSettingsErrors } from "./validation"
+
+/**
+ * Turns the body of an extract request into the params of a job, the body
+ * expects:
+ *  - capture settings: all the general capture settings
+ *  - withFeatures: a boolean which indicates whether or not we should extract features as well,
+ *    in FEATURES mode only the features are extracted, without any image
+ *  - scale (optional): the device scale factor, and tiled to render large VIEWPORT captures
+ *  - compare (optional): the URL of a reference image the capture is compared to, with
+ *    compareThreshold and compareMinSimilarity to tune the comparison
+ *  - triggerMode: a single trigger, or conditions combined with | (first of) or + (all
+ *    of), with triggerSelector, idleTime, triggerFrames and triggerTimeout as their params
+ *  - allowHosts (optional): the hosts the page can reach, the others are blocked
+ *  - maxHeap, timeBudget, maxRequests, maxBytes (optional): the resource limits of the run
+ *  - diagnostics (optional): whether the diagnostics of the page are stored with the preview
+ *  - gif (optional): whether the capture is an animated GIF, of frameCount frames taken every
+ *    captureInterval ms (or requested by the page with the FN_TRIGGER_GIF trigger), played
+ *    at playbackFps
+ *  - angleMode (optional): the ANGLE backend chromium renders with (gl, gl-egl, swiftshader)
+ *  - retries, retryDelay (optional): the number of times the run is retried on transient errors
+ *    (TIMEOUT, HTTP 5xx, BLANK_CAPTURE), and the delay before each retry
+ *  - rendererFallback (optional): whether the runs which failed because of the renderer are
+ *    retried with the next renderer of gl-egl, gl and swiftshader
+ *  - bypassCache (optional): whether a new job is run even if the response is cached
+ * ipfs:// URLs are served by the IPFS gateway
+ * Throws ExtractError.INVALID_INPUT_PARAMETERS if there's no URL, or a failed
+ * resolution which details every invalid setting if the settings are invalid
+ */
+export function parseJobRequestParams(body: any): JobRequestParams {
+  let { url, mode, triggerMode, resX, resY, delay, canvasSelector, gpu, withFeatures, priority, compare, compareThreshold, compareMinSimilarity, scale, tiled, rasterize, composite, allowHosts, maxHeap, timeBudget, maxRequests, maxBytes, triggerSelector, idleTime, triggerFrames, triggerTimeout, diagnostics, gif, frameCount, captureInterval, playbackFps, angleMode, retries, retryDelay, rendererFallback, bypassCache } = body
+
+  if (!url) {
+    throw ExtractError.INVALID_INPUT_PARAMETERS
+  }
+
+  // create capture settings object based on the input
+  const settings: CaptureSettings = {
+    url: resolveCaptureUrl(url),
+    mode: mode,
+    triggerMode: triggerMode,
+    triggerSelector: triggerSelector,
+    idleTime: idleTime != null ? parseInt(idleTime) : undefined,
+    triggerFrames: triggerFrames != null ? parseInt(triggerFrames) : undefined,
+    triggerTimeout: triggerTimeout != null ? parseInt(triggerTimeout) : undefined,
+    resolution: resX != null || resY != null ? {
+      x: parseInt(resX),
+      y: parseInt(resY),
+    } : undefined,
+    delay: delay != null ? parseInt(delay) : undefined,
+    canvasSelector: canvasSelector,
+    gpu: true,
+    scale: scale != null ? parseFloat(scale) : undefined,
+    tiled: !!tiled,
+    rasterize: !!rasterize,
+    composite: !!composite,
+    allowHosts: typeof allowHosts === "string" ? allowHosts.split(",").map(host => host.trim()) : allowHosts,
+    diagnostics: !!diagnostics,
+    gif: !!gif,
+    frameCount: frameCount != null ? parseInt(frameCount) : undefined,
+    captureInterval: captureInterval != null ? parseInt(captureInterval) : undefined,
+    playbackFps: playbackFps != null ? parseFloat(playbackFps) : undefined,
+    angleMode: angleMode,
+    retries: retries != null ? parseInt(retries) : undefined,
+    retryDelay: retryDelay != null ? parseInt(retryDelay) : undefined,
+    rendererFallback: !!rendererFallback,
+  }
+  // combined triggers are written as the capture module expects them, ie:
+  // FN_TRIGGER|DELAY for the first condition met
+  const combinator = Object.values(CaptureTriggerCombinator).find(
+    separator => typeof triggerMode === "string" && triggerMode.includes(separator)
+  )
+  if (combinator) {
+    settings.triggerMode = undefined
+    settings.triggers = triggerMode.split(combinator) as CaptureTriggerMode[]
+    settings.triggerCombinator = combinator
+  }
+  if (maxHeap != null || timeBudget != null || maxRequests != null || maxBytes != null) {
+    settings.limits = {
+      maxHeap: maxHeap != null ? parseInt(maxHeap) : undefined,
+      timeBudget: timeBudget != null ? parseInt(timeBudget) : undefined,
+      maxRequests: maxRequests != null ? parseInt(maxRequests) : undefined,
+      maxBytes: maxBytes != null ? parseInt(maxBytes) : undefined,
+    }
+  }
+  if (compare) {
+    settings.compare = {
+      reference: compare,
+      threshold: compareThreshold != null ? parseFloat(compareThreshold) : undefined,
+      minSimilarity: compareMinSimilarity != null ? parseFloat(compareMinSimilarity) : undefined,
+    }
+  }
+
+  // validate the capture settings at once, every invalid setting is reported
+  const errors = getCaptureSettingsErrors(settings)
+  if (errors.length > 0) {
+    const resolution: JobResolution = {
+      type: "failure",
+      error: ExtractError.INVALID_INPUT_PARAMETERS,
+      errorDetail: errors.join("; "),
+    }
+    throw resolution
+  }
+
+  return {
+    captureSettings: settings,
+    withFeatures: !!withFeatures || mode === CaptureMode.FEATURES,
+    priority: priority === "high",
+    bypassCache: !!bypassCache,
+  }
+}
+
+/**
+ * The body of the response to a failed job: { error, detail, diagnosticsUrl, attempts }
+ * where error is either an ExtractError or the CaptureError reported by the
+ * capture module. Failed jobs are rejected with their resolution, which holds
+ * the details
+ */
+export function getErrorResponse(err: any) {
+  const resolution = (err as JobResolution)?.type === "failure" ? err as JobResolution : null
+  const error = resolution ? resolution.error : err
+  const returnError = ExtractErrors.includes(error as any) || CaptureErrors.includes(error as any)
+    ? error
+    : ExtractError.UNKNOWN
+  return {
+    error: returnError,
+    detail: resolution?.errorDetail,
+    diagnosticsUrl: resolution?.diagnosticsUrl,
+    attempts: resolution?.attempts,
+  }
+}
+
+// the status code of the responses to the errors of /extract and of the jobs
+// API, the failures of the jobs themselves are 500s
+const ErrorStatus: Partial<Record<ExtractError, number>> = {
+  [ExtractError.INVALID_INPUT_PARAMETERS]: 400,
+  [ExtractError.PRIORITY_NOT_ALLOWED]: 403,
+  [ExtractError.JOB_NOT_FOUND]: 404,
+  [ExtractError.JOB_NOT_FINISHED]: 409,
+  [ExtractError.JOB_NOT_CANCELLABLE]: 409,
+  [ExtractError.JOB_CANCELLED]: 410,
+}
+
+/**
+ * Responds with the error, see getErrorResponse()
+ */
+export function sendError(res: Response, err: any) {
+  const body = getErrorResponse(err)
+  return res.status(ErrorStatus[body.error as ExtractError] || 500).send(body)
+}
+
+/**
+ * The public state of a job, as returned by the jobs API
+ */
+export function getJobStatusResponse(record: JobRecord) {
+  return {
+    id: record.id,
+    status: record.status,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    ...(record.resolution?.type === "failure" && getErrorResponse(record.resolution)),
+  }
+}
+
+/**
+ * Responds to the requests whose body couldn't be parsed: a 413 if it exceeds
+ * API_MAX_BODY_SIZE, a 400 if it isn't valid JSON
+ */
+export function handleBodyErrors(err: any, req: Request, res: Response, next: NextFunction) {
+  if (err?.type === "entity.too.large") {
+    return res.status(413).send({ error: ExtractError.REQUEST_TOO_LARGE })
+  }
+  if (err?.type === "entity.parse.failed") {
+    return res.status(400).send({ error: ExtractError.INVALID_INPUT_PARAMETERS })
+  }
+  next(err)
+}
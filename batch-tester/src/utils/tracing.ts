@@ -0,0 +1,134 @@
+import { Attributes, context, Context, propagation, ROOT_CONTEXT, Span, SpanStatusCode, trace } from "@opentelemetry/api"
+import { AsyncLocalStorageContextManager } from "@opentelemetry/context-async-hooks"
+import { W3CTraceContextPropagator } from "@opentelemetry/core"
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http"
+import { Resource } from "@opentelemetry/resources"
+import { BasicTracerProvider, BatchSpanProcessor } from "@opentelemetry/sdk-trace-base"
+import { Express } from "express"
+
+export { Span }
+
+const TRACING_EXPORT_TIMEOUT_MS = 5000
+
+/**
+ * The OTLP/HTTP collector the spans are exported to, if tracing is enabled
+ */
+const target = process.env.TRACING_ENABLED === "1" ? process.env.OPEN_TELEMETRY_TARGET : undefined
+
+/**
+ * The provider of the API, the same setup as the one of the capture module
+ * (src/tracing.js): the spans are exported in batches and their context is
+ * propagated with the W3C traceparent. Without a target, the spans are still
+ * created but they aren't exported
+ */
+const provider = new BasicTracerProvider({
+  resource: new Resource({ "service.name": "fxhash-extract-api" }),
+  spanProcessors: target ? [
+    new BatchSpanProcessor(new OTLPTraceExporter({
+      url: new URL("v1/traces", target.endsWith("/") ? target : `${target}/`).href,
+      timeoutMillis: TRACING_EXPORT_TIMEOUT_MS,
+    }))
+  ] : [],
+})
+provider.register({
+  contextManager: new AsyncLocalStorageContextManager(),
+  propagator: new W3CTraceContextPropagator(),
+})
+const otelTracer = provider.getTracer("fxhash-extract-api")
+
+// the context of the given parent span, or the active one
+function parentContext(parent?: Span|null): Context {
+  return parent ? trace.setSpan(context.active(), parent) : context.active()
+}
+
+/**
+ * The tracer of the API. The spans started within trace(name, fn) are the
+ * children of its span
+ */
+export const tracer = {
+  enabled: !!target,
+
+  // starts a span, the child of the given parent (the active span by default),
+  // to be ended with endSpan()
+  startSpan(name: string, attributes: Attributes = {}, parent?: Span|null): Span {
+    return otelTracer.startSpan(name, { attributes }, parentContext(parent))
+  },
+
+  // runs fn(span) within a new span, which ends once fn is over
+  async trace<T>(name: string, fn: (span: Span) => T|Promise<T>, attributes: Attributes = {}, parent?: Span|null): Promise<T> {
+    const span = tracer.startSpan(name, attributes, parent)
+    try {
+      const result = await context.with(trace.setSpan(parentContext(parent), span), () => fn(span))
+      span.end()
+      return result
+    }
+    catch(err) {
+      endSpan(span, err)
+      throw err
+    }
+  },
+}
+
+/**
+ * Marks a span as failed, with the message of the error
+ */
+export function setSpanError(span: Span, error: any) {
+  span.setStatus({
+    code: SpanStatusCode.ERROR,
+    message: String(error instanceof Error ? error.message : error),
+  })
+}
+
+/**
+ * Ends a span, with an error status if an error is given
+ */
+export function endSpan(span: Span, error?: any) {
+  if (error) setSpanError(span, error)
+  span.end()
+}
+
+/**
+ * The remote span of a W3C traceparent header, null if it isn't valid
+ */
+function extractTraceparent(traceparent?: string): Span|null {
+  if (!traceparent) return null
+  return trace.getSpan(propagation.extract(ROOT_CONTEXT, { traceparent })) || null
+}
+
+/**
+ * Records a span for each request, the child of the span of its traceparent
+ * header if any. The spans started by the handlers are its children
+ */
+export function traceRequests(app: Express) {
+  app.use((req, res, next) => {
+    tracer.trace(`${req.method} ${req.path}`, span => new Promise<void>(resolve => {
+      res.on("close", () => {
+        // the route is known once the request was handled, it's used as the name
+        // of the span so that the ids in the paths don't end up in it
+        if (req.route) {
+          span.updateName(`${req.method} ${req.baseUrl}${req.route.path}`)
+        }
+        span.setAttributes({ "http.status_code": res.statusCode })
+        if (res.statusCode >= 500) {
+          setSpanError(span, `responded ${res.statusCode}`)
+        }
+        resolve()
+      })
+      next()
+    }), {
+      "http.method": req.method,
+      "http.target": req.originalUrl,
+    }, extractTraceparent(req.header("traceparent")))
+  })
+}
+
+/**
+ * The arguments of the capture module (index.js) for its spans to be the
+ * children of the given span, if tracing is enabled
+ */
+export function buildTraceArgs(span?: Span): string[] {
+  if (!tracer.enabled || !span) return []
+  const carrier: { traceparent?: string } = {}
+  propagation.inject(trace.setSpan(ROOT_CONTEXT, span), carrier)
+  return carrier.traceparent ? ["--traceparent", carrier.traceparent] : []
+}
@@ -1,66 +1,49 @@
-import { CaptureMode, CaptureModeList, CaptureSettings, CaptureTriggerMode, CaptureTriggerModeList } from "../types/Capture"
+import { parseSettings } from "../../../src/schema"
+import { CaptureSettings } from "../types/Capture"
+import { toCaptureOptions } from "./command"
 
 /**
- * Checks is the trigger settings of a CaptureSettings object matches what's allowed
- * Return true if that's the case, false otherwise
+ * The settings of the capture module which are named differently by the API
  */
-export function validateCaptureTriggerSettings(settings: CaptureSettings): boolean {
-  if (!CaptureTriggerModeList.includes(settings.triggerMode as any)) return false
-  if (settings.triggerMode === CaptureTriggerMode.DELAY) {
-    if (settings.delay == null) return false
-    // check if the delay is valid
-    if (isNaN(settings.delay) || settings.delay < 0 || settings.delay > 300000) {
-      return false
-    }
-  }
-  else if (settings.triggerMode === CaptureTriggerMode.FN_TRIGGER) {
-    // then it's ok, as trigger should be in the script
-    return true
-  }
-  // everything is OK
-  return true
+const ApiSettingNames: Record<string, string> = {
+  selector: "canvasSelector",
+  trigger: "triggerMode",
 }
 
 /**
- * Checks if the preview settings of a CaptureSettings object comply to what the
- * platform is allowing
+ * Lists the errors of the rules specific to the API, on top of the ones of the
+ * capture module
  */
-export function validateCapturePreviewSettings(settings: CaptureSettings): boolean {
-  // check if capture mode is allowed
-  if (!CaptureModeList.includes(settings.mode)) {
-    return false
-  }
-
-  // if the mode is viewport, check if the settings are matching
-  if (settings.mode === CaptureMode.VIEWPORT) {
-    if (!settings.resolution) {
-      return false
-    }
-    // check if res X and Y are actual numbers
-    if (isNaN(settings.resolution.x) || isNaN(settings.resolution.y)) {
-      return false
-    }
-    // check if resolution is in the accepted limit
-    if (settings.resolution.x < 256 || settings.resolution.x > 2048 || settings.resolution.y < 256 || settings.resolution.y > 2048) {
-      return false
-    }
+function getApiSettingsErrors(settings: CaptureSettings): string[] {
+  const errors: string[] = []
+  // as the capture runs remotely, the reference must be reachable through a URL
+  if (settings.compare && !/^https?:\/\//.test(settings.compare.reference || "")) {
+    errors.push("compare: must be an http(s) URL")
   }
-  else if (settings.mode === CaptureMode.CANVAS) {
-    if (!settings.canvasSelector) {
-      return false
-    }
+  if (settings.allowHosts && !Array.isArray(settings.allowHosts)) {
+    errors.push("allowHosts: must be a list of hosts")
   }
+  return errors
+}
 
-  // every thing is OK
-  return true
+/**
+ * Lists the errors of a CaptureSettings object, as "{setting}: {message}", or
+ * an empty list if it's valid. The settings are checked against the settings
+ * schema of the capture module (src/schema.js), which the jobs run, so that
+ * invalid settings are rejected before any job is submitted
+ */
+export function getCaptureSettingsErrors(settings: CaptureSettings): string[] {
+  const { errors } = parseSettings(toCaptureOptions(settings))
+  return [
+    ...errors.map(({ field, message }) => `${ApiSettingNames[field] || field}: ${message}`),
+    ...getApiSettingsErrors(settings),
+  ]
 }
 
 /**
  * Checks if a CaptureSettings object is correct and complies to what the platform
  * is allowing.
- * Wrapper to call all the sub methods responsible for the validaiton of the whole
- * object, grouped in logical validation parts.
  */
 export function validateCaptureSettings(settings: CaptureSettings): boolean {
-  return validateCapturePreviewSettings(settings) && validateCaptureTriggerSettings(settings)
-}
\ No newline at end of file
+  return getCaptureSettingsErrors(settings).length === 0
+}
@@ -0,0 +1,128 @@
+import axios from "axios"
+import { createHmac } from "crypto"
+import { lookup, LookupAddress, LookupOptions } from "dns"
+import http from "http"
+import https from "https"
+import { BlockList, isIP, LookupFunction } from "net"
+
+export const WebhookDefaults = {
+  ATTEMPTS: 3,
+  TIMEOUT: 10000,
+  // the delay before retrying, multiplied by the number of the attempt
+  RETRY_DELAY: 1000,
+}
+
+/**
+ * The addresses the webhooks can't be sent to: loopback, private, link-local
+ * (such as the instance metadata endpoint 169.254.169.254) and the other
+ * special-purpose ranges, so that the API can't be used to reach the hosts of
+ * its network. The IPv4-mapped IPv6 addresses are checked as IPv4
+ */
+const PrivateAddresses = new BlockList()
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+] as const) {
+  PrivateAddresses.addSubnet(network, prefix, "ipv4")
+}
+for (const [network, prefix] of [
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+] as const) {
+  PrivateAddresses.addSubnet(network, prefix, "ipv6")
+}
+
+function isPublicAddress(address: string): boolean {
+  const family = isIP(address)
+  return family !== 0 && !PrivateAddresses.check(address, family === 6 ? "ipv6" : "ipv4")
+}
+
+/**
+ * The resolution of the hosts of the webhooks, which fails for the hosts
+ * resolving to a private address. It's checked when connecting rather than
+ * only when the job is submitted, as the host may resolve to another address
+ * by then. The sockets ask for every address of the host (with options.all)
+ * or for a single one
+ */
+function publicLookup(
+  hostname: string,
+  options: LookupOptions,
+  callback: (err: NodeJS.ErrnoException|null, address: string|LookupAddress[], family?: number) => void,
+) {
+  lookup(hostname, options, (err, address: string|LookupAddress[], family?: number) => {
+    const addresses = Array.isArray(address) ? address.map(({ address }) => address) : [address]
+    if (!err && !addresses.every(isPublicAddress)) {
+      err = Object.assign(new Error(`${hostname} resolves to a private address`), { code: "EPRIVATE" })
+    }
+    callback(err, address, family)
+  })
+}
+
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup as LookupFunction }),
+  httpsAgent: new https.Agent({ lookup: publicLookup as LookupFunction }),
+}
+
+/**
+ * Posts the body to the webhook URL, retrying on failures. If WEBHOOK_SECRET
+ * is defined, the body is signed with it in the X-Signature header
+ * (sha256={HMAC-SHA256 of the body}), so that receivers can check its origin.
+ * Resolves with whether the webhook was delivered
+ */
+export async function notifyWebhook(url: string, body: any): Promise<boolean> {
+  const payload = JSON.stringify(body)
+  const headers: Record<string, string> = {
+    "Content-Type": "application/json",
+  }
+  if (process.env.WEBHOOK_SECRET) {
+    const signature = createHmac("sha256", process.env.WEBHOOK_SECRET).update(payload).digest("hex")
+    headers["X-Signature"] = `sha256=${signature}`
+  }
+  for (let attempt = 1; attempt <= WebhookDefaults.ATTEMPTS; attempt++) {
+    try {
+      await axios.post(url, payload, {
+        headers,
+        timeout: WebhookDefaults.TIMEOUT,
+        // a redirection could lead to a private address
+        maxRedirects: 0,
+        ...webhookAgents,
+      })
+      return true
+    }
+    catch(err) {
+      console.log(`webhook ${url} failed (attempt ${attempt}/${WebhookDefaults.ATTEMPTS}): ${(err as Error)?.message}`)
+      if (attempt < WebhookDefaults.ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, WebhookDefaults.RETRY_DELAY * attempt))
+      }
+    }
+  }
+  return false
+}
+
+/**
+ * Whether the URL can be used as a webhook: an http(s) URL whose host only
+ * resolves to public addresses
+ */
+export async function isWebhookUrlValid(url: any): Promise<boolean> {
+  if (typeof url !== "string") return false
+  let parsed: URL
+  try {
+    parsed = new URL(url)
+  }
+  catch {
+    return false
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return false
+  // the IPv6 addresses of the URLs are in brackets
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, "$1")
+  if (isIP(hostname)) return isPublicAddress(hostname)
+  try {
+    const addresses: LookupAddress[] = await new Promise((resolve, reject) => {
+      lookup(hostname, { all: true }, (err, addresses) => err ? reject(err) : resolve(addresses))
+    })
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address))
+  }
+  catch {
+    return false
+  }
+}
@@ -0,0 +1,82 @@
+import assert from "assert"
+import { promises as fs } from "fs"
+import { tmpdir } from "os"
+import path from "path"
+import { test } from "node:test"
+import { FsJobStore, MemoryJobStore } from "../src/Services/JobStore"
+import { CaptureMode } from "../src/types/Capture"
+import { JobRecord, JobStatus } from "../src/types/Jobs"
+
+function createRecord(id: string, status: JobStatus, updatedAt = new Date()): JobRecord {
+  return {
+    id,
+    status,
+    createdAt: updatedAt.toISOString(),
+    updatedAt: updatedAt.toISOString(),
+    params: {
+      captureSettings: { url: "https://project/", mode: CaptureMode.VIEWPORT },
+      withFeatures: false,
+    },
+  }
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+test("MemoryJobStore keeps the records until the jobs are over for the TTL", async () => {
+  const store = new MemoryJobStore(50)
+  assert.strictEqual(await store.get("job"), null)
+
+  await store.put(createRecord("job", JobStatus.RUNNING))
+  assert.strictEqual((await store.get("job"))?.status, JobStatus.RUNNING)
+  await sleep(100)
+  assert.strictEqual((await store.get("job"))?.status, JobStatus.RUNNING)
+
+  await store.put(createRecord("job", JobStatus.SUCCEEDED))
+  assert.strictEqual((await store.get("job"))?.status, JobStatus.SUCCEEDED)
+  await sleep(100)
+  assert.strictEqual(await store.get("job"), null)
+})
+
+// runs fn with a temporary directory, removed once it's over
+async function withDir(fn: (dir: string) => Promise<void>) {
+  const dir = await fs.mkdtemp(path.join(tmpdir(), "jobs-"))
+  try {
+    await fn(dir)
+  }
+  finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
+
+test("FsJobStore keeps each record as a file", () => withDir(async dir => {
+  const store = new FsJobStore(path.join(dir, "records"), 60000)
+  const record = createRecord("0b8e7c3a-job", JobStatus.RUNNING)
+  await store.put(record)
+  assert.deepStrictEqual(await store.get(record.id), record)
+  // the records are replaced, without any temporary file left
+  await store.put({ ...record, status: JobStatus.FAILED })
+  assert.strictEqual((await store.get(record.id))?.status, JobStatus.FAILED)
+  assert.deepStrictEqual(await fs.readdir(path.join(dir, "records")), ["0b8e7c3a-job.json"])
+
+  // the records of another instance are read as well
+  const other = new FsJobStore(path.join(dir, "records"), 60000)
+  assert.strictEqual((await other.get(record.id))?.status, JobStatus.FAILED)
+}))
+
+test("FsJobStore removes the records of the jobs over for the TTL once read", () => withDir(async dir => {
+  const store = new FsJobStore(dir, 1000)
+  const expired = new Date(Date.now() - 2000)
+  await store.put(createRecord("expired", JobStatus.SUCCEEDED, expired))
+  await store.put(createRecord("running", JobStatus.RUNNING, expired))
+  assert.strictEqual(await store.get("expired"), null)
+  await assert.rejects(fs.access(path.join(dir, "expired.json")))
+  assert.strictEqual((await store.get("running"))?.status, JobStatus.RUNNING)
+}))
+
+test("FsJobStore rejects the ids which could point outside of its directory", () => withDir(async dir => {
+  const store = new FsJobStore(path.join(dir, "records"), 60000)
+  await fs.writeFile(path.join(dir, "secret.json"), JSON.stringify(createRecord("secret", JobStatus.RUNNING)))
+  assert.strictEqual(await store.get("../secret"), null)
+  assert.strictEqual(await store.get("records/../../secret"), null)
+  await assert.rejects(store.put(createRecord("../job", JobStatus.RUNNING)), /invalid job id/)
+}))
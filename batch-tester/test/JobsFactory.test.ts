@@ -0,0 +1,158 @@
+import assert from "assert"
+import { test } from "node:test"
+import { JobsClass } from "../src/Services/Jobs"
+import { JobsBackend, JobsFactory } from "../src/Services/JobsFactory"
+import { JobsLocal } from "../src/Services/JobsLocal"
+import { MemoryJobStore } from "../src/Services/JobStore"
+import { CaptureMode, CaptureTriggerMode } from "../src/types/Capture"
+import { JobRequest, JobRequestParams, JobResolution, JobStatus } from "../src/types/Jobs"
+import { ExtractError } from "../src/types/Responses"
+
+/**
+ * A backend whose jobs run until the tests finish them
+ */
+class TestJobs extends JobsClass {
+  readonly name = "test"
+  requests = new Map<string, JobRequest>()
+  // the error the cancellations fail with, if any
+  cancelError: Error|null = null
+
+  async addJob(request: JobRequest) {
+    this.requests.set(request.id, request)
+    request.onStatus?.(JobStatus.RUNNING)
+  }
+
+  finish(id: string, resolution: JobResolution) {
+    const request = this.requests.get(id)!
+    this.requests.delete(id)
+    request.resolve(resolution)
+  }
+
+  override async cancelJob(id: string) {
+    if (this.cancelError) throw this.cancelError
+    if (!this.requests.has(id)) return false
+    this.finish(id, { type: "failure", error: ExtractError.JOB_CANCELLED })
+    return true
+  }
+}
+
+// runs the jobs of the factory on a new test backend, with an empty store
+function setup(): TestJobs {
+  const jobs = new TestJobs()
+  JobsFactory.backend = JobsBackend.LOCAL
+  JobsFactory.jobsLocal = jobs as unknown as JobsLocal
+  JobsFactory.store = new MemoryJobStore(60000)
+  JobsFactory.cache = null
+  JobsFactory.inflight.clear()
+  JobsFactory.waiting.clear()
+  JobsFactory.running.clear()
+  return jobs
+}
+
+function createParams(url = "https://project/"): JobRequestParams {
+  return {
+    captureSettings: {
+      url,
+      mode: CaptureMode.VIEWPORT,
+      triggerMode: CaptureTriggerMode.DELAY,
+      delay: 100,
+    },
+    withFeatures: false,
+  }
+}
+
+// submits a job, done resolves once its record is final
+async function submit(params = createParams()) {
+  let done!: () => void
+  const over = new Promise<void>(resolve => done = resolve)
+  const record = await JobsFactory.submitJob(params, { onDone: () => done() })
+  return { id: record.id, over }
+}
+
+// waits for the pending updates of the records
+const settle = () => new Promise(resolve => setTimeout(resolve, 10))
+
+async function getStatus(id: string) {
+  return (await JobsFactory.getJob(id))?.status
+}
+
+test("records the statuses and the result of the jobs", async () => {
+  const jobs = setup()
+  const { id, over } = await submit()
+  await settle()
+  assert.strictEqual(await getStatus(id), JobStatus.RUNNING)
+
+  jobs.finish(id, { type: "success", data: { captureBase64: "capture" } })
+  await over
+  const record = await JobsFactory.getJob(id)
+  assert.strictEqual(record?.status, JobStatus.SUCCEEDED)
+  assert.strictEqual(record?.resolution?.data?.captureBase64, "capture")
+})
+
+test("records the error of the jobs which failed", async () => {
+  const jobs = setup()
+  const { id, over } = await submit()
+  await settle()
+  jobs.finish(id, { type: "failure", error: "TIMEOUT", errorDetail: "the page didn't load" })
+  await over
+  const record = await JobsFactory.getJob(id)
+  assert.strictEqual(record?.status, JobStatus.FAILED)
+  assert.strictEqual(record?.resolution?.error, "TIMEOUT")
+})
+
+test("cancels the jobs which aren't over", async () => {
+  const jobs = setup()
+  const { id, over } = await submit()
+  await settle()
+  const cancelled = await JobsFactory.cancelJob(id)
+  assert.strictEqual(cancelled.status, JobStatus.CANCELLED)
+  assert.strictEqual(jobs.requests.size, 0)
+  await over
+  assert.strictEqual(await getStatus(id), JobStatus.CANCELLED)
+
+  await assert.rejects(JobsFactory.cancelJob(id), error => error === ExtractError.JOB_NOT_CANCELLABLE)
+  await assert.rejects(JobsFactory.cancelJob("unknown"), error => error === ExtractError.JOB_NOT_FOUND)
+})
+
+test("merges the identical jobs, and only cancels them once none is waiting", async () => {
+  const jobs = setup()
+  const first = await submit()
+  const second = await submit()
+  await settle()
+  // a single job runs for both, the second one gets its status
+  assert.strictEqual(jobs.requests.size, 1)
+  assert.strictEqual(await getStatus(second.id), JobStatus.RUNNING)
+
+  // the first request stops waiting, the job goes on for the second one
+  await JobsFactory.cancelJob(first.id)
+  await first.over
+  assert.strictEqual(await getStatus(first.id), JobStatus.CANCELLED)
+  assert.strictEqual(jobs.requests.size, 1)
+  await assert.rejects(JobsFactory.cancelJob(first.id), error => error === ExtractError.JOB_NOT_CANCELLABLE)
+
+  jobs.finish(first.id, { type: "success", data: { captureBase64: "capture" } })
+  await second.over
+  const record = await JobsFactory.getJob(second.id)
+  assert.strictEqual(record?.status, JobStatus.SUCCEEDED)
+  assert.strictEqual(record?.resolution?.data?.cache?.status, "MERGED")
+  assert.strictEqual(JobsFactory.inflight.size, 0)
+  assert.strictEqual(JobsFactory.waiting.size, 0)
+})
+
+test("keeps a job joinable if its backend fails to cancel it", async () => {
+  const jobs = setup()
+  const first = await submit()
+  await settle()
+  jobs.cancelError = new Error("the backend can't be reached")
+  await assert.rejects(JobsFactory.cancelJob(first.id), error => error === ExtractError.JOB_NOT_CANCELLABLE)
+  assert.strictEqual(await getStatus(first.id), JobStatus.RUNNING)
+
+  // the identical jobs still wait for it
+  const second = await submit()
+  await settle()
+  assert.strictEqual(jobs.requests.size, 1)
+  jobs.finish(first.id, { type: "success", data: { captureBase64: "capture" } })
+  await Promise.all([first.over, second.over])
+  assert.strictEqual(await getStatus(first.id), JobStatus.SUCCEEDED)
+  assert.strictEqual((await JobsFactory.getJob(second.id))?.resolution?.data?.cache?.status, "MERGED")
+})
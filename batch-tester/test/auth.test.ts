@@ -0,0 +1,153 @@
+import assert from "assert"
+import axios from "axios"
+import express from "express"
+import { writeFileSync } from "fs"
+import { Server } from "http"
+import { AddressInfo } from "net"
+import { tmpdir } from "os"
+import path from "path"
+import { test } from "node:test"
+import { Counter } from "prom-client"
+import { ApiClient, ApiClients } from "../src/Services/ApiClients"
+import { JobRecord } from "../src/types/Jobs"
+import { authenticate, authenticateMetrics, canAccessJob, canUsePriority, limitJobs } from "../src/utils/auth"
+import { rejectedRequestsCounter, unauthorizedRequestsCounter } from "../src/utils/metrics"
+
+const clients: ApiClient[] = [
+  { name: "open", key: "open-key" },
+  { name: "limited", key: "limited-key", rateLimit: 2 },
+  { name: "busy", key: "busy-key", maxJobs: 1 },
+  { name: "priority", key: "priority-key", priority: true },
+]
+const keysFile = path.join(tmpdir(), `api-keys-${process.pid}.json`)
+writeFileSync(keysFile, JSON.stringify(clients))
+process.env.API_KEYS_FILE = keysFile
+ApiClients.init()
+
+// the jobs of the requests are held until released
+const running: (() => void)[] = []
+
+/**
+ * Runs fn with the URL of an API whose /jobs route applies the quotas, and
+ * whose /metrics route is protected as the metrics of the API
+ */
+async function withApi(fn: (url: string) => Promise<void>) {
+  const app = express()
+  app.post("/jobs", authenticate, limitJobs, (req, res) => {
+    running.push(res.locals.releaseJob)
+    res.send({ client: res.locals.client?.name })
+  })
+  app.get("/metrics", authenticateMetrics, (req, res) => res.send("metrics"))
+  const server: Server = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server))
+  })
+  try {
+    await fn(`http://127.0.0.1:${(server.address() as AddressInfo).port}`)
+  }
+  finally {
+    running.splice(0).forEach(release => release())
+    server.close()
+  }
+}
+
+const post = (url: string, headers: Record<string, string> = {}) =>
+  axios.post(url, {}, { headers, validateStatus: () => true })
+const get = (url: string, headers: Record<string, string> = {}) =>
+  axios.get(url, { headers, validateStatus: () => true })
+
+// the value of a counter for the given labels
+async function count(counter: Counter<string>, labels: Record<string, string>) {
+  const { values } = await counter.get()
+  const value = values.find(value => Object.entries(labels).every(([name, label]) => value.labels[name] === label))
+  return value?.value || 0
+}
+
+test("rejects the requests without a valid key, counted by reason", () => withApi(async url => {
+  const missing = await count(unauthorizedRequestsCounter, { reason: "MISSING_KEY" })
+  const invalid = await count(unauthorizedRequestsCounter, { reason: "INVALID_KEY" })
+
+  const response = await post(`${url}/jobs`)
+  assert.strictEqual(response.status, 401)
+  assert.deepStrictEqual(response.data, { error: "UNAUTHORIZED" })
+  assert.strictEqual(response.headers["www-authenticate"], "Bearer")
+  assert.strictEqual((await post(`${url}/jobs`, { Authorization: "Bearer wrong-key" })).status, 401)
+  assert.strictEqual((await post(`${url}/jobs`, { "X-API-Key": "wrong-key" })).status, 401)
+
+  assert.strictEqual(await count(unauthorizedRequestsCounter, { reason: "MISSING_KEY" }), missing + 1)
+  assert.strictEqual(await count(unauthorizedRequestsCounter, { reason: "INVALID_KEY" }), invalid + 2)
+}))
+
+test("authenticates the clients with their key", () => withApi(async url => {
+  const bearer = await post(`${url}/jobs`, { Authorization: "Bearer open-key" })
+  assert.strictEqual(bearer.status, 200)
+  assert.deepStrictEqual(bearer.data, { client: "open" })
+  const header = await post(`${url}/jobs`, { "X-API-Key": "open-key" })
+  assert.deepStrictEqual(header.data, { client: "open" })
+  assert.strictEqual(header.headers["x-ratelimit-limit"], "60")
+  assert.strictEqual(header.headers["x-ratelimit-remaining"], "58")
+}))
+
+test("rejects the requests over the rate limit of the client", () => withApi(async url => {
+  const headers = { Authorization: "Bearer limited-key" }
+  assert.strictEqual((await post(`${url}/jobs`, headers)).status, 200)
+  assert.strictEqual((await post(`${url}/jobs`, headers)).status, 200)
+
+  const response = await post(`${url}/jobs`, headers)
+  assert.strictEqual(response.status, 429)
+  assert.strictEqual(response.data.error, "RATE_LIMITED")
+  assert.strictEqual(response.data.quota.requests.remaining, 0)
+  assert.strictEqual(response.headers["x-ratelimit-remaining"], "0")
+  assert.ok(parseInt(response.headers["retry-after"]) > 0)
+  assert.strictEqual(await count(rejectedRequestsCounter, { client: "limited", reason: "RATE_LIMITED" }), 1)
+
+  // the other clients have their own quotas
+  assert.strictEqual((await post(`${url}/jobs`, { Authorization: "Bearer open-key" })).status, 200)
+}))
+
+test("rejects the jobs over the max number of running jobs of the client", () => withApi(async url => {
+  const headers = { Authorization: "Bearer busy-key" }
+  assert.strictEqual((await post(`${url}/jobs`, headers)).status, 200)
+
+  const response = await post(`${url}/jobs`, headers)
+  assert.strictEqual(response.status, 429)
+  assert.strictEqual(response.data.error, "TOO_MANY_JOBS")
+  assert.deepStrictEqual(response.data.quota.jobs, { limit: 1, running: 1 })
+  // a rejected job doesn't hold a slot
+  assert.strictEqual(running.length, 1)
+
+  // releasing a job more than once only frees its own slot
+  const release = running.pop()!
+  release()
+  release()
+  assert.strictEqual(ApiClients.running.get("busy"), undefined)
+  assert.strictEqual((await post(`${url}/jobs`, headers)).status, 200)
+  assert.strictEqual(ApiClients.running.get("busy"), 1)
+}))
+
+test("authenticates the metrics with the key of a client, or with METRICS_TOKEN", () => withApi(async url => {
+  assert.strictEqual((await get(`${url}/metrics`)).status, 401)
+  assert.strictEqual((await get(`${url}/metrics`, { Authorization: "Bearer open-key" })).status, 200)
+
+  process.env.METRICS_TOKEN = "scrape-token"
+  try {
+    assert.strictEqual((await get(`${url}/metrics`, { Authorization: "Bearer scrape-token" })).status, 200)
+    assert.strictEqual((await get(`${url}/metrics`, { Authorization: "Bearer open-key" })).status, 401)
+    assert.strictEqual((await get(`${url}/metrics`)).status, 401)
+  }
+  finally {
+    delete process.env.METRICS_TOKEN
+  }
+}))
+
+test("only lets the clients allowed to use the priority queue and see their own jobs", () => {
+  const res = (client?: ApiClient) => ({ locals: { client } }) as any
+  const record = { id: "job", client: "open" } as JobRecord
+
+  assert.strictEqual(canUsePriority(res(clients[0])), false)
+  assert.strictEqual(canUsePriority(res(clients[3])), true)
+  assert.strictEqual(canAccessJob(res(clients[0]), record), true)
+  assert.strictEqual(canAccessJob(res(clients[1]), record), false)
+  // the API is open without keys
+  assert.strictEqual(canUsePriority(res()), true)
+  assert.strictEqual(canAccessJob(res(), record), true)
+})
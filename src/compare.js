@@ -0,0 +1,182 @@
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const PNG = require("pngjs").PNG;
+const { decodeFrame } = require("./encoders");
+const { SETTINGS_FIELDS } = require("./schema");
+
+//
+// DEFINITIONS
+//
+
+// the default thresholds are the ones of the compareThreshold and
+// compareMinSimilarity settings, see schema.js
+const COMPARE_DEFAULTS = {
+  // the max size of a reference fetched over HTTP
+  MAX_REFERENCE_SIZE: 50 * 1024 * 1024,
+  // the max time given to the download of a reference, in ms
+  REFERENCE_TIMEOUT: 30 * 1000,
+};
+
+// the max YIQ distance between two colors (black and white)
+const MAX_YIQ_DELTA = 35215;
+
+//
+// UTILITY FUNCTIONS
+//
+
+// fetches the body of an http(s) URL into a Buffer, rejects if it's larger
+// than MAX_REFERENCE_SIZE or if it isn't downloaded within REFERENCE_TIMEOUT
+function fetchBuffer(url) {
+  const client = url.startsWith("https:") ? https : http;
+  return new Promise((resolve, reject) => {
+    const fail = (error) => {
+      clearTimeout(timeout);
+      req.destroy();
+      reject(error);
+    };
+    const req = client.get(url, (res) => {
+      if (res.statusCode !== 200) {
+        return fail(
+          new Error(`the reference responded with HTTP ${res.statusCode}`)
+        );
+      }
+      if (
+        parseInt(res.headers["content-length"]) >
+        COMPARE_DEFAULTS.MAX_REFERENCE_SIZE
+      ) {
+        return fail(new Error("the reference is too large"));
+      }
+      let size = 0;
+      const chunks = [];
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > COMPARE_DEFAULTS.MAX_REFERENCE_SIZE) {
+          return fail(new Error("the reference is too large"));
+        }
+        chunks.push(chunk);
+      });
+      res.on("end", () => {
+        clearTimeout(timeout);
+        resolve(Buffer.concat(chunks));
+      });
+      res.on("error", fail);
+    });
+    // the whole download is timed, so that a reference served slowly (or
+    // never ending) doesn't hold the capture
+    const timeout = setTimeout(
+      () => fail(new Error("the reference timed out")),
+      COMPARE_DEFAULTS.REFERENCE_TIMEOUT
+    );
+    req.on("error", fail);
+  });
+}
+
+const isUrl = (source) => /^https?:\/\//.test(source);
+
+// loads a reference image, from a local path or an http(s) URL
+const loadReference = (source) =>
+  isUrl(source) ? fetchBuffer(source) : fs.promises.readFile(source);
+
+// blends a color channel with a white background, given its alpha (0-255)
+const blend = (channel, alpha) => 255 + ((channel - 255) * alpha) / 255;
+
+// the perceptual distance between 2 RGBA pixels, as a squared YIQ distance
+// (see "Measuring perceived color difference using YIQ NTSC transmission
+// color space in mobile applications", Kotsarenko & Ramos)
+function colorDelta(a, b, i) {
+  const r1 = blend(a[i], a[i + 3]);
+  const g1 = blend(a[i + 1], a[i + 3]);
+  const b1 = blend(a[i + 2], a[i + 3]);
+  const r2 = blend(b[i], b[i + 3]);
+  const g2 = blend(b[i + 1], b[i + 3]);
+  const b2 = blend(b[i + 2], b[i + 3]);
+
+  const y =
+    (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+  const iq =
+    (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+  const q =
+    (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
+
+//
+// COMPARISON
+//
+
+/**
+ * Compares a PNG capture to a reference PNG, pixel by pixel. Two pixels are
+ * considered identical if their perceptual distance is below {threshold}.
+ * Resolves with:
+ *  - comparison: { reference, width, height, diffPixels, similarity,
+ *    threshold, minSimilarity, passed }
+ *  - diff: a PNG where identical pixels are faded and different ones are red,
+ *    null if the images don't have the same dimensions
+ * Rejects if the reference can't be loaded or decoded.
+ */
+async function compareToReference(
+  capture,
+  reference,
+  {
+    threshold = SETTINGS_FIELDS.compareThreshold.default,
+    minSimilarity = SETTINGS_FIELDS.compareMinSimilarity.default,
+  } = {}
+) {
+  const expected = await decodeFrame(await loadReference(reference));
+  const actual = await decodeFrame(capture);
+
+  const comparison = {
+    reference,
+    width: actual.width,
+    height: actual.height,
+    diffPixels: null,
+    similarity: 0,
+    threshold,
+    minSimilarity,
+    passed: false,
+  };
+
+  // images of different sizes can't be compared pixel by pixel
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    console.log(
+      `the capture (${actual.width}x${actual.height}) and the reference (${expected.width}x${expected.height}) have different dimensions`
+    );
+    return { comparison, diff: null };
+  }
+
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const diff = new PNG({ width: actual.width, height: actual.height });
+  let diffPixels = 0;
+  for (let i = 0; i < actual.data.length; i += 4) {
+    if (colorDelta(actual.data, expected.data, i) > maxDelta) {
+      diffPixels++;
+      diff.data[i] = 255;
+      diff.data[i + 1] = 0;
+      diff.data[i + 2] = 0;
+    } else {
+      // identical pixels are drawn as a faded grayscale of the capture
+      const gray = blend(
+        actual.data[i] * 0.299 +
+          actual.data[i + 1] * 0.587 +
+          actual.data[i + 2] * 0.114,
+        actual.data[i + 3]
+      );
+      const faded = 255 + (gray - 255) * 0.1;
+      diff.data[i] = diff.data[i + 1] = diff.data[i + 2] = faded;
+    }
+    diff.data[i + 3] = 255;
+  }
+
+  comparison.diffPixels = diffPixels;
+  comparison.similarity = 1 - diffPixels / (actual.width * actual.height);
+  comparison.passed = comparison.similarity >= minSimilarity;
+
+  return { comparison, diff: PNG.sync.write(diff) };
+}
+
+module.exports = {
+  COMPARE_DEFAULTS,
+  isUrl,
+  compareToReference,
+};
@@ -0,0 +1,203 @@
+//
+// DEFINITIONS
+//
+
+const DETERMINISM_DEFAULTS = {
+  // the value of Date.now() when the virtual clock starts (2024-01-01 UTC)
+  CLOCK_EPOCH: 1704067200000,
+};
+
+//
+// PAGE SCRIPT
+//
+
+// injected in the page before any of its scripts runs, this function is
+// serialized by puppeteer so it can't reference anything outside of its scope
+function injectDeterminism({ seed, fxhash, clock }) {
+  // pins Math.random to a sfc32 generator seeded by a xmur3 hash of the seed
+  if (seed !== null) {
+    const xmur3 = (str) => {
+      let h = 1779033703 ^ str.length;
+      for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+      }
+      return () => {
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h ^= h >>> 16) >>> 0;
+      };
+    };
+    const sfc32 = (a, b, c, d) => () => {
+      a >>>= 0;
+      b >>>= 0;
+      c >>>= 0;
+      d >>>= 0;
+      let t = (a + b) | 0;
+      a = b ^ (b >>> 9);
+      b = (c + (c << 3)) | 0;
+      c = (c << 21) | (c >>> 11);
+      d = (d + 1) | 0;
+      t = (t + d) | 0;
+      c = (c + t) | 0;
+      return (t >>> 0) / 4294967296;
+    };
+    const hash = xmur3(String(seed));
+    Math.random = sfc32(hash(), hash(), hash(), hash());
+  }
+
+  // the fxhash snippets read the hash from the fxhash URL parameter, and seed
+  // fxrand/$fx.rand with it
+  if (fxhash !== null) {
+    const get = URLSearchParams.prototype.get;
+    URLSearchParams.prototype.get = function (name) {
+      return name === "fxhash" ? fxhash : get.call(this, name);
+    };
+  }
+
+  // the virtual clock replaces Date, performance.now, requestAnimationFrame
+  // and the timers. Time only moves forward by frames of a fixed duration,
+  // either when advanced explicitly or, once resumed, once per real frame
+  if (clock) {
+    const { epoch, frameDuration } = clock;
+    const realRequestAnimationFrame = window.requestAnimationFrame.bind(window);
+    const RealDate = Date;
+    let now = 0;
+    let paused = true;
+    let nextId = 1;
+    let frameCallbacks = new Map();
+    const timers = new Map();
+
+    function VirtualDate(...args) {
+      if (!new.target) return new RealDate(epoch + now).toString();
+      return args.length === 0
+        ? new RealDate(epoch + now)
+        : new RealDate(...args);
+    }
+    VirtualDate.prototype = RealDate.prototype;
+    VirtualDate.now = () => epoch + now;
+    VirtualDate.parse = RealDate.parse;
+    VirtualDate.UTC = RealDate.UTC;
+    window.Date = VirtualDate;
+
+    performance.now = () => now;
+
+    window.requestAnimationFrame = (callback) => {
+      const id = nextId++;
+      frameCallbacks.set(id, callback);
+      return id;
+    };
+    window.cancelAnimationFrame = (id) => frameCallbacks.delete(id);
+
+    // timers are clamped to 1ms so that chained 0ms timers can't loop forever
+    const addTimer = (callback, delay, args, repeat) => {
+      const id = nextId++;
+      const interval = Math.max(1, Number(delay) || 0);
+      timers.set(id, { callback, at: now + interval, interval, args, repeat });
+      return id;
+    };
+    window.setTimeout = (callback, delay, ...args) =>
+      addTimer(callback, delay, args, false);
+    window.setInterval = (callback, delay, ...args) =>
+      addTimer(callback, delay, args, true);
+    window.clearTimeout = window.clearInterval = (id) => timers.delete(id);
+
+    const invoke = (callback, args) => {
+      try {
+        if (typeof callback === "function") callback(...args);
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    // runs the timers due before {time}, in chronological order
+    const runTimers = (time) => {
+      for (;;) {
+        let next = null;
+        for (const entry of timers) {
+          if (entry[1].at <= time && (!next || entry[1].at < next[1].at)) {
+            next = entry;
+          }
+        }
+        if (!next) return;
+        const [id, timer] = next;
+        now = Math.max(now, timer.at);
+        if (timer.repeat) timer.at += timer.interval;
+        else timers.delete(id);
+        invoke(timer.callback, timer.args);
+      }
+    };
+
+    const runFrame = () => {
+      const target = now + frameDuration;
+      runTimers(target);
+      now = target;
+      const callbacks = frameCallbacks;
+      frameCallbacks = new Map();
+      for (const callback of callbacks.values()) {
+        invoke(callback, [now]);
+      }
+    };
+
+    const tick = () => {
+      if (!paused) runFrame();
+      realRequestAnimationFrame(tick);
+    };
+    realRequestAnimationFrame(tick);
+
+    Object.defineProperty(window, "__fxhashClock", {
+      enumerable: false,
+      value: {
+        pause: () => (paused = true),
+        resume: () => (paused = false),
+        // runs as many frames as needed to move the time forward by ms
+        advance: (ms) => {
+          const frames = Math.round(ms / frameDuration);
+          for (let i = 0; i < frames; i++) runFrame();
+          return now;
+        },
+      },
+    });
+  }
+}
+
+//
+// CLOCK CONTROL
+//
+
+// installs the determinism overrides, must be called before navigating
+async function setupDeterminism(
+  page,
+  { seed, fxhash, virtualClock, clockFps }
+) {
+  if (seed == null && fxhash == null && !virtualClock) return;
+  await page.evaluateOnNewDocument(injectDeterminism, {
+    seed: seed ?? null,
+    fxhash: fxhash ?? null,
+    clock: virtualClock
+      ? {
+          epoch: DETERMINISM_DEFAULTS.CLOCK_EPOCH,
+          frameDuration: 1000 / clockFps,
+        }
+      : null,
+  });
+}
+
+// moves the virtual clock forward by ms, running the frames in between
+const advanceClock = (page, ms) =>
+  page.evaluate((ms) => window.__fxhashClock.advance(ms), ms);
+
+// lets the virtual clock run at the pace of the real frames, or stops it
+const setClockRunning = (page, running) =>
+  page.evaluate(
+    (running) =>
+      running ? window.__fxhashClock.resume() : window.__fxhashClock.pause(),
+    running
+  );
+
+module.exports = {
+  DETERMINISM_DEFAULTS,
+  setupDeterminism,
+  advanceClock,
+  setClockRunning,
+};
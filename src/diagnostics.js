@@ -0,0 +1,221 @@
+const { performance } = require("perf_hooks");
+
+//
+// DEFINITIONS
+//
+
+// the version of the diagnostics.json format, to be increased on breaking
+// changes
+const DIAGNOSTICS_VERSION = 1;
+
+const DIAGNOSTICS_DEFAULTS = {
+  // the max number of entries kept in each list of the diagnostics
+  MAX_ENTRIES: 1000,
+  // the max time spent collecting the diagnostics once the capture is over,
+  // the page may not respond anymore
+  COLLECT_TIMEOUT: 10000,
+};
+
+//
+// PAGE SCRIPT
+//
+
+// runs in the page: reads the WebGL and WebGPU info, as exposed to projects
+async function readGraphicsInfo() {
+  const info = { webgl: null, webgl2: null, webgpu: null };
+  for (const type of ["webgl", "webgl2"]) {
+    try {
+      const gl = document.createElement("canvas").getContext(type);
+      if (!gl) continue;
+      const debug = gl.getExtension("WEBGL_debug_renderer_info");
+      info[type] = {
+        vendor: gl.getParameter(gl.VENDOR),
+        renderer: gl.getParameter(gl.RENDERER),
+        version: gl.getParameter(gl.VERSION),
+        shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+        unmaskedVendor: debug
+          ? gl.getParameter(debug.UNMASKED_VENDOR_WEBGL)
+          : null,
+        unmaskedRenderer: debug
+          ? gl.getParameter(debug.UNMASKED_RENDERER_WEBGL)
+          : null,
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        extensions: gl.getSupportedExtensions(),
+      };
+      gl.getExtension("WEBGL_lose_context")?.loseContext();
+    } catch (err) {
+      info[type] = { error: String(err) };
+    }
+  }
+  try {
+    const adapter = navigator.gpu && (await navigator.gpu.requestAdapter());
+    if (adapter) {
+      const details =
+        adapter.info ||
+        (adapter.requestAdapterInfo && (await adapter.requestAdapterInfo()));
+      info.webgpu = {
+        vendor: details?.vendor ?? null,
+        architecture: details?.architecture ?? null,
+        device: details?.device ?? null,
+        description: details?.description ?? null,
+        features: Array.from(adapter.features),
+      };
+    }
+  } catch (err) {
+    info.webgpu = { error: String(err) };
+  }
+  return info;
+}
+
+//
+// COLLECTION
+//
+
+/**
+ * Creates the diagnostics of a capture, which collect what happened in the
+ * page: its console, uncaught exceptions and failed requests, the GPU info of
+ * the browser (as reported by chrome://gpu) and of the page, the timing of
+ * each captured frame, and a performance trace. Times are in ms since the
+ * diagnostics were created.
+ */
+function createDiagnostics() {
+  const started = performance.now();
+  const now = () => Math.round(performance.now() - started);
+  const push = (list, entry) => {
+    if (list.length < DIAGNOSTICS_DEFAULTS.MAX_ENTRIES) list.push(entry);
+  };
+
+  return {
+    console: [],
+    pageErrors: [],
+    failedRequests: [],
+    // the timing of each frame of animated captures
+    frames: [],
+    gpu: null,
+    graphics: null,
+    // the performance trace, a Buffer of the Chrome trace JSON
+    trace: null,
+    // whether the trace of the page is being recorded
+    tracing: false,
+
+    logConsole(msg) {
+      const { url, lineNumber } = msg.location() || {};
+      push(this.console, {
+        time: now(),
+        type: msg.type(),
+        text: msg.text(),
+        location: url ? `${url}:${lineNumber}` : null,
+      });
+    },
+    logPageError(err) {
+      push(this.pageErrors, {
+        time: now(),
+        message: err.message,
+        stack: err.stack || null,
+      });
+    },
+    logFailedRequest(url, method, resourceType, reason) {
+      push(this.failedRequests, {
+        time: now(),
+        url,
+        method,
+        resourceType,
+        reason,
+      });
+    },
+    logFrame(timing) {
+      push(this.frames, timing);
+    },
+
+    toJSON() {
+      return {
+        version: DIAGNOSTICS_VERSION,
+        console: this.console,
+        pageErrors: this.pageErrors,
+        failedRequests: this.failedRequests,
+        frames: this.frames,
+        gpu: this.gpu,
+        graphics: this.graphics,
+      };
+    },
+  };
+}
+
+// starts collecting the diagnostics of a page, must be called before
+// navigating
+async function startDiagnostics(page, diagnostics) {
+  page.on("console", (msg) => diagnostics.logConsole(msg));
+  page.on("pageerror", (err) => diagnostics.logPageError(err));
+  page.on("requestfailed", (request) =>
+    diagnostics.logFailedRequest(
+      request.url(),
+      request.method(),
+      request.resourceType(),
+      request.failure()?.errorText || "failed"
+    )
+  );
+  // requests answered with an error are failed requests as well
+  page.on("requestfinished", (request) => {
+    const status = request.response()?.status();
+    if (status >= 400) {
+      diagnostics.logFailedRequest(
+        request.url(),
+        request.method(),
+        request.resourceType(),
+        `HTTP ${status}`
+      );
+    }
+  });
+  // a browser records one trace at a time, the captures which share their
+  // browser with a capture being traced (batches, the capture server) go
+  // without a trace
+  try {
+    await page.tracing.start({ screenshots: false });
+    diagnostics.tracing = true;
+  } catch (err) {
+    console.log("the performance trace is skipped:", err.message);
+  }
+}
+
+// stops the trace and reads the GPU info, the diagnostics are collected on a
+// best effort basis as the page may be unresponsive or closed
+async function stopDiagnostics(page, diagnostics) {
+  const collect = async () => {
+    if (diagnostics.tracing) {
+      try {
+        diagnostics.trace = await page.tracing.stop();
+      } catch (err) {
+        console.log("failed to collect the trace:", err);
+      }
+      diagnostics.tracing = false;
+    }
+    try {
+      const session = await page.browser().target().createCDPSession();
+      diagnostics.gpu = await session.send("SystemInfo.getInfo");
+      await session.detach();
+    } catch (err) {
+      console.log("failed to collect the GPU info:", err);
+    }
+    try {
+      diagnostics.graphics = await page.evaluate(readGraphicsInfo);
+    } catch (err) {
+      console.log("failed to collect the graphics info:", err);
+    }
+  };
+  let timer;
+  await Promise.race([
+    collect(),
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, DIAGNOSTICS_DEFAULTS.COLLECT_TIMEOUT);
+    }),
+  ]);
+  clearTimeout(timer);
+}
+
+module.exports = {
+  DIAGNOSTICS_VERSION,
+  DIAGNOSTICS_DEFAULTS,
+  createDiagnostics,
+  startDiagnostics,
+  stopDiagnostics,
+};
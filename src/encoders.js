@@ -0,0 +1,220 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { once } = require("events");
+const sharp = require("sharp");
+const PNG = require("pngjs").PNG;
+const UPNG = require("upng-js");
+const ffmpeg = require("@ffmpeg-installer/ffmpeg");
+const { encodeGif } = require("./gif");
+
+//
+// DEFINITIONS
+//
+
+// the animated output formats, with their file extension and content type
+const ANIMATION_FORMATS = {
+  GIF: { extension: "gif", contentType: "image/gif" },
+  WEBP: { extension: "webp", contentType: "image/webp" },
+  APNG: { extension: "png", contentType: "image/apng" },
+  MP4: { extension: "mp4", contentType: "video/mp4" },
+  WEBM: { extension: "webm", contentType: "video/webm" },
+};
+
+const ENCODER_DEFAULTS = {
+  WEBP_QUALITY: 90,
+  // constant rate factor, lower is better (x264: 0-51, vp9: 0-63)
+  VIDEO_CRF: 20,
+};
+
+// thrown when captured frames can't be encoded, to tell encoding failures
+// apart from capture failures
+class EncodingError extends Error {
+  constructor(format, cause) {
+    super(`failed to encode ${format}`);
+    this.name = "EncodingError";
+    this.cause = cause;
+  }
+}
+
+//
+// UTILITY FUNCTIONS
+//
+
+// decodes a frame into RGBA pixels, frames are either base64 data URLs (canvas
+// captures) or PNG buffers (viewport captures)
+async function decodeFrame(frame) {
+  const buffer =
+    typeof frame === "string"
+      ? Buffer.from(frame.replace(/^data:image\/png;base64,/, ""), "base64")
+      : frame;
+  return new Promise((resolve, reject) => {
+    new PNG().parse(buffer, (err, data) => {
+      if (err) return reject(err);
+      resolve(data);
+    });
+  });
+}
+
+//
+// ENCODERS
+//
+// every encoder receives the decoded frames ({ width, height, data }), the
+// playback delay between 2 frames in milliseconds, and the encoder options
+//
+
+// sharp expects animations as a single image where frames are stacked
+// vertically, each frame being a page of pageHeight pixels
+async function encodeWebp(frames, width, height, delay) {
+  const stacked = Buffer.concat(frames.map((frame) => frame.data));
+  return sharp(stacked, {
+    raw: { width, height: height * frames.length, channels: 4 },
+  })
+    .webp({
+      quality: ENCODER_DEFAULTS.WEBP_QUALITY,
+      pageHeight: height,
+      loop: 0,
+      delay: frames.map(() => delay),
+    })
+    .toBuffer();
+}
+
+async function encodeApng(frames, width, height, delay) {
+  // cnum = 0 means lossless encoding
+  const apng = UPNG.encode(
+    frames.map((frame) => new Uint8Array(frame.data).buffer),
+    width,
+    height,
+    0,
+    frames.map(() => delay)
+  );
+  return Buffer.from(apng);
+}
+
+// pipes raw RGBA frames into the bundled ffmpeg binary, the output is written
+// to a temporary file as the mp4 muxer needs a seekable output
+async function encodeVideo(codecArgs, extension, frames, width, height, delay) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "capture-"));
+  const output = path.join(dir, `output.${extension}`);
+
+  try {
+    await new Promise((resolve, reject) => {
+      const proc = spawn(ffmpeg.path, [
+        "-y",
+        "-f",
+        "rawvideo",
+        "-pix_fmt",
+        "rgba",
+        "-s",
+        `${width}x${height}`,
+        "-framerate",
+        `${1000 / delay}`,
+        "-i",
+        "pipe:0",
+        // yuv420p requires even dimensions
+        "-vf",
+        "pad=ceil(iw/2)*2:ceil(ih/2)*2",
+        "-pix_fmt",
+        "yuv420p",
+        ...codecArgs,
+        output,
+      ]);
+      let stderr = "";
+      proc.stderr.on("data", (chunk) => (stderr += chunk));
+      proc.on("error", reject);
+      proc.on("close", (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`));
+      });
+      // a closed stdin is reported through the close event
+      proc.stdin.on("error", () => {});
+      // write the frames one by one, waiting for ffmpeg to consume them
+      (async () => {
+        for (const frame of frames) {
+          if (!proc.stdin.write(frame.data)) {
+            await once(proc.stdin, "drain");
+          }
+        }
+        proc.stdin.end();
+      })().catch(reject);
+    });
+    return await fs.promises.readFile(output);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const encodeMp4 = (...args) =>
+  encodeVideo(
+    [
+      "-c:v",
+      "libx264",
+      "-crf",
+      `${ENCODER_DEFAULTS.VIDEO_CRF}`,
+      "-movflags",
+      "+faststart",
+    ],
+    "mp4",
+    ...args
+  );
+
+const encodeWebm = (...args) =>
+  encodeVideo(
+    [
+      "-c:v",
+      "libvpx-vp9",
+      "-crf",
+      `${ENCODER_DEFAULTS.VIDEO_CRF}`,
+      "-b:v",
+      "0",
+    ],
+    "webm",
+    ...args
+  );
+
+const ENCODERS = {
+  GIF: encodeGif,
+  WEBP: encodeWebp,
+  APNG: encodeApng,
+  MP4: encodeMp4,
+  WEBM: encodeWebm,
+};
+
+// encodes a list of captured frames into an animation of the given format
+async function encodeAnimation(
+  format,
+  frames,
+  width,
+  height,
+  playbackFps,
+  options = {}
+) {
+  const encode = ENCODERS[format];
+  if (!encode) {
+    throw new Error(`unsupported animation format: ${format}`);
+  }
+
+  const playbackDelay = Math.round(1000 / playbackFps);
+  console.log(
+    `Creating ${format} with playback delay: ${playbackDelay}ms (${playbackFps} FPS)`
+  );
+
+  try {
+    const decoded = [];
+    for (const frame of frames) {
+      decoded.push(await decodeFrame(frame));
+    }
+
+    return await encode(decoded, width, height, playbackDelay, options);
+  } catch (err) {
+    throw new EncodingError(format, err);
+  }
+}
+
+module.exports = {
+  ANIMATION_FORMATS,
+  EncodingError,
+  decodeFrame,
+  encodeAnimation,
+};
@@ -0,0 +1,254 @@
+//
+// DEFINITIONS
+//
+
+// the version of the metadata.json format, to be increased on breaking changes
+const METADATA_VERSION = 1;
+// the max time to wait for a page to define its features, projects which
+// don't define any within this time are assumed to have none
+const FEATURES_READY_TIMEOUT = 10000;
+// the interval between 2 checks of the features of the page
+const FEATURES_READY_POLLING = 100;
+// nested values are kept as JSON strings, up to this length
+const MAX_NESTED_VALUE_LENGTH = 1024;
+
+//
+// PAGE EXTRACTION
+//
+
+// runs in the page: reads the features, params and token info exposed by the
+// fxhash snippet ($fx v3 API, or the deprecated globals). Values which can't
+// be represented in JSON (bigints, functions, non-finite numbers...) are
+// replaced by { __type, value } markers so that they can be reported
+function extractFromPage() {
+  const marker = (type, value) => ({ __type: type, value });
+  const replacer = (key, value) => {
+    if (typeof value === "bigint") return marker("bigint", value.toString());
+    if (typeof value === "number" && !isFinite(value)) {
+      return marker("number", String(value));
+    }
+    if (typeof value === "function" || typeof value === "symbol") {
+      return marker(typeof value, null);
+    }
+    if (value === undefined && key !== "") return marker("undefined", null);
+    return value;
+  };
+  const tryGet = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      return marker("error", String(err));
+    }
+  };
+
+  const $fx = window.$fx;
+  if ($fx) {
+    return JSON.stringify(
+      {
+        api: "$fx",
+        hash: tryGet(() => $fx.hash),
+        minter: tryGet(() => $fx.minter),
+        iteration: tryGet(() => $fx.iteration),
+        context: tryGet(() => $fx.context),
+        inputBytes: tryGet(() => $fx.inputBytes),
+        features: tryGet(() => $fx._features || window.$fxhashFeatures),
+        params: tryGet(() => $fx._params),
+        values: tryGet(() => $fx.getParams && $fx.getParams()),
+        rawValues: tryGet(() => $fx.getRawParams && $fx.getRawParams()),
+      },
+      replacer
+    );
+  }
+  return JSON.stringify(
+    {
+      api: "legacy",
+      hash: tryGet(() => window.fxhash),
+      features: tryGet(() => window.$fxhashFeatures),
+    },
+    replacer
+  );
+}
+
+//
+// NORMALIZATION
+//
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// color params are exposed by $fx as { hex: { rgb, rgba }, obj, arr }
+const isColor = (value) =>
+  isPlainObject(value) &&
+  isPlainObject(value.hex) &&
+  typeof value.hex.rgba === "string";
+
+/**
+ * Normalizes a value extracted from the page into a JSON primitive. Resolves
+ * with { value, type } where type describes the original value, or with
+ * { dropped: reason } if the value can't be represented.
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return { dropped: "no value" };
+  switch (typeof value) {
+    case "string":
+    case "boolean":
+      return { value, type: typeof value };
+    case "number":
+      return { value, type: "number" };
+  }
+  if (isPlainObject(value) && typeof value.__type === "string") {
+    if (value.__type === "bigint")
+      return { value: value.value, type: "bigint" };
+    if (value.__type === "number") {
+      return { dropped: `non-finite number (${value.value})` };
+    }
+    if (value.__type === "error") {
+      return { dropped: `failed to read (${value.value})` };
+    }
+    return { dropped: `unsupported type ${value.__type}` };
+  }
+  if (isColor(value)) {
+    return { value: value.hex.rgba, type: "color" };
+  }
+  // arrays and objects are kept as JSON, if they stay reasonably small
+  const json = JSON.stringify(value);
+  if (json.length > MAX_NESTED_VALUE_LENGTH) {
+    return {
+      dropped: `nested value larger than ${MAX_NESTED_VALUE_LENGTH} characters`,
+    };
+  }
+  return { value: json, type: Array.isArray(value) ? "array" : "object" };
+}
+
+// process the raw features extracted into attributes, the features which
+// can't be represented are reported as dropped, with the reason why
+function processRawTokenFeatures(rawFeatures) {
+  const features = [];
+  const dropped = [];
+  // projects without features are fine
+  if (
+    rawFeatures === null ||
+    rawFeatures === undefined ||
+    rawFeatures.__type === "undefined"
+  ) {
+    return { features, dropped };
+  }
+  // first check if features are an object
+  if (!isPlainObject(rawFeatures) || rawFeatures.__type) {
+    dropped.push({ name: null, reason: "features are not an object" });
+    return { features, dropped };
+  }
+  // go through each property and process it
+  for (const name in rawFeatures) {
+    const normalized = normalizeValue(rawFeatures[name]);
+    if (normalized.dropped) {
+      dropped.push({ name, reason: normalized.dropped });
+      continue;
+    }
+    features.push({ name, value: normalized.value, type: normalized.type });
+  }
+  return { features, dropped };
+}
+
+// params definitions are kept as is, except for their default values and
+// options which are normalized like any other value
+function processParams(rawParams, rawValues, rawRawValues, dropped) {
+  if (!Array.isArray(rawParams)) return null;
+  const values = isPlainObject(rawValues) ? rawValues : {};
+  const raw = isPlainObject(rawRawValues) ? rawRawValues : {};
+
+  return rawParams
+    .filter((definition) => isPlainObject(definition) && definition.id)
+    .map((definition) => {
+      const { id, name, type, update, options } = definition;
+      const param = { id, name: name ?? id, type, update: update ?? null };
+
+      for (const [key, source] of [
+        ["default", definition.default],
+        ["value", values[id]],
+        ["rawValue", raw[id]],
+      ]) {
+        if (source === undefined) {
+          param[key] = null;
+          continue;
+        }
+        const normalized = normalizeValue(source);
+        if (normalized.dropped) {
+          dropped.push({ name: `${id}.${key}`, reason: normalized.dropped });
+          param[key] = null;
+        } else {
+          param[key] = normalized.value;
+        }
+      }
+      param.options = isPlainObject(options) ? options : null;
+      return param;
+    });
+}
+
+// token info (hash, minter...) are only kept if they are primitives
+const primitiveOrNull = (value) => {
+  const normalized = normalizeValue(value);
+  return normalized.dropped || normalized.type === "object"
+    ? null
+    : normalized.value;
+};
+
+// resolves once the page has defined its features (or after a timeout, or
+// once cancelled() returns true). The page is polled from here rather than
+// with page.waitForFunction() so that it doesn't depend on the timers of the
+// page, which may be virtual
+async function waitFeaturesReady(
+  page,
+  timeout = FEATURES_READY_TIMEOUT,
+  cancelled = () => false
+) {
+  const started = Date.now();
+  while (Date.now() - started < timeout) {
+    if (cancelled()) return false;
+    const ready = await page.evaluate(
+      () => !!(window.$fx?._features || window.$fxhashFeatures)
+    );
+    if (ready) return true;
+    await new Promise((resolve) => setTimeout(resolve, FEATURES_READY_POLLING));
+  }
+  console.log(`no features defined after ${timeout}ms`);
+  return false;
+}
+
+/**
+ * Extracts the features, params and token info of the project loaded in the
+ * page. Resolves with:
+ *  - features: [{ name, value }], the attributes stored as features.json
+ *  - metadata: the content of metadata.json, which also holds the type of each
+ *    feature, the params (definitions and values), the token info and the
+ *    features/params which were dropped and why
+ */
+async function extractFeatures(page) {
+  const raw = JSON.parse(await page.evaluate(extractFromPage));
+
+  const { features, dropped } = processRawTokenFeatures(raw.features);
+  const params = processParams(raw.params, raw.values, raw.rawValues, dropped);
+
+  return {
+    features: features.map(({ name, value }) => ({ name, value })),
+    metadata: {
+      version: METADATA_VERSION,
+      api: raw.api,
+      hash: primitiveOrNull(raw.hash),
+      minter: primitiveOrNull(raw.minter),
+      iteration: primitiveOrNull(raw.iteration),
+      context: primitiveOrNull(raw.context),
+      inputBytes: primitiveOrNull(raw.inputBytes),
+      features,
+      params,
+      dropped,
+    },
+  };
+}
+
+module.exports = {
+  METADATA_VERSION,
+  FEATURES_READY_TIMEOUT,
+  waitFeaturesReady,
+  extractFeatures,
+};
@@ -0,0 +1,233 @@
+const { GIFEncoder, quantize, applyPalette } = require("gifenc");
+const { GIF_PALETTE_MODES, GIF_DITHER_MODES } = require("./schema");
+
+//
+// DEFINITIONS
+//
+
+// above this amount of sampled pixels, the sampling interval is increased so
+// that quantizing a global palette stays fast on long animations
+const MAX_PALETTE_SAMPLES = 1 << 22;
+// pixels with an alpha below this threshold are encoded as transparent
+const ALPHA_THRESHOLD = 128;
+
+// 4x4 Bayer matrix, used for ordered dithering
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+// the amplitude of the ordered dithering noise, in color units
+const ORDERED_SPREAD = 32;
+
+//
+// UTILITY FUNCTIONS
+//
+
+// builds an RGBA buffer made of 1 pixel out of every {interval} pixels of the
+// given frames
+function samplePixels(frames, interval) {
+  const total = frames.reduce((acc, frame) => acc + frame.data.length / 4, 0);
+  const step = Math.max(
+    1,
+    interval | 0,
+    Math.ceil(total / MAX_PALETTE_SAMPLES)
+  );
+
+  const samples = new Uint8Array(Math.ceil(total / step) * 4);
+  let length = 0;
+  for (const frame of frames) {
+    const data = frame.data;
+    for (let i = 0; i < data.length; i += step * 4) {
+      samples[length++] = data[i];
+      samples[length++] = data[i + 1];
+      samples[length++] = data[i + 2];
+      samples[length++] = data[i + 3];
+    }
+  }
+  return samples.subarray(0, length);
+}
+
+// returns a function which finds the index of the palette color the closest
+// to an RGB color, results are cached on a 5-6-5 bits key
+function createNearestColorLookup(palette, transparentIndex) {
+  const cache = new Int16Array(1 << 16).fill(-1);
+  return (r, g, b) => {
+    const key = ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3);
+    if (cache[key] !== -1) return cache[key];
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      if (i === transparentIndex) continue;
+      const color = palette[i];
+      const dr = r - color[0];
+      const dg = g - color[1];
+      const db = b - color[2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    cache[key] = best;
+    return best;
+  };
+}
+
+const clamp = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+// error diffusion dithering, the quantization error of each pixel is spread
+// over its neighbours (7/16 right, 3/16 bottom-left, 5/16 bottom,
+// 1/16 bottom-right)
+function ditherFloydSteinberg(
+  pixels,
+  width,
+  height,
+  palette,
+  nearest,
+  transparentIndex
+) {
+  const index = new Uint8Array(width * height);
+  const buffer = new Float32Array(width * height * 3);
+  for (let i = 0, j = 0; i < pixels.length; i += 4, j += 3) {
+    buffer[j] = pixels[i];
+    buffer[j + 1] = pixels[i + 1];
+    buffer[j + 2] = pixels[i + 2];
+  }
+
+  const diffuse = (x, y, er, eg, eb, factor) => {
+    if (x < 0 || x >= width || y >= height) return;
+    const k = (y * width + x) * 3;
+    buffer[k] += er * factor;
+    buffer[k + 1] += eg * factor;
+    buffer[k + 2] += eb * factor;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (transparentIndex >= 0 && pixels[p * 4 + 3] < ALPHA_THRESHOLD) {
+        index[p] = transparentIndex;
+        continue;
+      }
+      const r = clamp(buffer[p * 3]);
+      const g = clamp(buffer[p * 3 + 1]);
+      const b = clamp(buffer[p * 3 + 2]);
+      const c = nearest(r | 0, g | 0, b | 0);
+      index[p] = c;
+      const er = r - palette[c][0];
+      const eg = g - palette[c][1];
+      const eb = b - palette[c][2];
+      diffuse(x + 1, y, er, eg, eb, 7 / 16);
+      diffuse(x - 1, y + 1, er, eg, eb, 3 / 16);
+      diffuse(x, y + 1, er, eg, eb, 5 / 16);
+      diffuse(x + 1, y + 1, er, eg, eb, 1 / 16);
+    }
+  }
+  return index;
+}
+
+// ordered dithering, a threshold map offsets each pixel before looking up
+// its nearest color, which gives a stable pattern across frames
+function ditherOrdered(
+  pixels,
+  width,
+  height,
+  palette,
+  nearest,
+  transparentIndex
+) {
+  const index = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (transparentIndex >= 0 && pixels[p * 4 + 3] < ALPHA_THRESHOLD) {
+        index[p] = transparentIndex;
+        continue;
+      }
+      const offset = (BAYER_4[y & 3][x & 3] / 16 - 0.5) * ORDERED_SPREAD;
+      index[p] = nearest(
+        clamp(pixels[p * 4] + offset) | 0,
+        clamp(pixels[p * 4 + 1] + offset) | 0,
+        clamp(pixels[p * 4 + 2] + offset) | 0
+      );
+    }
+  }
+  return index;
+}
+
+// maps the pixels of a frame to the palette, using the given dithering mode
+function indexFrame(pixels, width, height, palette, format, options) {
+  const { dither, transparentIndex } = options;
+  if (dither === "NONE") {
+    return applyPalette(pixels, palette, format);
+  }
+  const nearest = createNearestColorLookup(palette, transparentIndex);
+  const ditherFn =
+    dither === "FLOYD_STEINBERG" ? ditherFloydSteinberg : ditherOrdered;
+  return ditherFn(pixels, width, height, palette, nearest, transparentIndex);
+}
+
+//
+// ENCODER
+//
+
+/**
+ * Encodes decoded RGBA frames into an animated GIF.
+ * Options:
+ *  - palette: one of GIF_PALETTE_MODES
+ *  - dither: one of GIF_DITHER_MODES
+ *  - quality: the pixel sampling interval used to build the palettes, 1 is
+ *    the best quality (every pixel is sampled) but the slowest
+ *  - transparent: if true, pixels with a low alpha are encoded as transparent
+ */
+async function encodeGif(frames, width, height, delay, options = {}) {
+  const {
+    palette: paletteMode = "FRAME",
+    dither = "NONE",
+    quality = 10,
+    transparent = false,
+  } = options;
+
+  // transparency requires the alpha channel to be quantized as well
+  const format = transparent ? "rgba4444" : "rgb565";
+  const quantizeOptions = { format, oneBitAlpha: transparent };
+  const buildPalette = (source) =>
+    quantize(samplePixels(source, quality), 256, quantizeOptions);
+
+  const globalPalette = paletteMode === "GLOBAL" ? buildPalette(frames) : null;
+
+  const gif = GIFEncoder();
+  for (let i = 0; i < frames.length; i++) {
+    const pixels = new Uint8Array(frames[i].data);
+    const palette = globalPalette || buildPalette([frames[i]]);
+    const transparentIndex = transparent
+      ? palette.findIndex((color) => color[3] === 0)
+      : -1;
+    const index = indexFrame(pixels, width, height, palette, format, {
+      dither,
+      transparentIndex,
+    });
+
+    gif.writeFrame(index, width, height, {
+      // the palette of the first frame is written as the global color table,
+      // which is used by the following frames if they don't define one
+      palette: globalPalette && i > 0 ? undefined : palette,
+      delay,
+      transparent: transparentIndex >= 0,
+      transparentIndex: Math.max(0, transparentIndex),
+      // clear transparent frames before drawing the next one
+      dispose: transparent ? 2 : -1,
+    });
+  }
+
+  gif.finish();
+  return Buffer.from(gif.bytes());
+}
+
+module.exports = {
+  GIF_PALETTE_MODES,
+  GIF_DITHER_MODES,
+  encodeGif,
+};
@@ -0,0 +1,159 @@
+const { performance } = require("perf_hooks");
+
+//
+// DEFINITIONS
+//
+
+// the limits themselves (maxHeap, timeBudget, maxRequests, maxBytes and
+// watchdogTimeout) are capture settings, see schema.js for their defaults
+const LIMITS_DEFAULTS = {
+  // V8 itself is capped a bit higher, so that the watchdog reports the heap
+  // limit before the renderer crashes on it
+  HEAP_MARGIN: 512,
+  // the watchdog checks the page every WATCHDOG_INTERVAL ms, and considers it
+  // stuck in an infinite loop if it doesn't respond for watchdogTimeout ms
+  WATCHDOG_INTERVAL: 1000,
+  // the CLI exits on its own if the run still goes on after its budget
+  GRACE_PERIOD: 5000,
+};
+
+const MB = 1024 * 1024;
+
+// a limit was exceeded, code being the error the run fails with
+class LimitError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "LimitError";
+    this.code = code;
+  }
+}
+
+//
+// GUARD
+//
+
+/**
+ * Enforces the resource limits of a capture on its page, must be started
+ * before navigating. The wall-clock budget is counted from the opening of the
+ * page of the first attempt of the run (see report.startBudget()). Returns:
+ *  - run(fn): resolves with fn(), or rejects with a LimitError as soon as a
+ *    limit is exceeded
+ *  - stop(): stops monitoring the page
+ */
+async function startGuard(page, limits, report) {
+  const { maxHeap, timeBudget, maxRequests, maxBytes, watchdogTimeout } =
+    limits;
+  report.startBudget();
+  const session = await page.target().createCDPSession();
+  await session.send("Network.enable");
+
+  // the heap usage can't be read from some renderers, the watchdog then only
+  // checks that the page responds
+  let readsHeap = true;
+  try {
+    await session.send("Runtime.getHeapUsage");
+  } catch (err) {
+    readsHeap = false;
+    report.warn(
+      `maxHeap can't be enforced, the heap usage of the page can't be read (${err.message})`
+    );
+  }
+
+  let violate;
+  const violation = new Promise((_, reject) => (violate = reject));
+  // the guard rejects at most once, and never if nobody listens
+  violation.catch(() => {});
+
+  let requests = 0;
+  let bytes = 0;
+  session.on("Network.requestWillBeSent", () => {
+    if (++requests > maxRequests) {
+      violate(
+        new LimitError(
+          "REQUEST_LIMIT_EXCEEDED",
+          `the page sent more than ${maxRequests} requests`
+        )
+      );
+    }
+  });
+  session.on("Network.dataReceived", ({ dataLength, encodedDataLength }) => {
+    bytes += Math.max(dataLength, encodedDataLength);
+    if (bytes > maxBytes) {
+      violate(
+        new LimitError(
+          "REQUEST_LIMIT_EXCEEDED",
+          `the page downloaded more than ${maxBytes} bytes`
+        )
+      );
+    }
+  });
+
+  const onCrash = (err) =>
+    violate(new LimitError("PAGE_CRASHED", `the page crashed: ${err.message}`));
+  page.on("error", onCrash);
+
+  const budget = setTimeout(
+    () =>
+      violate(
+        new LimitError(
+          "TIME_BUDGET_EXCEEDED",
+          `the run took more than ${timeBudget}ms`
+        )
+      ),
+    Math.max(0, timeBudget - report.budgetElapsed())
+  );
+
+  // the heap usage (or a trivial expression, if it can't be read) is
+  // evaluated on the main thread of the page, so a page which doesn't answer
+  // is busy running a script which never returns
+  let probing = false;
+  let lastResponse = performance.now();
+  const watchdog = setInterval(() => {
+    if (performance.now() - lastResponse > watchdogTimeout) {
+      // interrupts the script, so that the renderer can be closed
+      session.send("Runtime.terminateExecution").catch(() => {});
+      violate(
+        new LimitError(
+          "PAGE_UNRESPONSIVE",
+          `the page didn't respond for ${watchdogTimeout}ms, it may be stuck in an infinite loop`
+        )
+      );
+      return;
+    }
+    if (probing) return;
+    probing = true;
+    const probe = readsHeap
+      ? session.send("Runtime.getHeapUsage")
+      : session.send("Runtime.evaluate", { expression: "0" });
+    probe
+      .then(({ usedSize }) => {
+        lastResponse = performance.now();
+        if (readsHeap && usedSize > maxHeap * MB) {
+          violate(
+            new LimitError(
+              "HEAP_LIMIT_EXCEEDED",
+              `the JS heap of the page exceeded ${maxHeap}MB`
+            )
+          );
+        }
+      })
+      .catch(() => {})
+      .finally(() => (probing = false));
+  }, LIMITS_DEFAULTS.WATCHDOG_INTERVAL);
+
+  return {
+    run: (fn) => Promise.race([fn(), violation]),
+    stop() {
+      clearTimeout(budget);
+      clearInterval(watchdog);
+      page.off("error", onCrash);
+      session.detach().catch(() => {});
+    },
+  };
+}
+
+module.exports = {
+  LIMITS_DEFAULTS,
+  LimitError,
+  startGuard,
+};
@@ -0,0 +1,356 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const tar = require("tar-stream");
+const yauzl = require("yauzl");
+
+//
+// DEFINITIONS
+//
+
+const NETWORK_DEFAULTS = {
+  // the gateway ipfs:// URLs are rewritten to
+  IPFS_GATEWAY: process.env.IPFS_GATEWAY_ROOT || "https://ipfs.io",
+  // the origin the files of a bundle are served from, it's a secure context
+  // so that the APIs which require one (WebGPU...) are available
+  BUNDLE_ORIGIN: "https://bundle.fxhash.local",
+  // the max size of a tar/zip bundle, which is loaded in memory
+  MAX_BUNDLE_SIZE: 512 * 1024 * 1024,
+};
+
+// the content type of the files served from a bundle, by extension
+const CONTENT_TYPES = {
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".js": "text/javascript",
+  ".mjs": "text/javascript",
+  ".css": "text/css",
+  ".json": "application/json",
+  ".txt": "text/plain",
+  ".glsl": "text/plain",
+  ".frag": "text/plain",
+  ".vert": "text/plain",
+  ".wgsl": "text/plain",
+  ".xml": "application/xml",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".wasm": "application/wasm",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".ogg": "audio/ogg",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".glb": "model/gltf-binary",
+  ".gltf": "model/gltf+json",
+};
+
+// a CIDv0 (base58) or CIDv1 (base32)
+const CID_REGEX = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/;
+
+//
+// BUNDLES
+//
+
+// serves the files of a directory, the files outside of it can't be read
+function directoryBundle(root) {
+  return {
+    async read(file) {
+      const resolved = path.resolve(root, `.${file}`);
+      if (!resolved.startsWith(root + path.sep)) return null;
+      try {
+        return await fs.promises.readFile(resolved);
+      } catch (err) {
+        if (["ENOENT", "EISDIR", "ENOTDIR"].includes(err.code)) return null;
+        throw err;
+      }
+    },
+  };
+}
+
+// serves the files of an archive from memory. If every file of the archive is
+// in the same directory, this directory is the root of the bundle
+function archiveBundle(files) {
+  const names = Array.from(files.keys());
+  const top = names[0]?.split("/")[0];
+  const prefix =
+    names.length > 0 &&
+    !files.has("index.html") &&
+    names.every((name) => name.startsWith(`${top}/`))
+      ? `${top}/`
+      : "";
+  return {
+    async read(file) {
+      return files.get(prefix + file.replace(/^\/+/, "")) ?? null;
+    },
+  };
+}
+
+// normalizes the path of an archive entry, entries escaping the archive are
+// ignored
+const entryName = (name) => {
+  const normalized = path.posix.normalize(name).replace(/^(\.\/|\/)+/, "");
+  return normalized.startsWith("..") ? null : normalized;
+};
+
+function readTar(buffer) {
+  return new Promise((resolve, reject) => {
+    const files = new Map();
+    const extract = tar.extract();
+    extract.on("entry", (header, stream, next) => {
+      const name = header.type === "file" ? entryName(header.name) : null;
+      const chunks = [];
+      stream.on("data", (chunk) => name && chunks.push(chunk));
+      stream.on("end", () => {
+        if (name) files.set(name, Buffer.concat(chunks));
+        next();
+      });
+      stream.on("error", reject);
+    });
+    extract.on("finish", () => resolve(files));
+    extract.on("error", reject);
+    extract.end(buffer);
+  });
+}
+
+function readZip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(err);
+      const files = new Map();
+      zip.on("entry", (entry) => {
+        const name = entryName(entry.fileName);
+        // directories end with a slash
+        if (!name || entry.fileName.endsWith("/")) return zip.readEntry();
+        zip.openReadStream(entry, (err, stream) => {
+          if (err) return reject(err);
+          const chunks = [];
+          stream.on("data", (chunk) => chunks.push(chunk));
+          stream.on("end", () => {
+            files.set(name, Buffer.concat(chunks));
+            zip.readEntry();
+          });
+          stream.on("error", reject);
+        });
+      });
+      zip.on("end", () => resolve(files));
+      zip.on("error", reject);
+      zip.readEntry();
+    });
+  });
+}
+
+/**
+ * Loads a project bundle: a directory, or a tar (optionally gzipped) or zip
+ * archive. Resolves with { read(path) }, which resolves with the content of
+ * a file of the bundle, or null if there is none at this path.
+ */
+async function loadBundle(source) {
+  const root = path.resolve(source);
+  const stat = await fs.promises.stat(root);
+  if (stat.isDirectory()) return directoryBundle(root);
+  if (stat.size > NETWORK_DEFAULTS.MAX_BUNDLE_SIZE) {
+    throw new Error(
+      `the bundle is larger than ${NETWORK_DEFAULTS.MAX_BUNDLE_SIZE} bytes`
+    );
+  }
+
+  let buffer = await fs.promises.readFile(root);
+  // zip archives start with PK
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    return archiveBundle(await readZip(buffer));
+  }
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer, {
+      maxOutputLength: NETWORK_DEFAULTS.MAX_BUNDLE_SIZE,
+    });
+  }
+  return archiveBundle(await readTar(buffer));
+}
+
+//
+// URLS
+//
+
+const trimGateway = (gateway) => gateway.replace(/\/+$/, "");
+
+/**
+ * Rewrites an IPFS URL to the given gateway: ipfs:// and ipns:// URLs, and
+ * the URLs of other gateways, either path (https://host/ipfs/{cid}/...) or
+ * subdomain (https://{cid}.ipfs.host/...) style. Returns null if the URL
+ * isn't an IPFS URL, or is already served by the gateway.
+ */
+function rewriteIpfsUrl(url, gateway) {
+  gateway = trimGateway(gateway);
+  const scheme = url.match(/^(ipfs|ipns):\/\/(.+)$/);
+  if (scheme) return `${gateway}/${scheme[1]}/${scheme[2]}`;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return null;
+  if (parsed.host === new URL(gateway).host) return null;
+
+  const rest = `${parsed.search}${parsed.hash}`;
+  const pathStyle = parsed.pathname.match(/^\/(ipfs|ipns)\/([^/]+)(\/.*)?$/);
+  if (pathStyle && (pathStyle[1] === "ipns" || CID_REGEX.test(pathStyle[2]))) {
+    return `${gateway}/${pathStyle[1]}/${pathStyle[2]}${
+      pathStyle[3] || ""
+    }${rest}`;
+  }
+  const subdomain = parsed.hostname.match(/^([a-z0-9]+)\.(ipfs|ipns)\./);
+  if (subdomain && (subdomain[2] === "ipns" || CID_REGEX.test(subdomain[1]))) {
+    return `${gateway}/${subdomain[2]}/${subdomain[1]}${parsed.pathname}${rest}`;
+  }
+  return null;
+}
+
+// the URL of the page: URLs relative to the bundle (index.html?fxhash=...)
+// are served from it, and ipfs:// URLs are rewritten to the gateway
+function resolvePageUrl(url, { bundle, ipfsGateway }) {
+  if (bundle && !/^[a-z]+:/i.test(url || "")) {
+    return new URL(url || "index.html", `${NETWORK_DEFAULTS.BUNDLE_ORIGIN}/`)
+      .href;
+  }
+  if (/^(ipfs|ipns):\/\//.test(url)) {
+    return rewriteIpfsUrl(url, ipfsGateway || NETWORK_DEFAULTS.IPFS_GATEWAY);
+  }
+  return url;
+}
+
+const isHostAllowed = (host, allowHosts) =>
+  allowHosts.some((allowed) =>
+    allowed.startsWith("*.")
+      ? host === allowed.slice(2) || host.endsWith(allowed.slice(1))
+      : host === allowed
+  );
+
+//
+// PAGE SCRIPT
+//
+
+// injected in the page before any of its scripts runs, this function is
+// serialized by puppeteer so it can't reference anything outside of its scope.
+// The WebSocket connections aren't seen by the request interception, so the
+// WebSocket constructor is wrapped to refuse the hosts which aren't allowed,
+// as the browsers do for the blocked ports
+function injectSocketBlocking(allowed) {
+  const isAllowed = (host) =>
+    allowed.some((entry) =>
+      entry.startsWith("*.")
+        ? host === entry.slice(2) || host.endsWith(entry.slice(1))
+        : host === entry
+    );
+
+  window.WebSocket = new Proxy(window.WebSocket, {
+    construct(target, args, newTarget) {
+      const url = new URL(args[0], location.href);
+      if (!isAllowed(url.host)) {
+        window.__fxhashBlockedSocket(url.href, url.host);
+        throw new DOMException(
+          `the connection to ${url.href} is blocked`,
+          "SecurityError"
+        );
+      }
+      return Reflect.construct(target, args, newTarget);
+    },
+  });
+}
+
+//
+// INTERCEPTION
+//
+
+/**
+ * Intercepts the requests of the page, must be called before navigating:
+ *  - the requests to the bundle origin are served from the bundle, if any
+ *  - the IPFS URLs are rewritten to the gateway, if any
+ *  - if an allow-list is given, or if the project is served from a bundle,
+ *    the requests and the WebSocket connections to other hosts than the
+ *    page, the gateway and the allowed ones are blocked, and logged into the
+ *    report
+ */
+async function setupNetwork(
+  page,
+  { url, bundle, ipfsGateway, allowHosts },
+  report
+) {
+  const files = bundle ? await loadBundle(bundle) : null;
+  const blocking = !!files || allowHosts !== null;
+  const allowed = [...(allowHosts || [])];
+  if (ipfsGateway) allowed.push(new URL(ipfsGateway).host);
+  if (/^https?:/.test(url)) allowed.push(new URL(url).host);
+
+  const handle = async (request) => {
+    const requested = request.url();
+    if (!/^https?:/.test(requested)) return request.continue();
+
+    const target = new URL(requested);
+    if (files && target.origin === NETWORK_DEFAULTS.BUNDLE_ORIGIN) {
+      const file = decodeURIComponent(target.pathname);
+      const body = await files.read(
+        file.endsWith("/") ? `${file}index.html` : file
+      );
+      if (!body) {
+        return request.respond({ status: 404, body: "not found" });
+      }
+      return request.respond({
+        status: 200,
+        contentType:
+          CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+          "application/octet-stream",
+        headers: { "Access-Control-Allow-Origin": "*" },
+        body,
+      });
+    }
+
+    const rewritten = ipfsGateway
+      ? rewriteIpfsUrl(requested, ipfsGateway)
+      : null;
+    const { host } = rewritten ? new URL(rewritten) : target;
+    if (blocking && !isHostAllowed(host, allowed)) {
+      console.log("blocked request:", requested);
+      report.logBlockedRequest(requested, `host ${host} is not allowed`);
+      return request.abort("blockedbyclient");
+    }
+    return rewritten
+      ? request.continue({ url: rewritten })
+      : request.continue();
+  };
+
+  if (blocking) {
+    await page.exposeFunction("__fxhashBlockedSocket", (requested, host) => {
+      console.log("blocked connection:", requested);
+      report.logBlockedRequest(requested, `host ${host} is not allowed`);
+    });
+    await page.evaluateOnNewDocument(injectSocketBlocking, allowed);
+  }
+
+  await page.setRequestInterception(true);
+  page.on("request", (request) =>
+    handle(request).catch((err) => {
+      console.log(`failed to handle the request to ${request.url()}:`, err);
+      request.abort("failed").catch(() => {});
+    })
+  );
+}
+
+module.exports = {
+  NETWORK_DEFAULTS,
+  loadBundle,
+  rewriteIpfsUrl,
+  resolvePageUrl,
+  setupNetwork,
+};
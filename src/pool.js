@@ -0,0 +1,125 @@
+const { launchBrowser, capturePage } = require("./capture");
+
+//
+// BROWSER POOL
+//
+
+// keeps {size} browsers warm, captures are dispatched to the least busy one.
+// A browser which crashes is relaunched on its next acquisition
+function createBrowserPool(size, angleMode) {
+  const slots = Array.from({ length: size }, () => ({
+    browser: null,
+    active: 0,
+  }));
+  let closing = false;
+
+  const launch = (slot) => {
+    slot.browser = launchBrowser(angleMode).then((browser) => {
+      browser.on("disconnected", () => {
+        if (!closing) {
+          console.log("pooled browser disconnected, it will be relaunched");
+          slot.browser = null;
+        }
+      });
+      return browser;
+    });
+    // a failed launch is retried on the next acquisition
+    slot.browser.catch(() => (slot.browser = null));
+    return slot.browser;
+  };
+
+  return {
+    async start() {
+      await Promise.all(slots.map(launch));
+    },
+    async acquire() {
+      const slot = slots.reduce((a, b) => (b.active < a.active ? b : a));
+      slot.active++;
+      try {
+        const browser = await (slot.browser || launch(slot));
+        return { slot, browser };
+      } catch (err) {
+        slot.active--;
+        throw err;
+      }
+    },
+    release({ slot }) {
+      slot.active--;
+    },
+    // runs a capture in a new incognito context of the least busy browser, so
+    // that captures don't share any state
+    async capture(settings, report) {
+      const handle = await this.acquire();
+      try {
+        const context = await handle.browser.createIncognitoBrowserContext();
+        try {
+          const page = await context.newPage();
+          return await capturePage(page, settings, report);
+        } finally {
+          context.close().catch(() => {});
+        }
+      } finally {
+        this.release(handle);
+      }
+    },
+    async close() {
+      closing = true;
+      await Promise.all(
+        slots.map((slot) =>
+          slot.browser?.then((browser) => browser.close()).catch(() => {})
+        )
+      );
+    },
+  };
+}
+
+// limits the number of tasks running at the same time, extra tasks are
+// queued and run in order
+function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+  let idleListeners = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      if (active === 0 && queue.length === 0) {
+        idleListeners.forEach((resolve) => resolve());
+        idleListeners = [];
+      }
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    get active() {
+      return active;
+    },
+    get queued() {
+      return queue.length;
+    },
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    // resolves once no task is running nor queued
+    idle() {
+      if (active === 0 && queue.length === 0) return Promise.resolve();
+      return new Promise((resolve) => idleListeners.push(resolve));
+    },
+  };
+}
+
+module.exports = {
+  createBrowserPool,
+  createLimiter,
+};
@@ -0,0 +1,243 @@
+const { decodeFrame } = require("./encoders");
+
+//
+// PAGE SCRIPT
+//
+
+// injected in the page before any of its scripts runs, this function is
+// serialized by puppeteer so it can't reference anything outside of its scope.
+// The drawing buffer of WebGL and WebGPU canvases is cleared once presented,
+// so toDataURL() returns a blank image unless it's called in the same task as
+// the drawing commands. The hooks keep a copy of the last presented frame:
+//  - WebGL contexts are always created with preserveDrawingBuffer
+//  - the textures of WebGPU canvases are copied after each submit
+function injectReadback() {
+  const getContext = HTMLCanvasElement.prototype.getContext;
+  HTMLCanvasElement.prototype.getContext = function (type, attributes) {
+    if (/webgl/.test(type)) {
+      attributes = { ...attributes, preserveDrawingBuffer: true };
+    }
+    return getContext.call(this, type, attributes);
+  };
+
+  // WebGPU canvas context => { device, format, texture, current }
+  const gpuCanvases = new Map();
+
+  if (typeof GPUCanvasContext !== "undefined") {
+    const configure = GPUCanvasContext.prototype.configure;
+    GPUCanvasContext.prototype.configure = function (config) {
+      const usage =
+        (config.usage ?? GPUTextureUsage.RENDER_ATTACHMENT) |
+        GPUTextureUsage.COPY_SRC;
+      gpuCanvases.set(this, {
+        device: config.device,
+        format: config.format,
+        texture: null,
+        current: null,
+      });
+      return configure.call(this, { ...config, usage });
+    };
+
+    const unconfigure = GPUCanvasContext.prototype.unconfigure;
+    GPUCanvasContext.prototype.unconfigure = function () {
+      gpuCanvases.delete(this);
+      return unconfigure.call(this);
+    };
+
+    // the current texture is only valid until the end of the task, the
+    // textures obtained in a task are forgotten in the next one
+    const channel = new MessageChannel();
+    let expiring = false;
+    channel.port1.onmessage = () => {
+      expiring = false;
+      for (const canvas of gpuCanvases.values()) canvas.current = null;
+    };
+
+    const getCurrentTexture = GPUCanvasContext.prototype.getCurrentTexture;
+    GPUCanvasContext.prototype.getCurrentTexture = function () {
+      const texture = getCurrentTexture.call(this);
+      const canvas = gpuCanvases.get(this);
+      if (canvas) {
+        canvas.current = texture;
+        if (!expiring) {
+          expiring = true;
+          channel.port2.postMessage(null);
+        }
+      }
+      return texture;
+    };
+
+    const submit = GPUQueue.prototype.submit;
+    GPUQueue.prototype.submit = function (commandBuffers) {
+      const result = submit.call(this, commandBuffers);
+      for (const canvas of gpuCanvases.values()) {
+        const { device, format, current } = canvas;
+        if (!current || device.queue !== this) continue;
+        const { width, height } = current;
+        if (
+          !canvas.texture ||
+          canvas.texture.width !== width ||
+          canvas.texture.height !== height
+        ) {
+          if (canvas.texture) canvas.texture.destroy();
+          canvas.texture = device.createTexture({
+            size: [width, height],
+            format,
+            usage: GPUTextureUsage.COPY_SRC | GPUTextureUsage.COPY_DST,
+          });
+        }
+        const encoder = device.createCommandEncoder();
+        encoder.copyTextureToTexture(
+          { texture: current },
+          { texture: canvas.texture },
+          [width, height]
+        );
+        submit.call(this, [encoder.finish()]);
+      }
+      return result;
+    };
+  }
+
+  // reads the copy of the last frame presented by a WebGPU canvas into a 2D
+  // canvas, resolves with null if the canvas didn't present any
+  const readGpuCanvas = async (context) => {
+    const canvas = gpuCanvases.get(context);
+    if (!canvas || !canvas.texture) return null;
+    const { device, format, texture } = canvas;
+    const { width, height } = texture;
+    // rows of texture copies are aligned on 256 bytes
+    const bytesPerRow = Math.ceil((width * 4) / 256) * 256;
+    const buffer = device.createBuffer({
+      size: bytesPerRow * height,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+    });
+    const encoder = device.createCommandEncoder();
+    encoder.copyTextureToBuffer({ texture }, { buffer, bytesPerRow }, [
+      width,
+      height,
+    ]);
+    device.queue.submit([encoder.finish()]);
+    await buffer.mapAsync(GPUMapMode.READ);
+
+    const source = new Uint8Array(buffer.getMappedRange());
+    const pixels = new ImageData(width, height);
+    const bgra = format.startsWith("bgra");
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const from = y * bytesPerRow + x * 4;
+        const to = (y * width + x) * 4;
+        pixels.data[to] = source[from + (bgra ? 2 : 0)];
+        pixels.data[to + 1] = source[from + 1];
+        pixels.data[to + 2] = source[from + (bgra ? 0 : 2)];
+        pixels.data[to + 3] = source[from + 3];
+      }
+    }
+    buffer.unmap();
+    buffer.destroy();
+
+    const output = document.createElement("canvas");
+    output.width = width;
+    output.height = height;
+    output.getContext("2d").putImageData(pixels, 0, 0);
+    return output;
+  };
+
+  Object.defineProperty(window, "__fxhashReadback", {
+    enumerable: false,
+    value: async (element) => {
+      for (const [context, canvas] of gpuCanvases) {
+        if (context.canvas === element && canvas.texture) {
+          return readGpuCanvas(context);
+        }
+      }
+      return element;
+    },
+  });
+}
+
+//
+// READBACK
+//
+
+// installs the readback hooks, must be called before navigating
+const setupReadback = (page) => page.evaluateOnNewDocument(injectReadback);
+
+// runs in the page: reads the canvases matching {selector} into a PNG data
+// URL. If {composite}, every matching canvas is drawn in DOM order at its
+// position on the page, at the pixel density of the densest canvas
+async function readCanvasesFromPage(selector, composite) {
+  const canvases = composite
+    ? Array.from(document.querySelectorAll(selector))
+    : [document.querySelector(selector)];
+  if (!canvases[0] || canvases.some((el) => !el || el.tagName !== "CANVAS")) {
+    return null;
+  }
+  const read = (canvas) =>
+    window.__fxhashReadback ? window.__fxhashReadback(canvas) : canvas;
+
+  if (!composite) return (await read(canvases[0])).toDataURL();
+
+  const boxes = canvases.map((canvas) => canvas.getBoundingClientRect());
+  const left = Math.min(...boxes.map((box) => box.left));
+  const top = Math.min(...boxes.map((box) => box.top));
+  const right = Math.max(...boxes.map((box) => box.right));
+  const bottom = Math.max(...boxes.map((box) => box.bottom));
+  const density = Math.max(
+    1,
+    ...canvases.map((canvas, i) =>
+      boxes[i].width > 0 ? canvas.width / boxes[i].width : 0
+    )
+  );
+
+  const output = document.createElement("canvas");
+  output.width = Math.round((right - left) * density);
+  output.height = Math.round((bottom - top) * density);
+  const context = output.getContext("2d");
+  for (let i = 0; i < canvases.length; i++) {
+    const box = boxes[i];
+    if (box.width === 0 || box.height === 0) continue;
+    context.drawImage(
+      await read(canvases[i]),
+      (box.left - left) * density,
+      (box.top - top) * density,
+      box.width * density,
+      box.height * density
+    );
+  }
+  return output.toDataURL();
+}
+
+// reads the canvas(es) matching {selector} into a PNG data URL, throws if no
+// canvas matches
+async function readCanvas(page, selector, composite = false) {
+  const base64 = await page.evaluate(readCanvasesFromPage, selector, composite);
+  if (!base64) throw new Error(`no canvas matches "${selector}"`);
+  return base64;
+}
+
+//
+// BLANK DETECTION
+//
+
+// returns true if every pixel of a PNG capture has the same color, which is
+// what failed readbacks produce (transparent, or the clear color)
+async function isBlankCapture(capture) {
+  const { data } = await decodeFrame(capture);
+  for (let i = 4; i < data.length; i += 4) {
+    if (
+      data[i] !== data[0] ||
+      data[i + 1] !== data[1] ||
+      data[i + 2] !== data[2] ||
+      data[i + 3] !== data[3]
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  setupReadback,
+  readCanvas,
+  isBlankCapture,
+};
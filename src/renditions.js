@@ -0,0 +1,165 @@
+const sharp = require("sharp");
+
+//
+// DEFINITIONS
+//
+
+// the version of the renditions.json format, to be increased on breaking changes
+const RENDITIONS_VERSION = 1;
+
+// the output formats of the renditions, with their sharp encoder
+const RENDITION_FORMATS = {
+  png: { contentType: "image/png", encode: (image) => image.png() },
+  jpeg: {
+    contentType: "image/jpeg",
+    encode: (image, quality) => image.jpeg({ quality, mozjpeg: true }),
+  },
+  webp: {
+    contentType: "image/webp",
+    encode: (image, quality) => image.webp({ quality }),
+  },
+  avif: {
+    contentType: "image/avif",
+    encode: (image, quality) => image.avif({ quality }),
+  },
+};
+// how images are fitted into the width x height box, see sharp's resize()
+const RENDITION_FITS = ["cover", "contain", "fill", "inside", "outside"];
+
+const RENDITION_DEFAULTS = {
+  FIT: "inside",
+  FORMAT: "png",
+  QUALITY: 80,
+  MAX_SIZE: 8192,
+  MAX_RENDITIONS: 16,
+};
+
+//
+// SPEC
+//
+
+const isValidSize = (size) =>
+  size === undefined ||
+  (Number.isInteger(size) && size > 0 && size <= RENDITION_DEFAULTS.MAX_SIZE);
+
+/**
+ * Parses and validates a rendition spec, either a JSON string or an array of
+ * { name, width?, height?, fit?, format?, quality?, enlarge? }. Returns the
+ * renditions with their defaults applied, or null if the spec is invalid.
+ * A rendition without width and height keeps the capture resolution.
+ */
+function parseRenditions(spec) {
+  let renditions = spec;
+  if (typeof spec === "string") {
+    try {
+      renditions = JSON.parse(spec);
+    } catch {
+      return null;
+    }
+  }
+  if (
+    !Array.isArray(renditions) ||
+    renditions.length === 0 ||
+    renditions.length > RENDITION_DEFAULTS.MAX_RENDITIONS
+  ) {
+    return null;
+  }
+
+  const parsed = [];
+  for (const rendition of renditions) {
+    if (typeof rendition !== "object" || !rendition) return null;
+    const {
+      name,
+      width,
+      height,
+      fit = RENDITION_DEFAULTS.FIT,
+      format = RENDITION_DEFAULTS.FORMAT,
+      quality = RENDITION_DEFAULTS.QUALITY,
+      enlarge = false,
+    } = rendition;
+
+    // the name is used in the path of the rendition
+    if (typeof name !== "string" || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      return null;
+    }
+    if (parsed.some((other) => other.name === name)) return null;
+    if (!isValidSize(width) || !isValidSize(height)) return null;
+    if (!RENDITION_FITS.includes(fit) || !RENDITION_FORMATS[format]) {
+      return null;
+    }
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      return null;
+    }
+
+    parsed.push({
+      name,
+      width: width ?? null,
+      height: height ?? null,
+      fit,
+      format,
+      quality,
+      enlarge: !!enlarge,
+    });
+  }
+  return parsed;
+}
+
+//
+// RENDERING
+//
+
+/**
+ * Renders each rendition of a still capture. Resolves with:
+ *  - files: [{ name, contentType, buffer }], name being the artifact name of
+ *    the rendition (renditions/{name}.{format})
+ *  - manifest: the content of renditions.json, which lists the renditions
+ */
+async function renderRenditions(capture, renditions) {
+  const rendered = await Promise.all(
+    renditions.map(async (rendition) => {
+      const { name, width, height, fit, format, quality, enlarge } = rendition;
+      let image = sharp(capture);
+      if (width || height) {
+        image = image.resize(width, height, {
+          fit,
+          withoutEnlargement: !enlarge,
+        });
+      }
+      const { data, info } = await RENDITION_FORMATS[format]
+        .encode(image, quality)
+        .toBuffer({ resolveWithObject: true });
+
+      const file = `renditions/${name}.${format}`;
+      const { contentType } = RENDITION_FORMATS[format];
+      return {
+        file: { name: file, contentType, buffer: data },
+        entry: {
+          name,
+          file,
+          format,
+          contentType,
+          width: info.width,
+          height: info.height,
+          fit,
+          quality: format === "png" ? null : quality,
+          size: data.length,
+        },
+      };
+    })
+  );
+
+  return {
+    files: rendered.map(({ file }) => file),
+    manifest: {
+      version: RENDITIONS_VERSION,
+      renditions: rendered.map(({ entry }) => entry),
+    },
+  };
+}
+
+module.exports = {
+  RENDITION_FORMATS,
+  RENDITION_DEFAULTS,
+  parseRenditions,
+  renderRenditions,
+};
@@ -0,0 +1,153 @@
+const { performance } = require("perf_hooks");
+
+//
+// DEFINITIONS
+//
+
+// the version of the result.json format, to be increased on breaking changes
+const RESULT_VERSION = 1;
+// the max number of page errors kept in a report
+const MAX_CONSOLE_ERRORS = 100;
+// the max number of blocked requests kept in a report
+const MAX_BLOCKED_REQUESTS = 100;
+
+//
+// UTILITY FUNCTIONS
+//
+
+// turns anything thrown into a readable string
+function describeError(err) {
+  if (err instanceof Error) {
+    return err.cause
+      ? `${err.message} (${describeError(err.cause)})`
+      : err.message;
+  }
+  return typeof err === "string" ? err : JSON.stringify(err);
+}
+
+/**
+ * Creates the report of a capture run, which collects the timings of each
+ * phase, the HTTP status of the page, its console errors and the details of
+ * the error the run failed with. It is serialized into result.json.
+ */
+function createReport() {
+  const started = performance.now();
+  // the time budget of the run starts once its page opens, see startBudget()
+  let budgetStarted = null;
+
+  return {
+    timings: {},
+    httpStatus: null,
+    consoleErrors: [],
+    // the requests of the page which were blocked by the network rules
+    blockedRequests: [],
+    errorDetail: null,
+    // the limits which couldn't be enforced, and other issues which didn't
+    // fail the run
+    warnings: [],
+    artifacts: [],
+    // the comparison to a reference image, if one was requested
+    comparison: null,
+    // the diagnostics of the page (see createDiagnostics()), if requested,
+    // they are stored as a separate artifact
+    diagnostics: null,
+    // the tracer of the run (see createTracer()), if any, each phase is then
+    // recorded as a span
+    tracer: null,
+    // the attempts of the run, if it's retried (see retry.js), as
+    // { angleMode, error, errorDetail, duration }
+    attempts: [],
+
+    // runs fn and records its duration (in ms) under timings[phase]
+    async time(phase, fn) {
+      const start = performance.now();
+      try {
+        return this.tracer ? await this.tracer.trace(phase, fn) : await fn();
+      } finally {
+        this.timings[phase] = Math.round(performance.now() - start);
+      }
+    },
+
+    // records the details of the error which caused a failure, and returns
+    // the error code so that it can be thrown: throw report.fail(code, err)
+    fail(code, err) {
+      // a bare error code carries no more detail than the code itself
+      if (err != null && err !== code && this.errorDetail === null) {
+        this.errorDetail = describeError(err);
+      }
+      return code;
+    },
+
+    // clears what a failed attempt reported, before the run is retried, so
+    // that the result is the one of the last attempt
+    resetAttempt() {
+      this.httpStatus = null;
+      this.consoleErrors = [];
+      this.blockedRequests = [];
+      this.errorDetail = null;
+      this.comparison = null;
+      this.warnings = [];
+    },
+
+    // the time elapsed since the report was created, in ms
+    elapsed() {
+      return performance.now() - started;
+    },
+
+    // starts the time budget of the run, when the page of its first attempt
+    // opens: the time spent before (waiting for a browser in server mode,
+    // launching it...) doesn't count
+    startBudget() {
+      if (budgetStarted === null) budgetStarted = performance.now();
+    },
+
+    // the part of the time budget used so far, in ms
+    budgetElapsed() {
+      return budgetStarted === null ? 0 : performance.now() - budgetStarted;
+    },
+
+    warn(message) {
+      console.warn(`warning: ${message}`);
+      this.warnings.push(message);
+    },
+
+    logConsoleError(message) {
+      if (this.consoleErrors.length < MAX_CONSOLE_ERRORS) {
+        this.consoleErrors.push(message);
+      }
+    },
+
+    logBlockedRequest(url, reason) {
+      if (this.blockedRequests.length < MAX_BLOCKED_REQUESTS) {
+        this.blockedRequests.push({ url, reason });
+      }
+    },
+
+    toResult(error, exitCode) {
+      return {
+        version: RESULT_VERSION,
+        status: error ? "failure" : "success",
+        error: error || null,
+        errorDetail: error ? this.errorDetail : null,
+        exitCode,
+        httpStatus: this.httpStatus,
+        timings: {
+          ...this.timings,
+          total: Math.round(this.elapsed()),
+        },
+        consoleErrors: this.consoleErrors,
+        blockedRequests: this.blockedRequests,
+        warnings: this.warnings,
+        comparison: this.comparison,
+        attempts: this.attempts,
+        artifacts: this.artifacts,
+      };
+    },
+  };
+}
+
+module.exports = {
+  RESULT_VERSION,
+  describeError,
+  createReport,
+};
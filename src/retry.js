@@ -0,0 +1,127 @@
+const { performance } = require("perf_hooks");
+const { ERRORS, sleep } = require("./capture");
+const { ANGLE_MODES } = require("./schema");
+
+//
+// DEFINITIONS
+//
+
+// the retry policy itself (retries, retryDelay and rendererFallback) is made
+// of capture settings, see schema.js for its defaults
+
+// the errors which may not happen again on a new attempt. HTTP errors are only
+// transient if the server responded with a 5xx
+const TRANSIENT_ERRORS = [
+  ERRORS.TIMEOUT,
+  ERRORS.HTTP_ERROR,
+  ERRORS.BLANK_CAPTURE,
+];
+
+// the errors which may be caused by the renderer, the next renderer of the
+// fallback chain is tried on them
+const RENDERER_ERRORS = [
+  ERRORS.BROWSER_LAUNCH_FAILED,
+  ERRORS.BLANK_CAPTURE,
+  ERRORS.CANVAS_CAPTURE_FAILED,
+  ERRORS.PAGE_CRASHED,
+];
+
+// the renderers tried in order by the fallback, from the GPU accelerated ones
+// to the software one
+const RENDERER_CHAIN = [
+  ANGLE_MODES.GL_EGL,
+  ANGLE_MODES.GL,
+  ANGLE_MODES.SWIFTSHADER,
+];
+
+//
+// UTILITY FUNCTIONS
+//
+
+function isTransientError(code, report) {
+  if (code === ERRORS.HTTP_ERROR) {
+    return report.httpStatus >= 500;
+  }
+  return TRANSIENT_ERRORS.includes(code);
+}
+
+// the renderer which follows angleMode in the fallback chain, or null if it's
+// the last one
+function nextRenderer(angleMode) {
+  const index = RENDERER_CHAIN.indexOf(angleMode);
+  return RENDERER_CHAIN[index + 1] || null;
+}
+
+//
+// RETRIES
+//
+
+/**
+ * Runs attempt(angleMode) until it succeeds, with the retry policy of the
+ * settings resolved by resolveCaptureSettings():
+ *  - the attempts which failed with a transient error are retried, up to
+ *    retry.retries times
+ *  - if retry.rendererFallback is set, the attempts which failed because of
+ *    the renderer are retried with the next renderer of RENDERER_CHAIN, which
+ *    doesn't count as a retry
+ * The attempts are retried after retry.delay ms, as long as the time budget
+ * of the run allows it. Each attempt is recorded in report.attempts, the
+ * error of the last one is thrown if none succeeded
+ */
+async function runWithRetries(settings, report, attempt) {
+  const { retries, delay, rendererFallback } = settings.retry;
+  let angleMode = settings.angleMode;
+  let retried = 0;
+
+  for (;;) {
+    const started = performance.now();
+    try {
+      const result = await attempt(angleMode);
+      report.attempts.push({
+        angleMode,
+        error: null,
+        errorDetail: null,
+        duration: Math.round(performance.now() - started),
+      });
+      return result;
+    } catch (err) {
+      const code = Object.values(ERRORS).includes(err) ? err : ERRORS.UNKNOWN;
+      report.attempts.push({
+        angleMode,
+        error: code,
+        errorDetail: report.errorDetail,
+        duration: Math.round(performance.now() - started),
+      });
+
+      const fallback =
+        rendererFallback && RENDERER_ERRORS.includes(code)
+          ? nextRenderer(angleMode)
+          : null;
+      const retry =
+        fallback || (retried < retries && isTransientError(code, report));
+      if (
+        !retry ||
+        report.budgetElapsed() + delay >= settings.limits.timeBudget
+      ) {
+        throw err;
+      }
+
+      if (fallback) {
+        console.log(`${code}, falling back to the ${fallback} renderer...`);
+        angleMode = fallback;
+      } else {
+        retried++;
+        console.log(`${code}, retrying (${retried}/${retries})...`);
+      }
+      report.resetAttempt();
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  TRANSIENT_ERRORS,
+  RENDERER_ERRORS,
+  RENDERER_CHAIN,
+  runWithRetries,
+};
@@ -0,0 +1,52 @@
+// the types of schema.js, for the TypeScript consumers of the schema (such
+// as batch-tester)
+
+export interface SettingsField {
+  type: "string" | "number" | "integer" | "boolean" | "enum" | "any"
+  default?: any
+  min?: number
+  max?: number
+  values?: string[]
+}
+
+export interface SettingsError {
+  field: string
+  code: string
+  message: string
+}
+
+export const SETTINGS_VERSION: number
+export const SETTINGS_FIELDS: Record<string, SettingsField>
+export const SETTINGS_ERRORS: {
+  MISSING_PARAMETERS: "MISSING_PARAMETERS"
+  INVALID_PARAMETERS: "INVALID_PARAMETERS"
+  INVALID_TRIGGER_PARAMETERS: "INVALID_TRIGGER_PARAMETERS"
+  INVALID_GIF_PARAMETERS: "INVALID_GIF_PARAMETERS"
+}
+export const CAPTURE_MODES: string[]
+export const STILL_CAPTURE_MODES: string[]
+export const TRIGGER_CONDITIONS: string[]
+export const TRIGGER_COMBINATORS: Record<string, "ANY" | "ALL">
+export const TRIGGER_MODES: string[]
+export const CAPTURE_FORMATS: string[]
+export const GIF_PALETTE_MODES: string[]
+export const GIF_DITHER_MODES: string[]
+export const ANGLE_MODES: { GL: string, GL_EGL: string, SWIFTSHADER: string }
+export const DELAY_MIN: number
+export const DELAY_MAX: number
+export const GIF_DEFAULTS: Record<string, number | string>
+export const VIEWPORT_LIMITS: Record<string, number>
+
+export function parseTrigger(trigger: string): {
+  combinator: "ANY" | "ALL"
+  conditions: string[]
+} | null
+export function parseAllowHosts(hosts: string | string[]): string[] | null
+export function normalizeSettings(options: Record<string, any>): Record<string, any>
+export function validateSettings(settings: Record<string, any>): SettingsError[]
+export function parseSettings(options: Record<string, any>): {
+  settings: Record<string, any>
+  errors: SettingsError[]
+}
+export function validateConfig(config: any): SettingsError[]
+export function describeSettingsErrors(errors: SettingsError[]): string
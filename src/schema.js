@@ -0,0 +1,738 @@
+//
+// DEFINITIONS
+//
+// the schema of the capture settings, shared by the CLI, the capture server,
+// the batches and the HTTP endpoint (batch-tester), so that they agree on the
+// defaults and the bounds of each setting. It doesn't depend on any package.
+//
+
+// the version of the settings format, to be increased on breaking changes. A
+// --config file can define the version it was written for
+const SETTINGS_VERSION = 1;
+
+// the different capture modes:
+//  - CANVAS: the content of a canvas, read with toDataURL()
+//  - VIEWPORT: a screenshot of the viewport
+//  - ELEMENT: a screenshot of the bounding box of any element
+//  - SVG: the markup of an SVG element, optionally rasterized into a PNG
+//  - FULL_PAGE: a screenshot of the whole scrollable page
+//  - FEATURES: only extracts the features and params, without any capture
+const CAPTURE_MODES = [
+  "CANVAS",
+  "VIEWPORT",
+  "ELEMENT",
+  "SVG",
+  "FULL_PAGE",
+  "FEATURES",
+];
+// the modes which only support still captures
+const STILL_CAPTURE_MODES = ["SVG", "FULL_PAGE"];
+
+// the conditions a trigger is made of:
+//  - DELAY: a fixed delay
+//  - FN_TRIGGER: the page calls $fx.preview() (or fxpreview())
+//  - FEATURES_READY: the page defines its features
+//  - SELECTOR: an element matching a selector is added to the page
+//  - NETWORK_IDLE: the page has no request in flight for some time
+//  - FRAMES: the page renders a number of animation frames
+const TRIGGER_CONDITIONS = [
+  "DELAY",
+  "FN_TRIGGER",
+  "FEATURES_READY",
+  "SELECTOR",
+  "NETWORK_IDLE",
+  "FRAMES",
+];
+// conditions are combined with | (the first one met) or + (all of them)
+const TRIGGER_COMBINATORS = { "|": "ANY", "+": "ALL" };
+// the different trigger modes: FN_TRIGGER_GIF, where the page requests each
+// frame, or the conditions above, which can be combined (see parseTrigger())
+const TRIGGER_MODES = ["FN_TRIGGER_GIF", ...TRIGGER_CONDITIONS];
+
+// the animated formats, see encoders.js
+const CAPTURE_FORMATS = ["GIF", "WEBP", "APNG", "MP4", "WEBM"];
+// how the palettes of GIF outputs are built, see gif.js:
+//  - FRAME: one palette per frame, best colors for each frame but colors may
+//    flicker between frames
+//  - GLOBAL: a single palette built from a sample of all the frames
+const GIF_PALETTE_MODES = ["FRAME", "GLOBAL"];
+// the dithering algorithms applied when mapping pixels to the palette
+const GIF_DITHER_MODES = ["NONE", "FLOYD_STEINBERG", "ORDERED"];
+
+// the ANGLE backends chromium renders with, swiftshader being a software
+// renderer which doesn't depend on the GPU
+const ANGLE_MODES = {
+  GL: "gl",
+  GL_EGL: "gl-egl",
+  SWIFTSHADER: "swiftshader",
+};
+
+const DELAY_MIN = 0;
+const DELAY_MAX = 300000;
+
+// GIF specific constants
+const GIF_DEFAULTS = {
+  FRAME_COUNT: 30,
+  CAPTURE_INTERVAL: 100, // milliseconds between capturing frames
+  PLAYBACK_FPS: 10, // default playback speed in frames per second
+  QUALITY: 10, // palette sampling interval, 1 is the best quality
+  PALETTE: "FRAME",
+  DITHER: "NONE",
+  MIN_FRAMES: 2,
+  MAX_FRAMES: 100,
+  MIN_CAPTURE_INTERVAL: 20,
+  MAX_CAPTURE_INTERVAL: 15000,
+  MIN_FPS: 1,
+  MAX_FPS: 50,
+  MIN_QUALITY: 1,
+  MAX_QUALITY: 30,
+};
+
+// the limits of the viewport, the resolution (in CSS pixels) of VIEWPORT
+// captures is capped unless they are tiled, and the size of the output (in
+// device pixels, resolution x scale factor) is capped in any case
+const VIEWPORT_LIMITS = {
+  MIN_RESOLUTION: 256,
+  MAX_RESOLUTION: 2048,
+  MAX_TILED_RESOLUTION: 8192,
+  MIN_SCALE: 1,
+  MAX_SCALE: 4,
+  MAX_OUTPUT_SIZE: 16384,
+  // the size of the tiles of tiled captures, in device pixels
+  TILE_SIZE: 2048,
+};
+
+// the hosts of an allow-list, *.example.com also allows its subdomains
+const HOST_REGEX = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/i;
+
+// the error codes of invalid settings, a subset of the ERRORS of capture.js
+const SETTINGS_ERRORS = {
+  MISSING_PARAMETERS: "MISSING_PARAMETERS",
+  INVALID_PARAMETERS: "INVALID_PARAMETERS",
+  INVALID_TRIGGER_PARAMETERS: "INVALID_TRIGGER_PARAMETERS",
+  INVALID_GIF_PARAMETERS: "INVALID_GIF_PARAMETERS",
+};
+
+/**
+ * The capture settings, by name (the name of their CLI option):
+ *  - type: string, number, integer, boolean, enum (one of values), or any
+ *  - default: the value of the setting when it isn't defined
+ *  - min, max: the bounds of numbers, inclusive
+ * The rules which involve several settings are checked by validateSettings()
+ */
+const SETTINGS_FIELDS = {
+  // the page, the URL of a project served from a bundle is its index.html by
+  // default
+  url: { type: "string" },
+  bundle: { type: "string" },
+  ipfsGateway: { type: "string" },
+  // a comma-separated string or an array of hosts
+  allowHosts: { type: "any" },
+  mode: { type: "enum", values: CAPTURE_MODES },
+  // false is a shorthand for the FEATURES mode
+  capture: { type: "boolean", default: true },
+  selector: { type: "string" },
+  resX: { type: "number" },
+  resY: { type: "number" },
+  scale: {
+    type: "number",
+    default: 1,
+    min: VIEWPORT_LIMITS.MIN_SCALE,
+    max: VIEWPORT_LIMITS.MAX_SCALE,
+  },
+  tiled: { type: "boolean", default: false },
+  rasterize: { type: "boolean", default: false },
+  composite: { type: "boolean", default: false },
+  readback: { type: "boolean", default: false },
+  allowBlank: { type: "boolean", default: false },
+  // the trigger defaults to FEATURES_READY in FEATURES mode, DELAY otherwise
+  trigger: { type: "string" },
+  delay: { type: "number", min: DELAY_MIN, max: DELAY_MAX },
+  triggerSelector: { type: "string" },
+  // the time without any request for the network to be idle
+  idleTime: { type: "integer", default: 500, min: 0, max: 60000 },
+  triggerFrames: { type: "integer", min: 1, max: 100000 },
+  // the time after which the capture is taken, even if the trigger didn't
+  // fire
+  triggerTimeout: {
+    type: "integer",
+    default: 300000,
+    min: 100,
+    max: 3600000,
+  },
+  // true is a shorthand for the GIF format
+  gif: { type: "boolean", default: false },
+  format: { type: "enum", values: CAPTURE_FORMATS },
+  frameCount: {
+    type: "number",
+    default: GIF_DEFAULTS.FRAME_COUNT,
+    min: GIF_DEFAULTS.MIN_FRAMES,
+    max: GIF_DEFAULTS.MAX_FRAMES,
+  },
+  captureInterval: {
+    type: "number",
+    default: GIF_DEFAULTS.CAPTURE_INTERVAL,
+    min: GIF_DEFAULTS.MIN_CAPTURE_INTERVAL,
+    max: GIF_DEFAULTS.MAX_CAPTURE_INTERVAL,
+  },
+  playbackFps: {
+    type: "number",
+    default: GIF_DEFAULTS.PLAYBACK_FPS,
+    min: GIF_DEFAULTS.MIN_FPS,
+    max: GIF_DEFAULTS.MAX_FPS,
+  },
+  gifQuality: {
+    type: "number",
+    default: GIF_DEFAULTS.QUALITY,
+    min: GIF_DEFAULTS.MIN_QUALITY,
+    max: GIF_DEFAULTS.MAX_QUALITY,
+  },
+  gifPalette: {
+    type: "enum",
+    values: GIF_PALETTE_MODES,
+    default: GIF_DEFAULTS.PALETTE,
+  },
+  gifDither: {
+    type: "enum",
+    values: GIF_DITHER_MODES,
+    default: GIF_DEFAULTS.DITHER,
+  },
+  gifTransparent: { type: "boolean", default: false },
+  seed: { type: "string" },
+  fxhash: { type: "string" },
+  virtualClock: { type: "boolean", default: false },
+  clockFps: { type: "number", default: 60, min: 1, max: 240 },
+  // the URL or path of the reference image
+  compare: { type: "string" },
+  // the max color distance between two pixels considered identical, from 0
+  // (exact match) to 1 (any color matches)
+  compareThreshold: { type: "number", default: 0.1, min: 0, max: 1 },
+  // the min ratio of identical pixels for a comparison to pass
+  compareMinSimilarity: { type: "number", default: 0.999, min: 0, max: 1 },
+  // a renditions string or array, see renditions.js
+  renditions: { type: "any" },
+  // the max size of the JS heap of the page, in MB
+  maxHeap: { type: "integer", default: 2048, min: 64 },
+  // the budget of the whole run, in ms, it can't exceed the timeout of the
+  // jobs
+  timeBudget: { type: "integer", default: 600000, min: 1000, max: 3600000 },
+  // the max number of requests of the page, and of bytes it downloads
+  maxRequests: { type: "integer", default: 2000, min: 1 },
+  maxBytes: { type: "integer", default: 512 * 1024 * 1024, min: 1 },
+  // the time the page can be unresponsive for, it must exceed the interval
+  // of the watchdog (1s, see limits.js)
+  watchdogTimeout: { type: "integer", default: 30000, min: 1001 },
+  diagnostics: { type: "boolean", default: false },
+  // GL_EGL is accepted for gl-egl
+  angleMode: {
+    type: "enum",
+    values: Object.values(ANGLE_MODES),
+    default: ANGLE_MODES.GL_EGL,
+  },
+  // the number of times a run which failed with a transient error is retried,
+  // after retryDelay ms (see retry.js)
+  retries: { type: "integer", default: 0, min: 0, max: 5 },
+  retryDelay: { type: "integer", default: 1000, min: 0, max: 60000 },
+  // whether the runs which failed because of the renderer are retried with
+  // the next renderer of the fallback chain
+  rendererFallback: { type: "boolean", default: false },
+};
+
+//
+// UTILITY FUNCTIONS
+//
+
+/**
+ * Parses a trigger: a single condition (FN_TRIGGER), or conditions combined
+ * with | (FN_TRIGGER|SELECTOR, the first one met) or + (SELECTOR+NETWORK_IDLE,
+ * all of them). Returns { combinator, conditions }, or null if the trigger is
+ * invalid. Both combinators can't be mixed.
+ */
+function parseTrigger(trigger) {
+  if (typeof trigger !== "string") return null;
+  const separators = Object.keys(TRIGGER_COMBINATORS).filter((separator) =>
+    trigger.includes(separator)
+  );
+  if (separators.length > 1) return null;
+  const separator = separators[0];
+  const conditions = separator ? trigger.split(separator) : [trigger];
+  if (
+    !conditions.every((condition) => TRIGGER_CONDITIONS.includes(condition)) ||
+    new Set(conditions).size !== conditions.length
+  ) {
+    return null;
+  }
+  return {
+    combinator: separator ? TRIGGER_COMBINATORS[separator] : "ALL",
+    conditions,
+  };
+}
+
+// parses an allow-list of hosts, either a comma-separated string or an
+// array. Returns null if any of the hosts is invalid
+function parseAllowHosts(hosts) {
+  const list = Array.isArray(hosts) ? hosts : String(hosts).split(",");
+  const parsed = list.map((host) => String(host).trim().toLowerCase());
+  return parsed.every((host) => HOST_REGEX.test(host)) ? parsed : null;
+}
+
+// converts a defined value to the type of its field, values which can't be
+// converted are kept as NaN so that they are reported as invalid
+function coerceValue(value, field) {
+  switch (field.type) {
+    case "number":
+    case "integer":
+      return value === "" ? NaN : Number(value);
+    case "boolean":
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      return NaN;
+    case "string":
+    case "enum":
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+function isInRange(value, { type, min, max }) {
+  return (
+    typeof value === "number" &&
+    !isNaN(value) &&
+    (type !== "integer" || Number.isInteger(value)) &&
+    (min === undefined || value >= min) &&
+    (max === undefined || value <= max)
+  );
+}
+
+function describeRange({ type, min, max }) {
+  const kind = type === "integer" ? "an integer" : "a number";
+  if (min !== undefined && max !== undefined) {
+    return `must be ${kind} between ${min} and ${max}`;
+  }
+  if (min !== undefined) return `must be ${kind} of at least ${min}`;
+  return `must be ${kind}`;
+}
+
+//
+// SETTINGS
+//
+
+/**
+ * Given raw settings (as received by the CLI, strings are accepted), applies
+ * the defaults of SETTINGS_FIELDS and converts the values to their type. The
+ * settings which aren't in SETTINGS_FIELDS are dropped. Invalid values are
+ * kept, to be reported by validateSettings()
+ */
+function normalizeSettings(options) {
+  const settings = {};
+  for (const [name, field] of Object.entries(SETTINGS_FIELDS)) {
+    const value = options[name];
+    settings[name] =
+      value === undefined || value === null
+        ? field.default
+        : coerceValue(value, field);
+  }
+
+  // --no-capture is a shorthand for --mode FEATURES
+  if (!settings.capture && !settings.mode) {
+    settings.mode = "FEATURES";
+  }
+  if (settings.trigger === undefined) {
+    settings.trigger =
+      settings.mode === "FEATURES" ? "FEATURES_READY" : "DELAY";
+  }
+  // --gif is kept as a shorthand for --format GIF
+  if (settings.gif && !settings.format) {
+    settings.format = "GIF";
+  }
+  if (settings.mode === "SVG" && !settings.selector) {
+    settings.selector = "svg";
+  }
+  // the ANGLE modes are also accepted as the keys of ANGLE_MODES (GL_EGL)
+  settings.angleMode = settings.angleMode.toLowerCase().replace(/_/g, "-");
+  if (settings.resX) settings.resX = Math.round(settings.resX);
+  if (settings.resY) settings.resY = Math.round(settings.resY);
+  if (settings.allowHosts !== undefined) {
+    settings.allowHosts =
+      parseAllowHosts(settings.allowHosts) || settings.allowHosts;
+  }
+  return settings;
+}
+
+/**
+ * Checks the validity of settings normalized by normalizeSettings(). Returns
+ * the list of the invalid settings, as { field, code, message } where code is
+ * one of SETTINGS_ERRORS, or an empty list if they are valid. A setting is
+ * reported once, for the first rule it breaks.
+ */
+function validateSettings(settings) {
+  const {
+    url,
+    bundle,
+    mode,
+    trigger,
+    format,
+    compare,
+    renditions,
+    resX,
+    resY,
+    scale,
+  } = settings;
+  const errors = [];
+  const invalid = (field, code, message) => {
+    if (!errors.some((error) => error.field === field)) {
+      errors.push({ field, code, message });
+    }
+  };
+  // checks a number against the bounds of its field
+  const checkRange = (name, code = SETTINGS_ERRORS.INVALID_PARAMETERS) => {
+    if (!isInRange(settings[name], SETTINGS_FIELDS[name])) {
+      invalid(name, code, describeRange(SETTINGS_FIELDS[name]));
+    }
+  };
+  const checkEnum = (name, code = SETTINGS_ERRORS.INVALID_PARAMETERS) => {
+    const { values } = SETTINGS_FIELDS[name];
+    if (settings[name] !== undefined && !values.includes(settings[name])) {
+      invalid(name, code, `must be one of ${values.join(", ")}`);
+    }
+  };
+
+  // general parameters
+  for (const [name, field] of Object.entries(SETTINGS_FIELDS)) {
+    if (field.type === "boolean" && typeof settings[name] !== "boolean") {
+      invalid(
+        name,
+        SETTINGS_ERRORS.INVALID_PARAMETERS,
+        "must be true or false"
+      );
+    }
+  }
+  if (!settings.capture && mode !== "FEATURES") {
+    invalid(
+      "capture",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "can only be disabled in FEATURES mode"
+    );
+  }
+  if (!url && !bundle) {
+    invalid(
+      "url",
+      SETTINGS_ERRORS.MISSING_PARAMETERS,
+      "is required, unless a bundle is given"
+    );
+  }
+  if (!mode) {
+    invalid("mode", SETTINGS_ERRORS.MISSING_PARAMETERS, "is required");
+  }
+  checkEnum("mode");
+
+  // trigger parameters, each condition must have its params defined
+  if (trigger === "FN_TRIGGER_GIF") {
+    checkRange("playbackFps", SETTINGS_ERRORS.INVALID_TRIGGER_PARAMETERS);
+  } else {
+    const parsed = parseTrigger(trigger);
+    if (!parsed) {
+      invalid(
+        "trigger",
+        SETTINGS_ERRORS.INVALID_TRIGGER_PARAMETERS,
+        `must be FN_TRIGGER_GIF, or any of ${TRIGGER_CONDITIONS.join(
+          ", "
+        )} combined with | or +`
+      );
+    }
+    checkRange("triggerTimeout", SETTINGS_ERRORS.INVALID_TRIGGER_PARAMETERS);
+    for (const condition of parsed ? parsed.conditions : []) {
+      if (condition === "DELAY") {
+        checkRange("delay", SETTINGS_ERRORS.INVALID_TRIGGER_PARAMETERS);
+      } else if (condition === "SELECTOR" && !settings.triggerSelector) {
+        invalid(
+          "triggerSelector",
+          SETTINGS_ERRORS.INVALID_TRIGGER_PARAMETERS,
+          "is required by the SELECTOR trigger"
+        );
+      } else if (condition === "NETWORK_IDLE") {
+        checkRange("idleTime", SETTINGS_ERRORS.INVALID_TRIGGER_PARAMETERS);
+      } else if (condition === "FRAMES") {
+        checkRange("triggerFrames", SETTINGS_ERRORS.INVALID_TRIGGER_PARAMETERS);
+      }
+    }
+  }
+
+  // nothing is captured in FEATURES mode, so there is nothing to encode or
+  // compare, and no frame to trigger
+  checkEnum("format");
+  if (mode === "FEATURES") {
+    const message = "isn't supported in FEATURES mode";
+    if (format) invalid("format", SETTINGS_ERRORS.INVALID_PARAMETERS, message);
+    if (compare) {
+      invalid("compare", SETTINGS_ERRORS.INVALID_PARAMETERS, message);
+    }
+    if (trigger === "FN_TRIGGER_GIF") {
+      invalid("trigger", SETTINGS_ERRORS.INVALID_PARAMETERS, message);
+    }
+  }
+
+  // animation parameters, if an animated format is requested
+  if (format) {
+    checkRange("frameCount", SETTINGS_ERRORS.INVALID_GIF_PARAMETERS);
+    checkRange("captureInterval", SETTINGS_ERRORS.INVALID_GIF_PARAMETERS);
+    checkRange("playbackFps", SETTINGS_ERRORS.INVALID_GIF_PARAMETERS);
+  }
+  if (format === "GIF") {
+    checkRange("gifQuality", SETTINGS_ERRORS.INVALID_GIF_PARAMETERS);
+    checkEnum("gifPalette", SETTINGS_ERRORS.INVALID_GIF_PARAMETERS);
+    checkEnum("gifDither", SETTINGS_ERRORS.INVALID_GIF_PARAMETERS);
+  }
+
+  // network parameters
+  if (settings.ipfsGateway && !/^https?:\/\/[^/]/.test(settings.ipfsGateway)) {
+    invalid(
+      "ipfsGateway",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "must be an http(s) URL"
+    );
+  }
+  if (
+    settings.allowHosts !== undefined &&
+    !parseAllowHosts(settings.allowHosts)
+  ) {
+    invalid(
+      "allowHosts",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "must be a list of hosts, *.example.com allowing the subdomains"
+    );
+  }
+
+  // resource limits
+  checkRange("maxHeap");
+  checkRange("timeBudget");
+  checkRange("maxRequests");
+  checkRange("maxBytes");
+  checkRange("watchdogTimeout");
+
+  // determinism parameters
+  if (settings.seed === "") {
+    invalid("seed", SETTINGS_ERRORS.INVALID_PARAMETERS, "can't be empty");
+  }
+  if (
+    settings.fxhash !== undefined &&
+    !/^[a-zA-Z0-9]{1,128}$/.test(settings.fxhash)
+  ) {
+    invalid(
+      "fxhash",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "must be 1 to 128 alphanumeric characters"
+    );
+  }
+  if (settings.virtualClock) {
+    checkRange("clockFps");
+  }
+
+  // only still images can be compared to a reference
+  if (compare) {
+    if (format) {
+      invalid(
+        "compare",
+        SETTINGS_ERRORS.INVALID_PARAMETERS,
+        "isn't supported for animated captures"
+      );
+    }
+    checkRange("compareThreshold");
+    checkRange("compareMinSimilarity");
+  }
+
+  // renditions are derived from still captures
+  if (renditions && (format || mode === "FEATURES")) {
+    invalid(
+      "renditions",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "are only supported for still captures"
+    );
+  }
+
+  // the device scale factor applies to every mode
+  checkRange("scale");
+  // only still viewport captures can be tiled
+  if (settings.tiled && (mode !== "VIEWPORT" || format)) {
+    invalid(
+      "tiled",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "is only supported for still VIEWPORT captures"
+    );
+  }
+
+  // parameters based on selected mode
+  const checkResolution = (maxResolution) => {
+    for (const name of ["resX", "resY"]) {
+      const value = settings[name];
+      if (
+        !isInRange(value, {
+          min: VIEWPORT_LIMITS.MIN_RESOLUTION,
+          max: maxResolution,
+        })
+      ) {
+        invalid(
+          name,
+          SETTINGS_ERRORS.INVALID_PARAMETERS,
+          `must be between ${VIEWPORT_LIMITS.MIN_RESOLUTION} and ${maxResolution}`
+        );
+      } else if (value * scale > VIEWPORT_LIMITS.MAX_OUTPUT_SIZE) {
+        invalid(
+          name,
+          SETTINGS_ERRORS.INVALID_PARAMETERS,
+          `can't exceed ${VIEWPORT_LIMITS.MAX_OUTPUT_SIZE} once scaled`
+        );
+      }
+    }
+  };
+  if (mode === "VIEWPORT") {
+    for (const name of ["resX", "resY"]) {
+      if (!settings[name]) {
+        invalid(
+          name,
+          SETTINGS_ERRORS.MISSING_PARAMETERS,
+          "is required in VIEWPORT mode"
+        );
+      }
+    }
+    checkResolution(
+      settings.tiled
+        ? VIEWPORT_LIMITS.MAX_TILED_RESOLUTION
+        : VIEWPORT_LIMITS.MAX_RESOLUTION
+    );
+    if (settings.delay !== undefined) {
+      checkRange("delay");
+    }
+  } else if (mode === "CANVAS" || mode === "ELEMENT") {
+    if (!settings.selector) {
+      invalid(
+        "selector",
+        SETTINGS_ERRORS.INVALID_PARAMETERS,
+        `is required in ${mode} mode`
+      );
+    }
+  } else if (mode === "SVG") {
+    // comparisons and renditions need a raster image
+    if (!settings.rasterize && (compare || renditions)) {
+      invalid(
+        "rasterize",
+        SETTINGS_ERRORS.INVALID_PARAMETERS,
+        "is required to compare SVG captures or derive renditions from them"
+      );
+    }
+  } else if (mode === "FULL_PAGE") {
+    // the resolution is optional, it defines the size of the viewport
+    if (resX || resY) {
+      checkResolution(VIEWPORT_LIMITS.MAX_RESOLUTION);
+    }
+  }
+  if (STILL_CAPTURE_MODES.includes(mode) && format) {
+    invalid(
+      "format",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      `isn't supported in ${mode} mode`
+    );
+  }
+  if (settings.rasterize && mode !== "SVG") {
+    invalid(
+      "rasterize",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "is only supported in SVG mode"
+    );
+  }
+  if (settings.composite && mode !== "CANVAS") {
+    invalid(
+      "composite",
+      SETTINGS_ERRORS.INVALID_PARAMETERS,
+      "is only supported in CANVAS mode"
+    );
+  }
+  checkEnum("angleMode");
+  checkRange("retries");
+  checkRange("retryDelay");
+
+  return errors;
+}
+
+/**
+ * Normalizes and validates raw settings, resolves with { settings, errors },
+ * see normalizeSettings() and validateSettings()
+ */
+function parseSettings(options) {
+  const settings = normalizeSettings(options);
+  return { settings, errors: validateSettings(settings) };
+}
+
+/**
+ * Checks a settings object read from a --config file: it must be an object of
+ * SETTINGS_FIELDS, with an optional version which can't be newer than
+ * SETTINGS_VERSION. Returns the list of errors, as validateSettings()
+ */
+function validateConfig(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return [
+      {
+        field: "config",
+        code: SETTINGS_ERRORS.INVALID_PARAMETERS,
+        message: "must be a JSON object",
+      },
+    ];
+  }
+  const errors = [];
+  for (const name of Object.keys(config)) {
+    if (name === "version") {
+      const { version } = config;
+      if (
+        !Number.isInteger(version) ||
+        version < 1 ||
+        version > SETTINGS_VERSION
+      ) {
+        errors.push({
+          field: name,
+          code: SETTINGS_ERRORS.INVALID_PARAMETERS,
+          message: `must be an integer between 1 and ${SETTINGS_VERSION}`,
+        });
+      }
+    } else if (!SETTINGS_FIELDS[name]) {
+      errors.push({
+        field: name,
+        code: SETTINGS_ERRORS.INVALID_PARAMETERS,
+        message: "isn't a capture setting",
+      });
+    }
+  }
+  return errors;
+}
+
+// a readable list of settings errors, such as "resX: must be between 256 and
+// 2048; trigger: is required"
+function describeSettingsErrors(errors) {
+  return errors.map(({ field, message }) => `${field}: ${message}`).join("; ");
+}
+
+module.exports = {
+  SETTINGS_VERSION,
+  SETTINGS_FIELDS,
+  SETTINGS_ERRORS,
+  CAPTURE_MODES,
+  STILL_CAPTURE_MODES,
+  TRIGGER_CONDITIONS,
+  TRIGGER_COMBINATORS,
+  TRIGGER_MODES,
+  CAPTURE_FORMATS,
+  GIF_PALETTE_MODES,
+  GIF_DITHER_MODES,
+  ANGLE_MODES,
+  DELAY_MIN,
+  DELAY_MAX,
+  GIF_DEFAULTS,
+  VIEWPORT_LIMITS,
+  parseTrigger,
+  parseAllowHosts,
+  normalizeSettings,
+  validateSettings,
+  parseSettings,
+  validateConfig,
+  describeSettingsErrors,
+};
@@ -0,0 +1,174 @@
+const http = require("http");
+const {
+  ANGLE_MODES,
+  ERRORS,
+  EXIT_CODES,
+  sleep,
+  resolveCaptureSettings,
+} = require("./capture");
+const { isUrl } = require("./compare");
+const { createBrowserPool, createLimiter } = require("./pool");
+const { createReport } = require("./report");
+
+//
+// DEFINITIONS
+//
+
+const SERVER_DEFAULTS = {
+  PORT: 8080,
+  POOL_SIZE: 2,
+  CONCURRENCY: 4,
+  // max time given to in-flight captures to complete on shutdown
+  DRAIN_TIMEOUT: 5 * 60 * 1000,
+  MAX_BODY_SIZE: 1024 * 1024,
+};
+
+// errors caused by the input of the request rather than by the capture itself
+const CLIENT_ERRORS = [
+  ERRORS.MISSING_PARAMETERS,
+  ERRORS.INVALID_TRIGGER_PARAMETERS,
+  ERRORS.INVALID_PARAMETERS,
+  ERRORS.INVALID_GIF_PARAMETERS,
+  ERRORS.UNSUPPORTED_URL,
+  ERRORS.REFERENCE_UNAVAILABLE,
+];
+
+//
+// HTTP
+//
+
+function readJsonBody(req, maxSize) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        reject(ERRORS.INVALID_PARAMETERS);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString() || "{}"));
+      } catch {
+        reject(ERRORS.INVALID_PARAMETERS);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Starts an HTTP server which runs captures on a pool of warm browsers.
+ * Endpoints:
+ *  - POST /capture: expects a JSON body with the same parameters as the CLI
+ *    options (url, mode, trigger, delay, resX, resY, selector, format...),
+ *    responds with the base64 encoded capture, the features, the result
+ *    of the run (same format as result.json) and, if requested, the
+ *    diagnostics (same format as diagnostics.json, without the trace)
+ *  - GET /health: the state of the server
+ * Each capture runs in its own incognito context. On SIGTERM/SIGINT the
+ * server stops accepting captures and waits for the in-flight ones.
+ */
+async function startServer({
+  port = SERVER_DEFAULTS.PORT,
+  poolSize = SERVER_DEFAULTS.POOL_SIZE,
+  concurrency = SERVER_DEFAULTS.CONCURRENCY,
+  angleMode = ANGLE_MODES.GL_EGL,
+} = {}) {
+  const pool = createBrowserPool(poolSize, angleMode);
+  const limiter = createLimiter(concurrency);
+  let draining = false;
+
+  console.log(`bootstrapping ${poolSize} chromium instance(s)...`);
+  await pool.start();
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "GET" && req.url === "/health") {
+      return sendJson(res, 200, {
+        status: draining ? "draining" : "ok",
+        active: limiter.active,
+        queued: limiter.queued,
+      });
+    }
+    if (req.method !== "POST" || req.url !== "/capture") {
+      return sendJson(res, 404, { error: "NOT_FOUND" });
+    }
+    if (draining) {
+      return sendJson(res, 503, { error: "SHUTTING_DOWN" });
+    }
+
+    const report = createReport();
+    try {
+      const body = await readJsonBody(req, SERVER_DEFAULTS.MAX_BODY_SIZE);
+      // bundles and references are read from the file system of the server,
+      // which isn't exposed to its clients: the references must be URLs
+      if (body.bundle) throw ERRORS.INVALID_PARAMETERS;
+      if (body.compare !== undefined && !isUrl(body.compare)) {
+        throw ERRORS.INVALID_PARAMETERS;
+      }
+      // the rendering backend is defined by the pool, not by the request
+      const settings = resolveCaptureSettings({ ...body, angleMode }, report);
+
+      console.log("running capture with params:", settings);
+      const result = await limiter.run(() => pool.capture(settings, report));
+
+      sendJson(res, 200, {
+        capture: result.capture ? result.capture.toString("base64") : null,
+        contentType: result.contentType,
+        extension: result.extension,
+        features: result.features,
+        metadata: result.metadata,
+        diff: result.diff ? result.diff.toString("base64") : null,
+        svg: result.svg ? result.svg.toString() : null,
+        renditions: result.renditions
+          ? result.renditions.manifest.renditions.map((entry, i) => ({
+              ...entry,
+              data: result.renditions.files[i].buffer.toString("base64"),
+            }))
+          : null,
+        result: report.toResult(null, EXIT_CODES.SUCCESS),
+        diagnostics: report.diagnostics,
+      });
+    } catch (err) {
+      console.error(err);
+      const error = Object.values(ERRORS).includes(err) ? err : ERRORS.UNKNOWN;
+      report.fail(error, err);
+      sendJson(res, CLIENT_ERRORS.includes(error) ? 400 : 500, {
+        error,
+        result: report.toResult(error, EXIT_CODES[error] ?? EXIT_CODES.UNKNOWN),
+        diagnostics: report.diagnostics,
+      });
+    }
+  });
+
+  const drain = async (signal) => {
+    if (draining) return;
+    draining = true;
+    console.log(`${signal} received, draining ${limiter.active} capture(s)...`);
+    server.close();
+    await Promise.race([limiter.idle(), sleep(SERVER_DEFAULTS.DRAIN_TIMEOUT)]);
+    await pool.close();
+    console.log("server stopped");
+    process.exit(0);
+  };
+  process.once("SIGTERM", () => drain("SIGTERM"));
+  process.once("SIGINT", () => drain("SIGINT"));
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`capture server listening on port ${port}`);
+  return server;
+}
+
+module.exports = {
+  SERVER_DEFAULTS,
+  startServer,
+};
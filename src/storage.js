@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
+
+//
+// DEFINITIONS
+//
+
+// the different output storage backends
+const STORAGE_TYPES = {
+  S3: "S3",
+  FS: "FS",
+  STDOUT: "STDOUT",
+};
+
+const STORAGE_DEFAULTS = {
+  TYPE: STORAGE_TYPES.S3,
+  OUTPUT_DIR: "./output",
+};
+
+//
+// STORAGE BACKENDS
+//
+// every backend exposes the same interface:
+//  - put(name, body, contentType): stores an artifact under the job key, and
+//    resolves with the location of the artifact
+//  - finalize(): called once every artifact has been stored
+//
+
+// uploads artifacts to an S3 bucket, under the {key}/{name} path. A custom
+// endpoint can be provided to target S3-compatible services such as MinIO
+function createS3Storage({ key, bucket, region, endpoint }) {
+  if (!key || !bucket) {
+    throw new Error("S3 storage requires a key and a bucket");
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && {
+      endpoint,
+      // S3-compatible services usually don't support virtual-hosted buckets
+      forcePathStyle: true,
+    }),
+  });
+
+  return {
+    type: STORAGE_TYPES.S3,
+    async put(name, body, contentType) {
+      const objectKey = `${key}/${name}`;
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+      return `s3://${bucket}/${objectKey}`;
+    },
+    async finalize() {},
+  };
+}
+
+// writes artifacts into a local directory, under the {dir}/{key}/{name} path
+// if a key is defined, {dir}/{name} otherwise
+function createFsStorage({ key, dir = STORAGE_DEFAULTS.OUTPUT_DIR }) {
+  const root = path.resolve(dir, key || "");
+
+  return {
+    type: STORAGE_TYPES.FS,
+    async put(name, body, contentType) {
+      const file = path.join(root, name);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+      return file;
+    },
+    async finalize() {},
+  };
+}
+
+// buffers artifacts in memory and writes a single JSON envelope to the given
+// stream once finalized, binary artifacts are base64-encoded:
+// { key, artifacts: [{ name, contentType, encoding, data }] }
+function createStdoutStorage({ key, stream = process.stdout }) {
+  const artifacts = [];
+
+  return {
+    type: STORAGE_TYPES.STDOUT,
+    async put(name, body, contentType) {
+      const isText = typeof body === "string";
+      artifacts.push({
+        name,
+        contentType,
+        encoding: isText ? "utf8" : "base64",
+        data: isText ? body : Buffer.from(body).toString("base64"),
+      });
+      return `stdout:${name}`;
+    },
+    finalize() {
+      return new Promise((resolve) => {
+        stream.write(JSON.stringify({ key, artifacts }) + "\n", resolve);
+      });
+    },
+  };
+}
+
+// given a storage type and its options, instanciates the matching backend
+function createStorage(type = STORAGE_DEFAULTS.TYPE, options = {}) {
+  switch (type) {
+    case STORAGE_TYPES.S3:
+      return createS3Storage(options);
+    case STORAGE_TYPES.FS:
+      return createFsStorage(options);
+    case STORAGE_TYPES.STDOUT:
+      return createStdoutStorage(options);
+    default:
+      throw new Error(`unsupported storage type: ${type}`);
+  }
+}
+
+//
+// CAPTURE ARTIFACTS
+//
+
+/**
+ * Stores the artifacts of a capture, as resolved by capturePage(), with the
+ * given prefix: the preview (if any), features.json and, when defined,
+ * preview.svg, metadata.json, diff.png, the renditions and renditions.json.
+ * Resolves with the names of the stored artifacts, without the prefix.
+ */
+async function storeCaptureArtifacts(storage, output, prefix = "") {
+  const { capture, extension, contentType, features, metadata, diff } = output;
+  const artifacts = [];
+  const put = async (name, body, type) => {
+    await storage.put(`${prefix}${name}`, body, type);
+    artifacts.push(name);
+  };
+  const putJson = (name, data) =>
+    put(name, JSON.stringify(data), "application/json");
+
+  // the preview file (PNG or animation)
+  if (capture) {
+    await put(`preview.${extension}`, capture, contentType);
+  }
+  // the markup of rasterized SVG captures
+  if (output.svg) {
+    await put("preview.svg", output.svg, "image/svg+xml");
+  }
+  await putJson("features.json", features);
+  // the params, token info and dropped features
+  if (metadata) {
+    await putJson("metadata.json", metadata);
+  }
+  // the diff with the reference, in compare mode
+  if (diff) {
+    await put("diff.png", diff, "image/png");
+  }
+  if (output.renditions) {
+    for (const file of output.renditions.files) {
+      await put(file.name, file.buffer, file.contentType);
+    }
+    await putJson("renditions.json", output.renditions.manifest);
+  }
+  return artifacts;
+}
+
+/**
+ * Stores the diagnostics of a capture, as collected by createDiagnostics(),
+ * with the given prefix: diagnostics.json and, if a trace was recorded,
+ * diagnostics-trace.json, which can be loaded in the Performance panel of the
+ * Chrome devtools. Resolves with the names of the stored artifacts.
+ */
+async function storeDiagnostics(storage, diagnostics, prefix = "") {
+  const artifacts = [];
+  const data = diagnostics.toJSON();
+  if (diagnostics.trace) {
+    await storage.put(
+      `${prefix}diagnostics-trace.json`,
+      diagnostics.trace,
+      "application/json"
+    );
+    artifacts.push("diagnostics-trace.json");
+    data.trace = "diagnostics-trace.json";
+  }
+  await storage.put(
+    `${prefix}diagnostics.json`,
+    JSON.stringify(data),
+    "application/json"
+  );
+  artifacts.push("diagnostics.json");
+  return artifacts;
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  STORAGE_DEFAULTS,
+  createStorage,
+  storeCaptureArtifacts,
+  storeDiagnostics,
+};
@@ -0,0 +1,154 @@
+const {
+  context,
+  propagation,
+  trace,
+  ROOT_CONTEXT,
+  SpanStatusCode,
+} = require("@opentelemetry/api");
+const {
+  AsyncLocalStorageContextManager,
+} = require("@opentelemetry/context-async-hooks");
+const { W3CTraceContextPropagator } = require("@opentelemetry/core");
+const {
+  OTLPTraceExporter,
+} = require("@opentelemetry/exporter-trace-otlp-http");
+const { Resource } = require("@opentelemetry/resources");
+const {
+  BasicTracerProvider,
+  BatchSpanProcessor,
+} = require("@opentelemetry/sdk-trace-base");
+
+//
+// DEFINITIONS
+//
+// the tracing of the capture module, on top of the OpenTelemetry SDK: the
+// spans are exported to the OTLP/HTTP endpoint of a collector, and their
+// context is propagated with the W3C trace context propagator (the
+// traceparent header, which the HTTP endpoint passes with --traceparent).
+//
+
+const TRACING_DEFAULTS = {
+  EXPORT_TIMEOUT: 5000,
+};
+
+//
+// CONTEXT PROPAGATION
+//
+
+/**
+ * The remote span of a W3C traceparent (00-{trace id}-{span id}-{flags}), to
+ * be used as the parent of local spans. Returns null if it isn't valid
+ */
+function extractTraceparent(traceparent) {
+  if (!traceparent) return null;
+  const extracted = propagation.extract(ROOT_CONTEXT, { traceparent });
+  return trace.getSpan(extracted) || null;
+}
+
+// ends a span, with an error status if an error is given
+function endSpan(span, error = null) {
+  if (error) {
+    span.setStatus({
+      code: SpanStatusCode.ERROR,
+      message: String(error instanceof Error ? error.message : error),
+    });
+  }
+  span.end();
+}
+
+//
+// TRACER
+//
+
+/**
+ * Creates the tracer of the process and registers the OpenTelemetry context
+ * manager and propagator, it must be called once. The spans are exported to
+ * the collector at target (its OTLP/HTTP URL), in batches. Without a target,
+ * the spans are still created (so that their context can be propagated) but
+ * they aren't exported. Options:
+ *  - serviceName: the service.name of the spans
+ *  - target: the URL of the collector
+ *
+ * The spans are nested following the async calls: the spans started within
+ * trace(name, fn) are children of its span. The other ones are children of
+ * tracer.root, if set (the span of a CLI run...).
+ */
+function createTracer({ serviceName, target = null } = {}) {
+  const provider = new BasicTracerProvider({
+    resource: new Resource({ "service.name": serviceName }),
+    spanProcessors: target
+      ? [
+          new BatchSpanProcessor(
+            new OTLPTraceExporter({
+              url: new URL(
+                "v1/traces",
+                target.endsWith("/") ? target : `${target}/`
+              ).href,
+              timeoutMillis: TRACING_DEFAULTS.EXPORT_TIMEOUT,
+            })
+          ),
+        ]
+      : [],
+  });
+  provider.register({
+    contextManager: new AsyncLocalStorageContextManager(),
+    propagator: new W3CTraceContextPropagator(),
+  });
+  const otelTracer = provider.getTracer(serviceName);
+
+  // the context the spans are started in, the one of the given parent span,
+  // or the active one
+  const parentContext = (parent) => {
+    const active = context.active();
+    if (parent) return trace.setSpan(active, parent);
+    if (!trace.getSpan(active) && tracer.root) {
+      return trace.setSpan(active, tracer.root);
+    }
+    return active;
+  };
+
+  const tracer = {
+    enabled: !!target,
+    root: null,
+
+    // starts a span, the child of the given parent (the active span by
+    // default), to be ended with endSpan()
+    startSpan(name, attributes = {}, parent = null) {
+      return otelTracer.startSpan(name, { attributes }, parentContext(parent));
+    },
+
+    // runs fn(span) within a new span, which ends once fn is over
+    async trace(name, fn, attributes = {}, parent = null) {
+      const span = tracer.startSpan(name, attributes, parent);
+      try {
+        const result = await context.with(
+          trace.setSpan(parentContext(parent), span),
+          () => fn(span)
+        );
+        span.end();
+        return result;
+      } catch (err) {
+        endSpan(span, err);
+        throw err;
+      }
+    },
+
+    // exports the spans which ended since the last export, on a best effort
+    // basis: the spans are dropped if the collector can't be reached
+    async flush() {
+      try {
+        await provider.forceFlush();
+      } catch (err) {
+        console.error("failed to export the spans:", err.message);
+      }
+    },
+  };
+  return tracer;
+}
+
+module.exports = {
+  TRACING_DEFAULTS,
+  extractTraceparent,
+  endSpan,
+  createTracer,
+};
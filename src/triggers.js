@@ -0,0 +1,169 @@
+const { advanceClock, setClockRunning } = require("./determinism");
+const { FEATURES_READY_TIMEOUT, waitFeaturesReady } = require("./features");
+
+//
+// DEFINITIONS
+//
+
+// the conditions of the triggers and their params are defined by the settings
+// schema, see schema.js
+const TRIGGER_DEFAULTS = {
+  // the interval between 2 checks of the state of the page
+  POLLING: 100,
+};
+
+//
+// PAGE SCRIPT
+//
+
+// injected in the page before any of its scripts runs (and after the virtual
+// clock, if any), records the preview calls and counts the animation frames,
+// so that a preview called before the capture module waits for it isn't lost
+function injectTriggers() {
+  const state = { previewCalled: false, frames: 0 };
+  window.addEventListener("fxhash-preview", () => (state.previewCalled = true));
+
+  // a frame is counted when the page runs its frame callbacks
+  const requestAnimationFrame = window.requestAnimationFrame;
+  let lastFrame = null;
+  window.requestAnimationFrame = (callback) =>
+    requestAnimationFrame((time) => {
+      if (time !== lastFrame) {
+        lastFrame = time;
+        state.frames++;
+      }
+      return callback(time);
+    });
+
+  Object.defineProperty(window, "__fxhashTrigger", {
+    enumerable: false,
+    value: state,
+  });
+}
+
+//
+// UTILITY FUNCTIONS
+//
+
+const sleep = (time) => new Promise((resolve) => setTimeout(resolve, time));
+
+// polls fn in the page until it returns true, or until the wait is over. The
+// page is polled from here so that it doesn't depend on its timers, which may
+// be virtual
+async function pollPage(page, fn, arg, wait) {
+  while (!wait.over) {
+    if (await page.evaluate(fn, arg)) return;
+    await sleep(TRIGGER_DEFAULTS.POLLING);
+  }
+}
+
+//
+// WAITING
+//
+
+// resolves once a single condition is met, or once the wait is over
+function waitCondition(condition, page, options, wait) {
+  const { delay, triggerSelector, idleTime, triggerFrames, virtualClock } =
+    options;
+  switch (condition) {
+    case "DELAY":
+      console.log("waiting for delay:", delay);
+      // the virtual clock runs while waiting for other conditions, the delay
+      // is then spent in virtual time
+      return virtualClock
+        ? pollPage(page, (delay) => performance.now() >= delay, delay, wait)
+        : sleep(delay);
+    case "FN_TRIGGER":
+      console.log("waiting for function trigger...");
+      return pollPage(
+        page,
+        () => window.__fxhashTrigger.previewCalled,
+        null,
+        wait
+      );
+    case "FEATURES_READY":
+      console.log("waiting for the features...");
+      // projects which don't define any within FEATURES_READY_TIMEOUT are
+      // assumed to have none
+      return waitFeaturesReady(
+        page,
+        Math.min(FEATURES_READY_TIMEOUT, wait.remaining()),
+        () => wait.over
+      );
+    case "SELECTOR":
+      console.log("waiting for selector:", triggerSelector);
+      return page
+        .waitForSelector(triggerSelector, { timeout: wait.remaining() })
+        .catch(() => {});
+    case "NETWORK_IDLE":
+      console.log(`waiting for the network to be idle for ${idleTime}ms...`);
+      return page
+        .waitForNetworkIdle({ idleTime, timeout: wait.remaining() })
+        .catch(() => {});
+    case "FRAMES":
+      console.log(`waiting for ${triggerFrames} frames...`);
+      return pollPage(
+        page,
+        (frames) => window.__fxhashTrigger.frames >= frames,
+        triggerFrames,
+        wait
+      );
+  }
+}
+
+/**
+ * Resolves once the trigger parsed by parseTrigger() fires, or after
+ * options.triggerTimeout ms, in which case the capture is taken anyway. With
+ * a virtual clock, a single DELAY is spent by advancing the clock, and the
+ * clock runs while waiting for any other trigger.
+ */
+async function waitTrigger(page, { combinator, conditions }, options) {
+  const { delay, virtualClock, triggerTimeout } = options;
+  if (virtualClock && conditions.length === 1 && conditions[0] === "DELAY") {
+    console.log("waiting for delay:", delay);
+    await advanceClock(page, delay);
+    return;
+  }
+
+  const started = Date.now();
+  const wait = {
+    over: false,
+    remaining: () => Math.max(1, triggerTimeout - (Date.now() - started)),
+  };
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(true), triggerTimeout);
+  });
+
+  if (virtualClock) await setClockRunning(page, true);
+  try {
+    const waits = conditions.map((condition) =>
+      waitCondition(condition, page, options, wait)
+    );
+    const timedOut = await Promise.race([
+      (combinator === "ANY" ? Promise.race(waits) : Promise.all(waits)).then(
+        () => false
+      ),
+      timeout,
+    ]);
+    if (timedOut) {
+      console.log(
+        `the trigger didn't fire after ${triggerTimeout}ms, capturing anyway`
+      );
+    }
+  } finally {
+    // stops the conditions still waiting
+    wait.over = true;
+    clearTimeout(timer);
+  }
+  if (virtualClock) await setClockRunning(page, false);
+}
+
+// installs the trigger hooks, must be called before navigating
+const setupTriggers = (page) => page.evaluateOnNewDocument(injectTriggers);
+
+module.exports = {
+  TRIGGER_DEFAULTS,
+  setupTriggers,
+  waitTrigger,
+};
@@ -0,0 +1,161 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const {
+  DIAGNOSTICS_DEFAULTS,
+  DIAGNOSTICS_VERSION,
+  createDiagnostics,
+  startDiagnostics,
+  stopDiagnostics,
+} = require("../src/diagnostics");
+
+// a page whose browser may already be tracing another page, and which may
+// not answer anymore once the capture is over
+function createPage({ tracing = false, responds = true } = {}) {
+  const page = new EventEmitter();
+  page.traceStops = 0;
+  page.tracing = {
+    async start() {
+      if (tracing) throw new Error("Tracing has already been started");
+      tracing = true;
+    },
+    async stop() {
+      page.traceStops++;
+      tracing = false;
+      return Buffer.from("{}");
+    },
+  };
+  page.browser = () => ({
+    target: () => ({
+      createCDPSession: async () => ({
+        send: async () => ({ gpu: { devices: [] } }),
+        detach: async () => {},
+      }),
+    }),
+  });
+  page.evaluate = () =>
+    responds ? Promise.resolve({ webgl: null }) : new Promise(() => {});
+  return page;
+}
+
+// a request of the page, as emitted by puppeteer
+function createRequest(url, { status = null, errorText = null } = {}) {
+  return {
+    url: () => url,
+    method: () => "GET",
+    resourceType: () => "script",
+    response: () => (status ? { status: () => status } : null),
+    failure: () => (errorText ? { errorText } : null),
+  };
+}
+
+test("collects the console, the errors and the failed requests of the page", async () => {
+  const page = createPage();
+  const diagnostics = createDiagnostics();
+  await startDiagnostics(page, diagnostics);
+
+  page.emit("console", {
+    type: () => "warn",
+    text: () => "deprecated",
+    location: () => ({ url: "https://project/index.js", lineNumber: 12 }),
+  });
+  page.emit("pageerror", new Error("undefined is not a function"));
+  page.emit(
+    "requestfailed",
+    createRequest("https://cdn/a.js", { errorText: "net::ERR_FAILED" })
+  );
+  page.emit(
+    "requestfinished",
+    createRequest("https://cdn/b.js", { status: 404 })
+  );
+  page.emit(
+    "requestfinished",
+    createRequest("https://cdn/c.js", { status: 200 })
+  );
+
+  assert.deepStrictEqual(
+    diagnostics.console.map(({ type, text, location }) => ({
+      type,
+      text,
+      location,
+    })),
+    [
+      {
+        type: "warn",
+        text: "deprecated",
+        location: "https://project/index.js:12",
+      },
+    ]
+  );
+  assert.strictEqual(diagnostics.pageErrors.length, 1);
+  assert.strictEqual(
+    diagnostics.pageErrors[0].message,
+    "undefined is not a function"
+  );
+  assert.deepStrictEqual(
+    diagnostics.failedRequests.map(({ url, reason }) => ({ url, reason })),
+    [
+      { url: "https://cdn/a.js", reason: "net::ERR_FAILED" },
+      { url: "https://cdn/b.js", reason: "HTTP 404" },
+    ]
+  );
+});
+
+test("keeps at most MAX_ENTRIES entries in each list", () => {
+  const diagnostics = createDiagnostics();
+  for (let i = 0; i < DIAGNOSTICS_DEFAULTS.MAX_ENTRIES + 10; i++) {
+    diagnostics.logFrame({ frame: i });
+  }
+  assert.strictEqual(
+    diagnostics.frames.length,
+    DIAGNOSTICS_DEFAULTS.MAX_ENTRIES
+  );
+  assert.deepStrictEqual(diagnostics.frames[0], { frame: 0 });
+});
+
+test("records the trace and the GPU info of the page", async () => {
+  const page = createPage();
+  const diagnostics = createDiagnostics();
+  await startDiagnostics(page, diagnostics);
+  assert.strictEqual(diagnostics.tracing, true);
+
+  await stopDiagnostics(page, diagnostics);
+  assert.strictEqual(page.traceStops, 1);
+  assert.strictEqual(diagnostics.tracing, false);
+  assert.ok(Buffer.isBuffer(diagnostics.trace));
+  assert.deepStrictEqual(diagnostics.gpu, { gpu: { devices: [] } });
+  assert.deepStrictEqual(diagnostics.graphics, { webgl: null });
+
+  // the trace is stored apart from diagnostics.json
+  const json = diagnostics.toJSON();
+  assert.strictEqual(json.version, DIAGNOSTICS_VERSION);
+  assert.strictEqual(json.trace, undefined);
+});
+
+test("skips the trace when the browser is already tracing another page", async () => {
+  const page = createPage({ tracing: true });
+  const diagnostics = createDiagnostics();
+  await startDiagnostics(page, diagnostics);
+  assert.strictEqual(diagnostics.tracing, false);
+
+  // the trace of the other page isn't stopped, the rest is still collected
+  await stopDiagnostics(page, diagnostics);
+  assert.strictEqual(page.traceStops, 0);
+  assert.strictEqual(diagnostics.trace, null);
+  assert.deepStrictEqual(diagnostics.gpu, { gpu: { devices: [] } });
+});
+
+test("gives up collecting after COLLECT_TIMEOUT if the page doesn't respond", async () => {
+  const timeout = DIAGNOSTICS_DEFAULTS.COLLECT_TIMEOUT;
+  DIAGNOSTICS_DEFAULTS.COLLECT_TIMEOUT = 50;
+  try {
+    const page = createPage({ responds: false });
+    const diagnostics = createDiagnostics();
+    await startDiagnostics(page, diagnostics);
+    await stopDiagnostics(page, diagnostics);
+    assert.ok(Buffer.isBuffer(diagnostics.trace));
+    assert.strictEqual(diagnostics.graphics, null);
+  } finally {
+    DIAGNOSTICS_DEFAULTS.COLLECT_TIMEOUT = timeout;
+  }
+});
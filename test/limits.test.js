@@ -0,0 +1,179 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const { LIMITS_DEFAULTS, startGuard } = require("../src/limits");
+const { createReport } = require("../src/report");
+const { setTimeout: sleep } = require("timers/promises");
+
+const MB = 1024 * 1024;
+
+const LIMITS = {
+  maxHeap: 64,
+  timeBudget: 10000,
+  maxRequests: 3,
+  maxBytes: 1000,
+  watchdogTimeout: 100,
+};
+
+// a page and its CDP session, which answer the probes of the guard with
+// page.heapUsage, unless page.responds is false or the heap can't be read
+function createPage({ readsHeap = true } = {}) {
+  const page = new EventEmitter();
+  const session = new EventEmitter();
+  page.heapUsage = MB;
+  page.responds = true;
+  page.sent = [];
+  page.detached = false;
+  session.send = async (method) => {
+    page.sent.push(method);
+    if (method === "Runtime.getHeapUsage" && !readsHeap) {
+      throw new Error("'Runtime.getHeapUsage' wasn't found");
+    }
+    if (method === "Runtime.getHeapUsage" || method === "Runtime.evaluate") {
+      if (!page.responds) return new Promise(() => {});
+      return { usedSize: page.heapUsage };
+    }
+    return {};
+  };
+  session.detach = async () => {
+    page.detached = true;
+  };
+  page.session = session;
+  page.target = () => ({ createCDPSession: async () => session });
+  return page;
+}
+
+// runs fn within a guard of the page, which is always stopped
+async function guard(page, limits, report, fn) {
+  const { run, stop } = await startGuard(page, limits, report);
+  try {
+    return await run(fn);
+  } finally {
+    stop();
+  }
+}
+
+// the watchdog checks the pages more often, so that the tests run fast
+let watchdogInterval;
+before(() => {
+  watchdogInterval = LIMITS_DEFAULTS.WATCHDOG_INTERVAL;
+  LIMITS_DEFAULTS.WATCHDOG_INTERVAL = 10;
+});
+after(() => {
+  LIMITS_DEFAULTS.WATCHDOG_INTERVAL = watchdogInterval;
+});
+
+test("resolves with the result of the capture within the limits", async () => {
+  const page = createPage();
+  const result = await guard(page, LIMITS, createReport(), async () => {
+    await sleep(50);
+    return "capture";
+  });
+  assert.strictEqual(result, "capture");
+  assert.strictEqual(page.detached, true);
+  assert.strictEqual(page.listenerCount("error"), 0);
+});
+
+test("fails once the page sent more than maxRequests requests", async () => {
+  const page = createPage();
+  await assert.rejects(
+    guard(page, LIMITS, createReport(), async () => {
+      for (let i = 0; i <= LIMITS.maxRequests; i++) {
+        page.session.emit("Network.requestWillBeSent", {});
+      }
+      await sleep(1000);
+    }),
+    { code: "REQUEST_LIMIT_EXCEEDED" }
+  );
+});
+
+test("fails once the page downloaded more than maxBytes bytes", async () => {
+  const page = createPage();
+  await assert.rejects(
+    guard(page, LIMITS, createReport(), async () => {
+      // the largest of the decoded and encoded lengths counts
+      page.session.emit("Network.dataReceived", {
+        dataLength: 600,
+        encodedDataLength: 100,
+      });
+      page.session.emit("Network.dataReceived", {
+        dataLength: 100,
+        encodedDataLength: 600,
+      });
+      await sleep(1000);
+    }),
+    { code: "REQUEST_LIMIT_EXCEEDED" }
+  );
+});
+
+test("fails when the page crashes", async () => {
+  const page = createPage();
+  await assert.rejects(
+    guard(page, LIMITS, createReport(), async () => {
+      page.emit("error", new Error("Page crashed!"));
+      await sleep(1000);
+    }),
+    { code: "PAGE_CRASHED", message: "the page crashed: Page crashed!" }
+  );
+});
+
+test("fails once the JS heap exceeds maxHeap", async () => {
+  const page = createPage();
+  await assert.rejects(
+    guard(page, LIMITS, createReport(), async () => {
+      page.heapUsage = (LIMITS.maxHeap + 1) * MB;
+      await sleep(1000);
+    }),
+    { code: "HEAP_LIMIT_EXCEEDED" }
+  );
+});
+
+test("fails and interrupts the page when it stops responding", async () => {
+  const page = createPage();
+  await assert.rejects(
+    guard(page, LIMITS, createReport(), async () => {
+      page.responds = false;
+      await sleep(1000);
+    }),
+    { code: "PAGE_UNRESPONSIVE" }
+  );
+  assert.ok(page.sent.includes("Runtime.terminateExecution"));
+});
+
+test("warns when the heap can't be read, and only checks the responsiveness", async () => {
+  const page = createPage({ readsHeap: false });
+  const report = createReport();
+  await guard(page, LIMITS, report, async () => {
+    page.heapUsage = (LIMITS.maxHeap + 1) * MB;
+    await sleep(100);
+  });
+  assert.strictEqual(report.warnings.length, 1);
+  assert.match(report.warnings[0], /^maxHeap can't be enforced/);
+  assert.ok(page.sent.includes("Runtime.evaluate"));
+
+  await assert.rejects(
+    guard(page, LIMITS, report, async () => {
+      page.responds = false;
+      await sleep(1000);
+    }),
+    { code: "PAGE_UNRESPONSIVE" }
+  );
+});
+
+test("counts the time budget from the opening of the first page", async () => {
+  const report = createReport();
+  const limits = { ...LIMITS, timeBudget: 200 };
+  // the time spent before the first page doesn't count
+  await sleep(250);
+  assert.strictEqual(report.budgetElapsed(), 0);
+  await guard(createPage(), limits, report, () => sleep(150));
+  assert.ok(report.budgetElapsed() >= 150);
+
+  // the next attempts only get what is left of it
+  const started = Date.now();
+  await assert.rejects(
+    guard(createPage(), limits, report, () => sleep(1000)),
+    { code: "TIME_BUDGET_EXCEEDED" }
+  );
+  assert.ok(Date.now() - started < 150);
+});
@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { PNG } = require("pngjs");
+const { isBlankCapture } = require("../src/readback");
+
+// a width x height PNG filled with the color, with the pixels of `pixels`
+// ({ x, y, color }) set on top
+function createPng(width, height, color, pixels = []) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    png.data.set(color, i * 4);
+  }
+  for (const { x, y, color } of pixels) {
+    png.data.set(color, (y * width + x) * 4);
+  }
+  return PNG.sync.write(png);
+}
+
+test("a capture of a single color is blank", async () => {
+  assert.strictEqual(
+    await isBlankCapture(createPng(16, 16, [0, 0, 0, 0])),
+    true
+  );
+  assert.strictEqual(
+    await isBlankCapture(createPng(16, 16, [12, 34, 56, 255])),
+    true
+  );
+});
+
+test("a single different pixel makes a capture not blank", async () => {
+  for (const color of [
+    [1, 0, 0, 0],
+    [0, 1, 0, 0],
+    [0, 0, 1, 0],
+    [0, 0, 0, 1],
+  ]) {
+    const capture = createPng(16, 16, [0, 0, 0, 0], [{ x: 15, y: 15, color }]);
+    assert.strictEqual(await isBlankCapture(capture), false);
+  }
+});
+
+test("the captures can be given as data URLs", async () => {
+  const toDataUrl = (buffer) =>
+    `data:image/png;base64,${buffer.toString("base64")}`;
+  assert.strictEqual(
+    await isBlankCapture(toDataUrl(createPng(8, 8, [255, 255, 255, 255]))),
+    true
+  );
+  assert.strictEqual(
+    await isBlankCapture(
+      toDataUrl(
+        createPng(
+          8,
+          8,
+          [255, 255, 255, 255],
+          [{ x: 0, y: 0, color: [0, 0, 0, 255] }]
+        )
+      )
+    ),
+    false
+  );
+});
+
+test("a capture which isn't a PNG is rejected", async () => {
+  await assert.rejects(isBlankCapture(Buffer.from("not a png")));
+});
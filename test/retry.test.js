@@ -0,0 +1,192 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { ERRORS } = require("../src/capture");
+const { createReport } = require("../src/report");
+const { RENDERER_CHAIN, runWithRetries } = require("../src/retry");
+
+// the settings of a run, with the retry policy given
+function createSettings(
+  retry,
+  { angleMode = "gl-egl", timeBudget = 60000 } = {}
+) {
+  return {
+    angleMode,
+    retry: { retries: 0, delay: 0, rendererFallback: false, ...retry },
+    limits: { timeBudget },
+  };
+}
+
+// an attempt which fails with the errors given in order, then succeeds. The
+// renderers it's run with are recorded in attempt.angleModes
+function createAttempt(report, errors) {
+  const attempt = async (angleMode) => {
+    attempt.angleModes.push(angleMode);
+    const error = errors[attempt.angleModes.length - 1];
+    if (!error) return "capture";
+    throw report.fail(error, `${error} on ${angleMode}`);
+  };
+  attempt.angleModes = [];
+  return attempt;
+}
+
+test("resolves with the first attempt which succeeds", async () => {
+  const report = createReport();
+  const attempt = createAttempt(report, []);
+  const result = await runWithRetries(
+    createSettings({ retries: 2 }),
+    report,
+    attempt
+  );
+  assert.strictEqual(result, "capture");
+  assert.deepStrictEqual(attempt.angleModes, ["gl-egl"]);
+  assert.strictEqual(report.attempts.length, 1);
+  assert.strictEqual(report.attempts[0].error, null);
+});
+
+test("retries the transient errors up to retries times", async () => {
+  const report = createReport();
+  const attempt = createAttempt(report, [
+    ERRORS.TIMEOUT,
+    ERRORS.BLANK_CAPTURE,
+    ERRORS.TIMEOUT,
+  ]);
+  await assert.rejects(
+    runWithRetries(createSettings({ retries: 2 }), report, attempt),
+    (err) => err === ERRORS.TIMEOUT
+  );
+  assert.strictEqual(attempt.angleModes.length, 3);
+  assert.deepStrictEqual(
+    report.attempts.map(({ error, errorDetail }) => [error, errorDetail]),
+    [
+      [ERRORS.TIMEOUT, "TIMEOUT on gl-egl"],
+      [ERRORS.BLANK_CAPTURE, "BLANK_CAPTURE on gl-egl"],
+      [ERRORS.TIMEOUT, "TIMEOUT on gl-egl"],
+    ]
+  );
+});
+
+test("succeeds after a transient error", async () => {
+  const report = createReport();
+  const attempt = createAttempt(report, [ERRORS.TIMEOUT]);
+  const result = await runWithRetries(
+    createSettings({ retries: 1 }),
+    report,
+    attempt
+  );
+  assert.strictEqual(result, "capture");
+  assert.deepStrictEqual(
+    report.attempts.map(({ error }) => error),
+    [ERRORS.TIMEOUT, null]
+  );
+  // the result is the one of the last attempt
+  assert.strictEqual(report.errorDetail, null);
+});
+
+test("doesn't retry the other errors", async () => {
+  const report = createReport();
+  const attempt = createAttempt(report, [ERRORS.NAVIGATION_FAILED]);
+  await assert.rejects(
+    runWithRetries(createSettings({ retries: 3 }), report, attempt),
+    (err) => err === ERRORS.NAVIGATION_FAILED
+  );
+  assert.strictEqual(attempt.angleModes.length, 1);
+});
+
+test("only retries the HTTP errors of the 5xx responses", async () => {
+  for (const [httpStatus, attempts] of [
+    [404, 1],
+    [503, 2],
+  ]) {
+    const report = createReport();
+    const attempt = async () => {
+      report.httpStatus = httpStatus;
+      throw ERRORS.HTTP_ERROR;
+    };
+    await assert.rejects(
+      runWithRetries(createSettings({ retries: 1 }), report, attempt)
+    );
+    assert.strictEqual(report.attempts.length, attempts);
+  }
+});
+
+test("an error which isn't a code is reported as UNKNOWN", async () => {
+  const report = createReport();
+  const error = new Error("unexpected");
+  await assert.rejects(
+    runWithRetries(createSettings({ retries: 1 }), report, async () => {
+      throw error;
+    }),
+    error
+  );
+  assert.strictEqual(report.attempts[0].error, ERRORS.UNKNOWN);
+});
+
+test("falls back to the next renderers without counting retries", async () => {
+  const report = createReport();
+  const attempt = createAttempt(report, [
+    ERRORS.BROWSER_LAUNCH_FAILED,
+    ERRORS.PAGE_CRASHED,
+    ERRORS.TIMEOUT,
+  ]);
+  const result = await runWithRetries(
+    createSettings({ retries: 1, rendererFallback: true }),
+    report,
+    attempt
+  );
+  assert.strictEqual(result, "capture");
+  assert.deepStrictEqual(attempt.angleModes, [
+    "gl-egl",
+    "gl",
+    "swiftshader",
+    "swiftshader",
+  ]);
+  assert.deepStrictEqual(
+    report.attempts.map(({ angleMode, error }) => [angleMode, error]),
+    [
+      ["gl-egl", ERRORS.BROWSER_LAUNCH_FAILED],
+      ["gl", ERRORS.PAGE_CRASHED],
+      ["swiftshader", ERRORS.TIMEOUT],
+      ["swiftshader", null],
+    ]
+  );
+});
+
+test("stops at the end of the renderer chain", async () => {
+  const report = createReport();
+  const attempt = createAttempt(report, [
+    ERRORS.CANVAS_CAPTURE_FAILED,
+    ERRORS.CANVAS_CAPTURE_FAILED,
+    ERRORS.CANVAS_CAPTURE_FAILED,
+    ERRORS.CANVAS_CAPTURE_FAILED,
+  ]);
+  await assert.rejects(
+    runWithRetries(createSettings({ rendererFallback: true }), report, attempt),
+    (err) => err === ERRORS.CANVAS_CAPTURE_FAILED
+  );
+  assert.deepStrictEqual(attempt.angleModes, RENDERER_CHAIN);
+});
+
+test("doesn't fall back to another renderer without rendererFallback", async () => {
+  const report = createReport();
+  const attempt = createAttempt(report, [ERRORS.BROWSER_LAUNCH_FAILED]);
+  await assert.rejects(
+    runWithRetries(createSettings({ retries: 2 }), report, attempt)
+  );
+  assert.deepStrictEqual(attempt.angleModes, ["gl-egl"]);
+});
+
+test("stops retrying once the delay would exceed the time budget", async () => {
+  const report = createReport();
+  report.startBudget();
+  const attempt = createAttempt(report, [ERRORS.TIMEOUT, ERRORS.TIMEOUT]);
+  await assert.rejects(
+    runWithRetries(
+      createSettings({ retries: 5, delay: 100 }, { timeBudget: 150 }),
+      report,
+      attempt
+    ),
+    (err) => err === ERRORS.TIMEOUT
+  );
+  // the first retry starts at 100ms, a second one would start at 200ms
+  assert.strictEqual(attempt.angleModes.length, 2);
+});